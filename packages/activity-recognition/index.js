@@ -13,8 +13,9 @@ const listenAddress = process.env.BIND_ADDRESS || '0.0.0.0';
 const coreSystemBaseUrl = process.env.CORE_SYSTEM_URL || 'http://core-system:3001';
 const serviceRegistryUrl = process.env.SERVICE_REGISTRY_URL || 'http://core-system:3000';
 const publicUrl = process.env.ACTIVITY_RECOGNITION_PUBLIC_URL || process.env.CAPABILITY_PUBLIC_URL || `http://activity-recognition:${port}`;
-const coreRefreshEndpoint = `${coreSystemBaseUrl}/refresh`;
+const coreCapabilityDataEndpoint = `${coreSystemBaseUrl}/capabilities/${serviceName}/data`;
 const activityRotationIntervalMs = Number.parseInt(process.env.ACTIVITY_ROTATION_INTERVAL_MS || '90000', 10);
+const heartbeatIntervalMs = Number.parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
 
 const toolDefinitions = {
   getUserActivity: {
@@ -67,13 +68,30 @@ const advanceActivityState = () => {
   currentActivityIndex = (currentActivityIndex + 1) % activityStates.length;
 };
 
+const describeCurrentActivity = () => ({
+  ...getCurrentActivity(),
+  timestamp: new Date().toISOString(),
+  confidence: 0.85,
+});
+
+// Push the new state so the core reflows only the devices using this capability; re-register once if it forgot us.
 const notifyCoreOfActivityChange = async () => {
+  const activity = describeCurrentActivity();
+  const publish = () => fetch(coreCapabilityDataEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: activity, timestamp: activity.timestamp }),
+  });
+
   try {
-    await fetch(coreRefreshEndpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({}),
-    });
+    let response = await publish();
+    if (response.status === 404) {
+      await registerWithCoreSystem();
+      response = await publish();
+    }
+    if (!response.ok) {
+      console.error(`[Activity Recognition] Core system rejected activity update with status ${response.status}`);
+    }
   } catch (error) {
     console.error('[Activity Recognition] Failed to notify core system about activity change:', error.message);
   }
@@ -128,6 +146,10 @@ const registerWithCoreSystem = async () => {
         path: '/activity',
         method: 'GET',
       },
+      health: {
+        path: '/health',
+        method: 'GET',
+      },
     },
     tools: toolDefinitions,
   };
@@ -144,6 +166,22 @@ const registerWithCoreSystem = async () => {
   }
 };
 
+// Both registrations land in the same capability record, so one heartbeat keeps it alive; re-register on 404.
+const sendHeartbeat = async () => {
+  try {
+    const response = await fetch(`${coreSystemBaseUrl}/heartbeat/capability/${serviceName}`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithCoreSystem();
+    }
+  } catch (error) {
+    console.error('[Activity Recognition] Heartbeat failed:', error.message);
+  }
+};
+
+app.get('/health', (_req, res) => {
+  res.json({ status: 'ok', activity: getCurrentActivity().id });
+});
+
 app.get('/activity/states', (_req, res) => {
   res.json({ states: activityStates });
 });
@@ -174,12 +212,7 @@ app.post('/activity/next', (_req, res) => {
 });
 
 app.get('/activity', (_req, res) => {
-  const activity = getCurrentActivity();
-  res.json({
-    ...activity,
-    timestamp: new Date().toISOString(),
-    confidence: 0.85,
-  });
+  res.json(describeCurrentActivity());
 });
 
 app.listen(port, listenAddress, () => {
@@ -187,4 +220,5 @@ app.listen(port, listenAddress, () => {
   registerWithServiceRegistry();
   registerWithCoreSystem();
   scheduleNextRotation();
+  setInterval(sendHeartbeat, heartbeatIntervalMs);
 });
\ No newline at end of file
@@ -1,6 +1,10 @@
+import { SAFETY_LEVELS, resolveActionSafety } from '../shared/action-safety.js';
+
 const actionProviders = [];
 const actionsByThingId = new Map();
 const actionById = new Map();
+const safetyOverrides = new Map(); // actionId or `thingId::*` -> safety level
+const virtualActionHandlers = new Map(); // actionId -> invoke(action, options)
 
 const arrayify = (value) => {
   if (value === undefined || value === null) {
@@ -54,6 +58,10 @@ const cloneForms = (forms = []) => {
     }));
 };
 
+const lookupSafetyOverride = (actionId, thingId) => (
+  safetyOverrides.get(actionId) || (thingId ? safetyOverrides.get(`${thingId}::*`) : null) || null
+);
+
 // Providers emit heterogeneous descriptors; normalize them so downstream consumers can treat everything uniformly.
 const normalizeDescriptor = (
   descriptor = {},
@@ -105,6 +113,11 @@ const normalizeDescriptor = (
     normalized.transport = { ...normalized.forms[0] };
   }
 
+  normalized.safety = resolveActionSafety(
+    { ...normalized, safety: descriptor.safety },
+    lookupSafetyOverride(normalized.id, normalized.thingId),
+  );
+
   return normalized;
 };
 
@@ -136,6 +149,16 @@ export const registerActionProvider = (provider) => {
   actionProviders.push(provider);
 };
 
+// Plugins are unloaded by identity; cached descriptors stay until the Things are rediscovered.
+export const unregisterActionProvider = (provider) => {
+  const index = actionProviders.indexOf(provider);
+  if (index === -1) {
+    return false;
+  }
+  actionProviders.splice(index, 1);
+  return true;
+};
+
 const discoverActions = (context = {}, options = {}) => {
   if (!context.thingDescription) {
     return [];
@@ -194,6 +217,22 @@ export const refreshThingActions = (context = {}) => {
   return actions;
 };
 
+// Drop every cached descriptor for a Thing (and its reverse lookups); returns what was removed.
+export const removeThingActions = (thingId) => {
+  if (!thingId || !actionsByThingId.has(thingId)) {
+    return [];
+  }
+
+  const removed = actionsByThingId.get(thingId) || [];
+  removed.forEach((action) => {
+    if (action?.id && actionById.get(action.id) === action) {
+      actionById.delete(action.id);
+    }
+  });
+  actionsByThingId.delete(thingId);
+  return removed;
+};
+
 export const getActionsForThing = (thingId) => {
   if (!thingId) {
     return [];
@@ -208,6 +247,261 @@ export const getActionById = (actionId) => {
   return actionById.get(actionId) || null;
 };
 
+// Registry-side safety overrides apply to cached descriptors immediately and to every later rediscovery.
+// Passing a null level lifts the override; returns the descriptors whose safety was re-resolved.
+export const setActionSafetyOverride = (key, level) => {
+  if (!key) {
+    throw new Error('A safety override needs an action id or `thingId::*`.');
+  }
+  if (level === null || level === undefined) {
+    safetyOverrides.delete(key);
+  } else if (!SAFETY_LEVELS.includes(level)) {
+    throw new Error(`Unknown safety level '${level}'. Use one of: ${SAFETY_LEVELS.join(', ')}.`);
+  } else {
+    safetyOverrides.set(key, level);
+  }
+
+  const affected = Array.from(actionById.values())
+    .filter((action) => action.id === key || `${action.thingId}::*` === key);
+  affected.forEach((action) => {
+    action.safety = resolveActionSafety(action, lookupSafetyOverride(action.id, action.thingId));
+  });
+  return affected;
+};
+
+// Virtual actions (scenes, macros) have no Thing behind them: they live in `actionById` next to Thing actions so UIs can
+// bind to them, and the core runs them in-process through their handler instead of a form.
+export const registerVirtualAction = (descriptor, { provider = 'virtual-action', invoke } = {}) => {
+  if (typeof invoke !== 'function') {
+    throw new Error('Virtual actions must provide an invoke(action, options) handler.');
+  }
+  const normalized = normalizeDescriptor(descriptor, {}, provider);
+  const existing = actionById.get(normalized.id);
+  if (existing && !virtualActionHandlers.has(normalized.id)) {
+    throw new Error(`Action id '${normalized.id}' is already used by Thing '${existing.thingId}'.`);
+  }
+  actionById.set(normalized.id, normalized);
+  virtualActionHandlers.set(normalized.id, invoke);
+  return normalized;
+};
+
+export const removeVirtualAction = (actionId) => {
+  if (!virtualActionHandlers.has(actionId)) {
+    return null;
+  }
+  const removed = actionById.get(actionId) || null;
+  virtualActionHandlers.delete(actionId);
+  actionById.delete(actionId);
+  return removed;
+};
+
+export const getVirtualActionHandler = (actionId) => virtualActionHandlers.get(actionId) || null;
+
+export const listVirtualActions = () => Array.from(virtualActionHandlers.keys())
+  .map((actionId) => actionById.get(actionId))
+  .filter(Boolean);
+
+export const listActionSafetyOverrides = () => Object.fromEntries(safetyOverrides.entries());
+
 export const listRegisteredActionProviders = () => (
   actionProviders.map((provider) => provider.name || provider.id || 'action-provider')
 );
+
+// Snapshot of the cached descriptors keyed by Thing id, used by the registry persistence layer.
+export const exportActionCache = () => Object.fromEntries(
+  Array.from(actionsByThingId.entries()).map(([thingId, actions]) => [thingId, actions.slice()])
+);
+
+// Rehydrate cached descriptors without re-running providers; the next refresh replaces them as usual.
+export const restoreActionCache = (entries = {}) => {
+  if (!entries || typeof entries !== 'object') {
+    return;
+  }
+  Object.entries(entries).forEach(([thingId, actions]) => {
+    if (Array.isArray(actions)) {
+      saveActionsForThing(thingId, actions);
+    }
+  });
+};
+
+const compareDescriptors = (previous, next) => {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  return Array.from(keys).filter((key) => JSON.stringify(previous?.[key]) !== JSON.stringify(next?.[key]));
+};
+
+// Compare two descriptor sets by action id; `changed` lists which descriptor fields moved so callers can judge impact.
+export const diffActionSets = (previousActions = [], nextActions = []) => {
+  const previousById = new Map(previousActions.filter((action) => action?.id).map((action) => [action.id, action]));
+  const nextById = new Map(nextActions.filter((action) => action?.id).map((action) => [action.id, action]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  nextById.forEach((action, actionId) => {
+    if (!previousById.has(actionId)) {
+      added.push(actionId);
+      return;
+    }
+    const fields = compareDescriptors(previousById.get(actionId), action);
+    if (fields.length > 0) {
+      changed.push({ id: actionId, fields });
+    }
+  });
+
+  previousById.forEach((_action, actionId) => {
+    if (!nextById.has(actionId)) {
+      removed.push(actionId);
+    }
+  });
+
+  return { added, removed, changed };
+};
+
+export const listAllActions = () => Array.from(actionById.values());
+
+// Which WoT operations an affordance supports; TD defaults apply when no form declares `op`.
+const collectOperations = (forms, defaults) => {
+  const declared = Array.from(new Set(forms.flatMap((form) => form.op || [])));
+  return declared.length > 0 ? declared : defaults;
+};
+
+// The form used for the primary operation (e.g. `readproperty`), falling back to the first form.
+const pickFormForOperation = (forms, operation) => forms.find((form) => (form.op || []).includes(operation)) || forms[0] || null;
+
+const normalizePropertyDescriptor = (descriptor = {}, context = {}, providerName, options = {}) => {
+  const normalized = normalizeDescriptor(descriptor, context, providerName, options);
+  const readOnly = Boolean(descriptor.readOnly);
+  const writeOnly = Boolean(descriptor.writeOnly);
+  const defaults = readOnly ? ['readproperty'] : writeOnly ? ['writeproperty'] : ['readproperty', 'writeproperty'];
+  const operations = collectOperations(normalized.forms, descriptor.operations || defaults);
+  const readForm = pickFormForOperation(normalized.forms, writeOnly ? 'writeproperty' : 'readproperty');
+
+  return {
+    ...normalized,
+    type: 'property',
+    schema: descriptor.schema || null,
+    readOnly: readOnly || !operations.includes('writeproperty'),
+    writeOnly,
+    observable: Boolean(descriptor.observable) || operations.includes('observeproperty'),
+    operations,
+    transport: readForm ? { ...readForm } : normalized.transport,
+  };
+};
+
+const normalizeEventDescriptor = (descriptor = {}, context = {}, providerName, options = {}) => {
+  const normalized = normalizeDescriptor(descriptor, context, providerName, options);
+  const operations = collectOperations(normalized.forms, descriptor.operations || ['subscribeevent', 'unsubscribeevent']);
+  const subscribeForm = pickFormForOperation(normalized.forms, 'subscribeevent');
+
+  return {
+    ...normalized,
+    type: 'event',
+    data: descriptor.data || null,
+    subscription: descriptor.subscription || null,
+    cancellation: descriptor.cancellation || null,
+    operations,
+    transport: subscribeForm ? { ...subscribeForm } : normalized.transport,
+  };
+};
+
+// Properties and events follow the same provider/cache lifecycle as actions, keyed by Thing id.
+const createAffordanceCache = ({ discoverMethod, normalize }) => {
+  const providers = [];
+  const byThingId = new Map();
+
+  const discover = (context = {}, thingId) => {
+    if (!context.thingDescription) {
+      return [];
+    }
+    return providers.flatMap((provider) => {
+      if (typeof provider.supports === 'function' && !provider.supports(context)) {
+        return [];
+      }
+      const discovered = provider[discoverMethod](context) || [];
+      return Array.isArray(discovered)
+        ? discovered.map((descriptor, index) => normalize(
+          descriptor,
+          context,
+          provider.name || provider.id || `${discoverMethod}-provider`,
+          { index, fallbackThingId: thingId },
+        ))
+        : [];
+    });
+  };
+
+  const resolveThingId = (context = {}) => context.thingId || context.thingDescription?.id || context.fallbackThingId || null;
+
+  return {
+    registerProvider: (provider) => {
+      if (!provider || typeof provider[discoverMethod] !== 'function') {
+        throw new Error(`Provider must implement ${discoverMethod}(context).`);
+      }
+      providers.push(provider);
+    },
+    unregisterProvider: (provider) => {
+      const index = providers.indexOf(provider);
+      if (index === -1) {
+        return false;
+      }
+      providers.splice(index, 1);
+      return true;
+    },
+    listProviders: () => providers.map((provider) => provider.name || provider.id || `${discoverMethod}-provider`),
+    ensure: (context = {}) => {
+      const thingId = resolveThingId(context);
+      if (thingId && byThingId.has(thingId)) {
+        return byThingId.get(thingId);
+      }
+      const descriptors = discover(context, thingId);
+      if (thingId) {
+        byThingId.set(thingId, descriptors);
+      }
+      return descriptors;
+    },
+    refresh: (context = {}) => {
+      const thingId = resolveThingId(context);
+      const descriptors = discover(context, thingId);
+      if (thingId) {
+        byThingId.set(thingId, descriptors);
+      }
+      return descriptors;
+    },
+    get: (thingId) => (thingId ? byThingId.get(thingId) || [] : []),
+    findById: (id) => {
+      for (const descriptors of byThingId.values()) {
+        const match = descriptors.find((descriptor) => descriptor.id === id);
+        if (match) {
+          return match;
+        }
+      }
+      return null;
+    },
+    remove: (thingId) => {
+      const removed = byThingId.get(thingId) || [];
+      byThingId.delete(thingId);
+      return removed;
+    },
+  };
+};
+
+const propertyCache = createAffordanceCache({ discoverMethod: 'discoverProperties', normalize: normalizePropertyDescriptor });
+const eventCache = createAffordanceCache({ discoverMethod: 'discoverEvents', normalize: normalizeEventDescriptor });
+
+export const registerPropertyProvider = propertyCache.registerProvider;
+export const unregisterPropertyProvider = propertyCache.unregisterProvider;
+export const listRegisteredPropertyProviders = propertyCache.listProviders;
+export const ensureThingProperties = propertyCache.ensure;
+export const refreshThingProperties = propertyCache.refresh;
+export const getPropertiesForThing = propertyCache.get;
+export const getPropertyById = propertyCache.findById;
+export const removeThingProperties = propertyCache.remove;
+
+export const registerEventProvider = eventCache.registerProvider;
+export const unregisterEventProvider = eventCache.unregisterProvider;
+export const listRegisteredEventProviders = eventCache.listProviders;
+export const ensureThingEvents = eventCache.ensure;
+export const refreshThingEvents = eventCache.refresh;
+export const getEventsForThing = eventCache.get;
+export const getEventById = eventCache.findById;
+export const removeThingEvents = eventCache.remove;
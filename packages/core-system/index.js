@@ -7,36 +7,92 @@ import {
   CORE_PUBLIC_URL,
   REGISTRY_PUBLIC_URL,
   LISTEN_ADDRESS,
-  UI_REFRESH_INTERVAL_MS 
+  UI_REFRESH_INTERVAL_MS,
+  REGISTRY_REAPER_INTERVAL_MS,
+  MCP_HEALTH_INTERVAL_MS,
+  CAPABILITY_HEALTH_INTERVAL_MS,
+  LIVE_PROPERTY_POLL_INTERVAL_MS
 } from './src/config.js';
 import { 
   coreRouter, 
-  registryRouter 
+  registryRouter,
+  thingDirectoryRouter
 } from './src/routes.js';
 import { 
-  initializeWebSocketServer 
+  initializeWebSocketServer,
+  disconnectDevice,
+  sendMessageToDevice,
+  onUiDispatched,
+  onDeviceSocketConnected
 } from './src/transport/websocket.js';
+import { initializeRegistryEventFeed } from './src/transport/registry-events.js';
 import { 
   registerService, 
   onThingRegistered, 
   onServiceRegistered,
+  onThingUpdated,
+  onServiceUnregistered,
+  onThingUnregistered,
+  onDeviceUnregistered,
+  evictExpiredRecords,
   deviceRegistry 
 } from './src/services/registry.js';
 import { 
   generateUiForDevice, 
-  refreshDevicesAssociatedWithThing 
+  refreshDevicesAssociatedWithThing,
+  refreshDevicesAffectedByThingRemoval,
+  refreshDevicesAffectedByThingUpdate,
+  refreshDevicesAffectedByCapabilityRemoval,
+  refreshDevicesAffectedByCapabilityData
 } from './src/services/orchestrator.js';
-import { registerActionProvider } from './action-registry.js';
-import thingDescriptionActionProvider from './plugins/thing-description-action-provider.js';
+import { initializeRegistryPersistence } from './src/services/persistence.js';
+import { onActionInstanceUpdated } from './src/services/action-instances.js';
+import { applyConfiguredSafetyOverrides } from './src/services/action-safety.js';
+import { applyConfiguredScenes, refreshSceneActions } from './src/services/scenes.js';
+import { applyConfiguredMcpServers, checkMcpServers } from './src/services/mcp-servers.js';
+import { initializeCapabilityHealth, checkCapabilityHealth } from './src/services/capability-health.js';
+import { initializeCapabilityDataStore, onCapabilityDataPublished } from './src/services/capability-data.js';
+import { forgetDeviceSubscriptionState } from './src/services/capability-subscriptions.js';
+import { clearGenerationCache } from './src/services/generation-cache.js';
+import {
+  syncDeviceBindings,
+  resendLiveValues,
+  forgetDeviceBindings,
+  pollBoundProperties
+} from './src/services/live-bindings.js';
+import {
+  removeThingActions,
+  removeThingProperties,
+  removeThingEvents
+} from './action-registry.js';
+import { loadPlugins, watchPluginDirectories } from './src/services/plugins.js';
 
-// Setup Action Provider
-registerActionProvider(thingDescriptionActionProvider);
+// Action, property and event providers (the Thing Description, OpenAPI, AsyncAPI and MCP ones included) come from the
+// plugin manifests in plugins/ and any configured plugin directories or packages.
+await loadPlugins();
+
+// Restore the last registry snapshot before anything can register or connect.
+await initializeRegistryPersistence();
+applyConfiguredSafetyOverrides();
+applyConfiguredScenes();
 
 // Setup Event Listeners
+initializeRegistryEventFeed();
+initializeCapabilityHealth();
+initializeCapabilityDataStore();
+
 onThingRegistered((record) => {
   setTimeout(() => refreshDevicesAssociatedWithThing(record.id), 0);
 });
 
+onThingUpdated((record, diff) => {
+  setTimeout(() => refreshDevicesAffectedByThingUpdate(record.id, diff), 0);
+});
+
+// Scene descriptors summarise their steps (safety level, Things involved); keep them in line with the Things behind them.
+onThingRegistered(() => refreshSceneActions());
+onThingUpdated(() => refreshSceneActions());
+
 onServiceRegistered((record) => {
   if (record.name === 'knowledge-base') {
     setTimeout(() => {
@@ -49,10 +105,60 @@ onServiceRegistered((record) => {
   }
 });
 
+const logUnregistration = (kind) => (record, { reason }) => {
+  console.log(`[Core] ${kind} '${record.id || record.name}' unregistered (${reason}).`);
+};
+onServiceUnregistered(logUnregistration('Service'));
+onThingUnregistered(logUnregistration('Thing'));
+onDeviceUnregistered(logUnregistration('Device'));
+
+// Cleanup cascades run for explicit deregistration and heartbeat eviction alike.
+onThingUnregistered((record) => {
+  const removedAffordances = [
+    ...removeThingActions(record.id),
+    ...removeThingProperties(record.id),
+    ...removeThingEvents(record.id),
+  ];
+  refreshSceneActions();
+  setTimeout(() => refreshDevicesAffectedByThingRemoval(record.id, removedAffordances), 0);
+});
+
+onServiceUnregistered((record) => {
+  if (record.type === 'capability') {
+    setTimeout(() => refreshDevicesAffectedByCapabilityRemoval(record), 0);
+  }
+});
+
+onDeviceUnregistered((record) => {
+  disconnectDevice(record.id);
+  forgetDeviceSubscriptionState(record.id);
+  clearGenerationCache(record.id);
+  forgetDeviceBindings(record.id);
+});
+
+// Components bound to a Thing property or event get live values pushed after the UI lands.
+onUiDispatched((deviceId, uiDefinition) => syncDeviceBindings(deviceId, uiDefinition));
+onDeviceSocketConnected((deviceId) => resendLiveValues(deviceId));
+
+// Unchanged republished data only extends its lifetime; changed data reflows the devices subscribed to it.
+onCapabilityDataPublished((record, entry, { changed }) => {
+  if (changed) {
+    setTimeout(() => refreshDevicesAffectedByCapabilityData(record, entry), 0);
+  }
+});
+
+// Tell the device that started an action how it is progressing (running -> completed/failed/cancelled).
+onActionInstanceUpdated((instance, { previousStatus }) => {
+  if (instance.deviceId) {
+    sendMessageToDevice(instance.deviceId, 'action.status', { instance, previousStatus });
+  }
+});
+
 // Setup Core App
 const app = express();
 app.use(express.json());
 app.use(cors());
+app.use('/tdd', thingDirectoryRouter);
 app.use('/', coreRouter);
 
 const server = http.createServer(app);
@@ -75,6 +181,7 @@ server.listen(PORT, LISTEN_ADDRESS, () => {
       url: CORE_PUBLIC_URL,
       metadata: { description: 'Core orchestration service' },
       capabilities: ['uiOrchestration'],
+      ttlMs: 0,
     });
     console.log('Registered core-system with internal registry.');
   } catch (err) {
@@ -89,6 +196,44 @@ server.listen(PORT, LISTEN_ADDRESS, () => {
       });
     });
   }, UI_REFRESH_INTERVAL_MS);
+
+  // Evict services, devices and Things whose heartbeats stopped; unregister listeners handle the fallout.
+  if (REGISTRY_REAPER_INTERVAL_MS > 0) {
+    setInterval(() => {
+      evictExpiredRecords();
+    }, REGISTRY_REAPER_INTERVAL_MS);
+  }
+
+  // Probe capabilities that registered a `health` endpoint so a failing one is skipped before a generation waits on it.
+  if (CAPABILITY_HEALTH_INTERVAL_MS > 0) {
+    setInterval(() => {
+      checkCapabilityHealth().catch((error) => {
+        console.error('[Core] Capability health check failed:', error.message);
+      });
+    }, CAPABILITY_HEALTH_INTERVAL_MS);
+  }
+
+  // Re-read bound Thing properties so live components follow the Thing without regenerating the UI.
+  if (LIVE_PROPERTY_POLL_INTERVAL_MS > 0) {
+    setInterval(() => {
+      pollBoundProperties().catch((error) => {
+        console.error('[Core] Live property poll failed:', error.message);
+      });
+    }, LIVE_PROPERTY_POLL_INTERVAL_MS);
+  }
+
+  // Pick up plugins added, changed or removed while the core runs.
+  watchPluginDirectories();
+
+  // Connect configured MCP servers once the core can serve their tool calls; the health check keeps them alive.
+  applyConfiguredMcpServers();
+  if (MCP_HEALTH_INTERVAL_MS > 0) {
+    setInterval(() => {
+      checkMcpServers().catch((error) => {
+        console.error('[Core] MCP health check failed:', error.message);
+      });
+    }, MCP_HEALTH_INTERVAL_MS);
+  }
 });
 
 registryApp.listen(REGISTRY_PORT, LISTEN_ADDRESS, () => {
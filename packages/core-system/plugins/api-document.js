@@ -0,0 +1,96 @@
+// Helpers for providers that read API documents (OpenAPI, AsyncAPI) instead of WoT Thing Descriptions.
+
+// A Thing either registers the document itself (`{ openapi: '3.0.3', paths, ... }`) or embeds it next to its own
+// fields (`{ title, openapi: { ... } }`).
+const resolveEmbeddedDocument = (description, key) => {
+  const value = description?.[key];
+  if (typeof value === 'string') {
+    return description;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  return null;
+};
+
+export const resolveOpenApiDocument = (description) => resolveEmbeddedDocument(description, 'openapi');
+export const resolveAsyncApiDocument = (description) => resolveEmbeddedDocument(description, 'asyncapi');
+
+export const detectApiDocumentKind = (description) => {
+  if (resolveOpenApiDocument(description)) return 'openapi';
+  if (resolveAsyncApiDocument(description)) return 'asyncapi';
+  return null;
+};
+
+const resolvePointer = (document, ref) => ref
+  .slice(2)
+  .split('/')
+  .map((segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), document);
+
+// Inline local `$ref`s (`#/components/...`) so schemas work with the shared input validator. External references
+// and cycles collapse to `{}`, which accepts anything rather than failing the whole document.
+export const dereference = (document, value, seen = new Set()) => {
+  if (Array.isArray(value)) {
+    return value.map((entry) => dereference(document, entry, seen));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string') {
+    if (!value.$ref.startsWith('#/') || seen.has(value.$ref)) {
+      return {};
+    }
+    const target = resolvePointer(document, value.$ref);
+    return target === undefined ? {} : dereference(document, target, new Set([...seen, value.$ref]));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, dereference(document, entry, seen)]));
+};
+
+const hasScheme = (url) => /^[a-z][a-z0-9+.-]*:\/\//i.test(url);
+
+// Server URLs may contain `{variables}` (their defaults give the concrete URL). AsyncAPI servers may omit the scheme and
+// name the protocol separately; relative URLs resolve against the Thing's `base`.
+export const resolveServerUrl = (server, fallbackBase = '') => {
+  const template = server?.url || (server?.host ? `${server.host}${server.pathname || ''}` : '');
+  if (!template) {
+    return fallbackBase;
+  }
+  const url = template.replace(/\{([^}]+)\}/g, (_, name) => server.variables?.[name]?.default ?? '');
+  let absolute = url;
+  if (!hasScheme(url)) {
+    if (server.protocol && !url.startsWith('/')) {
+      absolute = `${server.protocol}://${url}`;
+    } else if (fallbackBase) {
+      absolute = `${fallbackBase}${url.startsWith('/') ? '' : '/'}${url}`;
+    }
+  }
+  return absolute.endsWith('/') ? absolute.slice(0, -1) : absolute;
+};
+
+// Map OpenAPI/AsyncAPI security schemes onto the TD vocabulary the core invoker applies.
+export const toSecurityDefinitions = (schemes = {}) => Object.fromEntries(
+  Object.entries(schemes || {}).map(([name, scheme = {}]) => {
+    const httpScheme = typeof scheme.scheme === 'string' ? scheme.scheme.toLowerCase() : null;
+    if (scheme.type === 'http' && (httpScheme === 'basic' || httpScheme === 'bearer')) {
+      return [name, { scheme: httpScheme }];
+    }
+    if (scheme.type === 'apiKey' || scheme.type === 'httpApiKey') {
+      return [name, { scheme: 'apikey', in: scheme.in, name: scheme.name }];
+    }
+    if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+      return [name, { scheme: 'oauth2' }];
+    }
+    return [name, { scheme: scheme.type || 'unknown' }];
+  })
+);
+
+// Requirements are alternatives (`[{ a: [] }, { b: [] }]`); the invoker applies every scheme of the first one.
+export const pickSecurityRequirement = (requirements) => {
+  if (!Array.isArray(requirements)) {
+    return undefined;
+  }
+  return Object.keys(requirements[0] || {});
+};
+
+export const resolveApiThingTitle = (description, document) => description?.title || document?.info?.title || null;
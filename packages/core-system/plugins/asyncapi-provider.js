@@ -0,0 +1,164 @@
+import { normalizeForms, resolveBaseUrl } from './thing-description-action-provider.js';
+import {
+  dereference,
+  resolveApiThingTitle,
+  resolveAsyncApiDocument,
+  resolveServerUrl,
+} from './api-document.js';
+
+// AsyncAPI Things: channels the Thing listens on become actions (a client sends a message), channels it publishes on
+// become events. AsyncAPI 2 describes operations from the client's side (`publish` = the client sends); AsyncAPI 3
+// describes them from the application's side (`receive` = the Thing accepts messages).
+
+const decodeRefName = (ref) => (typeof ref === 'string' ? decodeURIComponent(ref.split('/').pop()).replace(/~1/g, '/').replace(/~0/g, '~') : null);
+
+const listChannelOperations = (document) => {
+  if (document.operations && typeof document.operations === 'object') {
+    return Object.entries(document.operations).map(([operationId, rawOperation]) => {
+      const operation = rawOperation || {};
+      const channel = dereference(document, operation.channel) || {};
+      const messages = Array.isArray(operation.messages) && operation.messages.length > 0
+        ? dereference(document, operation.messages)
+        : Object.values(channel.messages || {}).map((message) => dereference(document, message));
+      return {
+        name: operationId,
+        inbound: operation.action === 'receive',
+        address: channel.address ?? decodeRefName(operation.channel?.$ref),
+        channel,
+        operation: dereference(document, { ...operation, channel: undefined, messages: undefined }),
+        messages,
+      };
+    });
+  }
+
+  return Object.entries(document.channels || {}).flatMap(([address, rawChannel]) => {
+    const channel = dereference(document, rawChannel) || {};
+    return [['publish', true], ['subscribe', false]]
+      .filter(([key]) => channel[key] && typeof channel[key] === 'object')
+      .map(([key, inbound]) => {
+        const operation = channel[key];
+        const message = operation.message;
+        return {
+          name: operation.operationId || `${key}_${address.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean).join('_')}`,
+          inbound,
+          address,
+          channel,
+          operation,
+          messages: Array.isArray(message?.oneOf) ? message.oneOf : message ? [message] : [],
+        };
+      });
+  });
+};
+
+// Several possible messages on one channel become a `oneOf` payload.
+const resolvePayload = (messages) => {
+  const payloads = messages.map((message) => message?.payload).filter(Boolean);
+  if (payloads.length === 0) return null;
+  return payloads.length === 1 ? payloads[0] : { oneOf: payloads };
+};
+
+// 2.x parameters carry a `schema`; 3.x parameters are plain string parameters with optional `enum`/`default`.
+const resolveChannelParameters = (channel) => {
+  const entries = Object.entries(channel.parameters || {});
+  if (entries.length === 0) {
+    return undefined;
+  }
+  return Object.fromEntries(entries.map(([name, parameter = {}]) => [name, {
+    ...(parameter.schema || {
+      type: 'string',
+      ...(Array.isArray(parameter.enum) ? { enum: parameter.enum } : {}),
+      ...(parameter.default !== undefined ? { default: parameter.default } : {}),
+    }),
+    ...(parameter.description ? { description: parameter.description } : {}),
+  }]));
+};
+
+const buildThingContext = (context) => {
+  const document = resolveAsyncApiDocument(context.thingDescription);
+  const server = dereference(document, Object.values(document?.servers || {})[0]);
+  return {
+    document,
+    baseUrl: resolveServerUrl(server, resolveBaseUrl(context.thingDescription)),
+    protocol: server?.protocol || null,
+    thingId: context.thingId || context.thingDescription?.id || null,
+    thingTitle: resolveApiThingTitle(context.thingDescription, document),
+  };
+};
+
+const buildDescriptorBase = (thing, entry) => {
+  const contentType = entry.messages.find((message) => message?.contentType)?.contentType
+    || thing.document.defaultContentType
+    || 'application/json';
+  const uriVariables = resolveChannelParameters(entry.channel);
+  return {
+    contentType,
+    descriptor: {
+      name: entry.name,
+      title: entry.operation.summary || entry.operation.title || entry.name,
+      description: entry.operation.description || entry.operation.summary || entry.channel.description || '',
+      capability: entry.operation['x-capability'] || null,
+      metadata: {
+        base: thing.baseUrl,
+        thingTitle: thing.thingTitle,
+        apiKind: 'asyncapi',
+        protocol: thing.protocol,
+        channel: entry.address,
+        uriVariables: uriVariables || null,
+      },
+      source: 'asyncapi',
+      thingId: thing.thingId,
+    },
+  };
+};
+
+const buildActionDescriptor = (thing, entry) => {
+  const { contentType, descriptor } = buildDescriptorBase(thing, entry);
+  const forms = normalizeForms({
+    forms: [{ href: entry.address, method: 'POST', op: 'invokeaction', contentType, subprotocol: thing.protocol || undefined }],
+    baseUrl: thing.baseUrl,
+  });
+  return {
+    ...descriptor,
+    id: `${thing.thingId || 'thing'}::${entry.name}`,
+    input: resolvePayload(entry.messages),
+    output: null,
+    annotations: { op: ['invokeaction'], safe: false, idempotent: false, synchronous: null },
+    transport: forms[0] || null,
+    forms,
+  };
+};
+
+const buildEventDescriptor = (thing, entry) => {
+  const { contentType, descriptor } = buildDescriptorBase(thing, entry);
+  return {
+    ...descriptor,
+    id: `${thing.thingId || 'thing'}::event::${entry.name}`,
+    data: resolvePayload(entry.messages),
+    subscription: null,
+    cancellation: null,
+    forms: normalizeForms({
+      forms: [{ href: entry.address, op: 'subscribeevent', contentType, subprotocol: thing.protocol || undefined }],
+      baseUrl: thing.baseUrl,
+      defaultMethod: 'GET',
+    }),
+  };
+};
+
+const asyncApiProvider = {
+  name: 'asyncapi-provider',
+  supports: (context = {}) => Boolean(resolveAsyncApiDocument(context.thingDescription)),
+  discoverActions: (context = {}) => {
+    const thing = buildThingContext(context);
+    return listChannelOperations(thing.document)
+      .filter((entry) => entry.inbound && entry.address)
+      .map((entry) => buildActionDescriptor(thing, entry));
+  },
+  discoverEvents: (context = {}) => {
+    const thing = buildThingContext(context);
+    return listChannelOperations(thing.document)
+      .filter((entry) => !entry.inbound && entry.address)
+      .map((entry) => buildEventDescriptor(thing, entry));
+  },
+};
+
+export default asyncApiProvider;
@@ -0,0 +1,60 @@
+// MCP Things: the core registers every connected Model Context Protocol server as a Thing whose description lists the
+// server's tools (`{ title, mcp: { server, tools: [...] } }`). Each tool becomes an action invoked through `tools/call`.
+
+export const resolveMcpDescription = (description) => {
+  const mcp = description?.mcp;
+  return mcp && typeof mcp === 'object' && !Array.isArray(mcp) && Array.isArray(mcp.tools) ? mcp : null;
+};
+
+const buildToolDescriptor = ({ thingId, thingTitle, server }, tool) => {
+  const hints = tool.annotations && typeof tool.annotations === 'object' ? tool.annotations : {};
+  const readOnly = hints.readOnlyHint === true;
+  const href = `mcp://${encodeURIComponent(server)}/tools/${encodeURIComponent(tool.name)}`;
+  const form = { id: 'form-0', href, url: href, method: 'POST', contentType: 'application/json', op: ['invokeaction'], subprotocol: 'mcp' };
+
+  return {
+    id: `${thingId || 'thing'}::${tool.name}`,
+    name: tool.name,
+    title: tool.title || hints.title || tool.name,
+    description: tool.description || '',
+    capability: null,
+    input: tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : null,
+    output: tool.outputSchema && typeof tool.outputSchema === 'object' ? tool.outputSchema : null,
+    annotations: {
+      op: ['invokeaction'],
+      safe: readOnly,
+      idempotent: readOnly || hints.idempotentHint === true,
+      synchronous: true,
+    },
+    transport: form,
+    forms: [form],
+    metadata: {
+      thingTitle,
+      mcpServer: server,
+      mcpTool: tool.name,
+      openWorld: hints.openWorldHint ?? null,
+      // The spec defaults `destructiveHint` to true; only servers that say so explicitly get the confirmation step.
+      ...(hints.destructiveHint === true && !readOnly ? { safetyLevel: 'hazardous' } : {}),
+    },
+    source: 'mcp',
+    thingId,
+  };
+};
+
+const mcpProvider = {
+  name: 'mcp-provider',
+  supports: (context = {}) => Boolean(resolveMcpDescription(context.thingDescription)),
+  discoverActions: (context = {}) => {
+    const mcp = resolveMcpDescription(context.thingDescription);
+    const thing = {
+      thingId: context.thingId || context.thingDescription?.id || null,
+      thingTitle: context.thingDescription?.title || mcp?.server || null,
+      server: mcp?.server,
+    };
+    return (mcp?.tools || [])
+      .filter((tool) => tool && typeof tool.name === 'string' && tool.name)
+      .map((tool) => buildToolDescriptor(thing, tool));
+  },
+};
+
+export default mcpProvider;
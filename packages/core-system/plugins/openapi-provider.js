@@ -0,0 +1,161 @@
+import { normalizeForms, resolveBaseUrl } from './thing-description-action-provider.js';
+import {
+  dereference,
+  pickSecurityRequirement,
+  resolveApiThingTitle,
+  resolveOpenApiDocument,
+  resolveServerUrl,
+  toSecurityDefinitions,
+} from './api-document.js';
+
+// OpenAPI 3 Things: every path operation becomes an action (path and query parameters as `uriVariables`, the JSON
+// request body as `input`) and OpenAPI 3.1 `webhooks` become events.
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'trace'];
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+const IDEMPOTENT_METHODS = new Set([...SAFE_METHODS, 'PUT', 'DELETE']);
+
+const pickMediaType = (content) => {
+  const types = Object.keys(content || {});
+  const contentType = types.find((type) => /json/i.test(type)) || types[0];
+  return contentType ? { contentType, schema: content[contentType]?.schema || null } : null;
+};
+
+const buildOperationName = (method, path) => {
+  const segments = path.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return [method, ...segments].join('_');
+};
+
+// Operation parameters override path-item parameters with the same name and location.
+const collectParameters = (document, pathItem, operation) => {
+  const byKey = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .map((parameter) => dereference(document, parameter))
+    .filter((parameter) => parameter?.name && parameter.in)
+    .forEach((parameter) => byKey.set(`${parameter.in}:${parameter.name}`, parameter));
+  return Array.from(byKey.values());
+};
+
+const buildThingContext = (context) => {
+  const document = resolveOpenApiDocument(context.thingDescription);
+  const baseUrl = resolveServerUrl(document?.servers?.[0], resolveBaseUrl(context.thingDescription));
+  return {
+    document,
+    baseUrl,
+    thingId: context.thingId || context.thingDescription?.id || null,
+    thingTitle: resolveApiThingTitle(context.thingDescription, document),
+    securityDefinitions: toSecurityDefinitions(document?.components?.securitySchemes),
+  };
+};
+
+const buildOperationDescriptor = (thing, { path, method, pathItem, operation }) => {
+  const { document, baseUrl, thingId } = thing;
+  const httpMethod = method.toUpperCase();
+  const name = operation.operationId || buildOperationName(method, path);
+  const parameters = collectParameters(document, pathItem, operation).filter((parameter) => ['path', 'query'].includes(parameter.in));
+  const queryNames = parameters.filter((parameter) => parameter.in === 'query').map((parameter) => parameter.name);
+  const requestBody = pickMediaType(dereference(document, operation.requestBody)?.content);
+  const successCodes = Object.keys(operation.responses || {}).filter((code) => /^2/.test(code));
+  const successResponse = dereference(document, operation.responses?.[successCodes.find((code) => code !== '204')]);
+
+  const forms = normalizeForms({
+    forms: [{
+      href: `${path}${queryNames.length > 0 ? `{?${queryNames.join(',')}}` : ''}`,
+      method: httpMethod,
+      op: 'invokeaction',
+      contentType: requestBody?.contentType || 'application/json',
+    }],
+    baseUrl,
+    defaultMethod: httpMethod,
+  });
+
+  return {
+    id: `${thingId || 'thing'}::${name}`,
+    name,
+    title: operation.summary || name,
+    description: operation.description || operation.summary || '',
+    capability: operation['x-capability'] || null,
+    input: dereference(document, requestBody?.schema) || null,
+    output: dereference(document, pickMediaType(successResponse?.content)?.schema) || null,
+    annotations: {
+      op: ['invokeaction'],
+      safe: SAFE_METHODS.has(httpMethod),
+      idempotent: IDEMPOTENT_METHODS.has(httpMethod),
+      // An operation that only ever answers 202 Accepted finishes asynchronously.
+      synchronous: successCodes.length > 0 && successCodes.every((code) => code === '202') ? false : null,
+    },
+    transport: forms[0] || null,
+    forms,
+    security: pickSecurityRequirement(operation.security ?? document.security),
+    metadata: {
+      base: baseUrl,
+      thingTitle: thing.thingTitle,
+      apiKind: 'openapi',
+      path,
+      method: httpMethod,
+      // Schema of the values callers pass as `uriVariables` when invoking.
+      uriVariables: parameters.length > 0
+        ? Object.fromEntries(parameters.map((parameter) => [parameter.name, {
+          ...(parameter.schema || { type: 'string' }),
+          ...(parameter.description ? { description: parameter.description } : {}),
+        }]))
+        : null,
+      tags: Array.isArray(operation.tags) ? operation.tags.slice() : [],
+      requiredUriVariables: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+      deprecated: Boolean(operation.deprecated),
+      securityDefinitions: thing.securityDefinitions,
+      ...(operation['x-metadata'] && typeof operation['x-metadata'] === 'object' ? operation['x-metadata'] : {}),
+    },
+    source: 'openapi',
+    thingId,
+  };
+};
+
+// Webhooks are pushed by the API to a subscriber URL, so the events carry a payload schema but no subscription form.
+const buildWebhookDescriptor = (thing, webhookName, method, operation) => {
+  const { document, thingId } = thing;
+  return {
+    id: `${thingId || 'thing'}::event::${webhookName}`,
+    name: webhookName,
+    title: operation.summary || webhookName,
+    description: operation.description || operation.summary || '',
+    capability: operation['x-capability'] || null,
+    data: dereference(document, pickMediaType(dereference(document, operation.requestBody)?.content)?.schema) || null,
+    subscription: null,
+    cancellation: null,
+    forms: [],
+    metadata: {
+      base: thing.baseUrl,
+      thingTitle: thing.thingTitle,
+      apiKind: 'openapi',
+      delivery: 'webhook',
+      method: method.toUpperCase(),
+    },
+    source: 'openapi',
+    thingId,
+  };
+};
+
+const listOperations = (document, paths) => Object.entries(paths || {}).flatMap(([path, rawPathItem]) => {
+  const pathItem = dereference(document, rawPathItem) || {};
+  return HTTP_METHODS
+    .filter((method) => pathItem[method] && typeof pathItem[method] === 'object')
+    .map((method) => ({ path, method, pathItem, operation: pathItem[method] }));
+});
+
+const openApiProvider = {
+  name: 'openapi-provider',
+  supports: (context = {}) => Boolean(resolveOpenApiDocument(context.thingDescription)),
+  discoverActions: (context = {}) => {
+    const thing = buildThingContext(context);
+    return listOperations(thing.document, thing.document?.paths)
+      .map((entry) => buildOperationDescriptor(thing, entry));
+  },
+  discoverEvents: (context = {}) => {
+    const thing = buildThingContext(context);
+    return listOperations(thing.document, thing.document?.webhooks)
+      .map(({ path, method, operation }) => buildWebhookDescriptor(thing, operation.operationId || path, method, operation));
+  },
+};
+
+export default openApiProvider;
@@ -1,4 +1,4 @@
-const arrayify = (value) => {
+export const arrayify = (value) => {
   if (Array.isArray(value)) {
     return value;
   }
@@ -9,7 +9,7 @@ const arrayify = (value) => {
 };
 
 // Thing Descriptions can set either `base` or `baseUrl`; normalize once so we can resolve relative forms later.
-const resolveBaseUrl = (thingDescription = {}) => {
+export const resolveBaseUrl = (thingDescription = {}) => {
   if (typeof thingDescription.base === 'string' && thingDescription.base.length > 0) {
     return thingDescription.base.endsWith('/') ? thingDescription.base.slice(0, -1) : thingDescription.base;
   }
@@ -46,11 +46,20 @@ const inferMethodFromOps = (ops = []) => {
   if (opList.includes('invokeaction')) {
     return 'POST';
   }
+  if (opList.includes('queryaction')) {
+    return 'GET';
+  }
+  if (opList.includes('cancelaction')) {
+    return 'DELETE';
+  }
+  if (opList.includes('subscribeevent') || opList.includes('observeproperty')) {
+    return 'GET';
+  }
   return null;
 };
 
 // Convert WoT form entries into the subset our action registry consumes (absolute URLs, verb, metadata snapshot).
-const normalizeForms = ({ forms = [], baseUrl, defaultMethod = 'POST', defaultContentType = 'application/json' }) => {
+export const normalizeForms = ({ forms = [], baseUrl, defaultMethod = 'POST', defaultContentType = 'application/json' }) => {
   return arrayify(forms)
     .filter(Boolean)
     .map((form, index) => {
@@ -97,6 +106,9 @@ const buildActionDescriptor = (thingContext, actionName, definition = {}) => {
     output: definition.output || null,
     annotations: {
       op: forms.reduce((acc, form) => acc.concat(form.op || []), []),
+      safe: Boolean(definition.safe),
+      idempotent: Boolean(definition.idempotent),
+      synchronous: typeof definition.synchronous === 'boolean' ? definition.synchronous : null,
     },
     transport: forms[0] || null,
     forms,
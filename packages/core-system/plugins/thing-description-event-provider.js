@@ -0,0 +1,50 @@
+import { normalizeForms, resolveBaseUrl } from './thing-description-action-provider.js';
+
+// Build an event descriptor (subscription forms plus payload schemas) from a WoT EventAffordance.
+const buildEventDescriptor = (thingContext, eventName, definition = {}) => {
+  const baseUrl = resolveBaseUrl(thingContext.thingDescription);
+  const forms = normalizeForms({
+    forms: definition.forms,
+    baseUrl,
+    defaultMethod: 'GET',
+    defaultContentType: 'text/event-stream',
+  });
+  const thingId = thingContext.thingId || thingContext.thingDescription?.id || null;
+
+  return {
+    id: `${thingId || 'thing'}::event::${eventName}`,
+    name: eventName,
+    title: definition.title || eventName,
+    description: definition.description || '',
+    capability: definition['@type'] || null,
+    data: definition.data || null,
+    subscription: definition.subscription || null,
+    cancellation: definition.cancellation || null,
+    forms,
+    security: thingContext.thingDescription?.security,
+    metadata: {
+      base: baseUrl,
+      thingTitle: thingContext.thingDescription?.title,
+      ...(definition.metadata && typeof definition.metadata === 'object' ? definition.metadata : {}),
+    },
+    source: 'thing-description',
+    thingId,
+  };
+};
+
+const thingDescriptionEventProvider = {
+  name: 'thing-description-event-provider',
+  supports: (context = {}) => Boolean(context.thingDescription && context.thingDescription.events),
+  discoverEvents: (context = {}) => {
+    const events = context.thingDescription?.events;
+    if (!events || typeof events !== 'object') {
+      return [];
+    }
+
+    return Object.entries(events).map(([eventName, definition]) =>
+      buildEventDescriptor(context, eventName, definition || {})
+    );
+  },
+};
+
+export default thingDescriptionEventProvider;
@@ -0,0 +1,58 @@
+import { normalizeForms, resolveBaseUrl } from './thing-description-action-provider.js';
+
+// Interaction-level keys of a PropertyAffordance; everything else is its data schema.
+const AFFORDANCE_KEYS = new Set(['forms', 'title', 'titles', 'description', 'descriptions', '@type', 'uriVariables', 'observable', 'metadata']);
+
+const extractDataSchema = (definition = {}) => Object.fromEntries(
+  Object.entries(definition).filter(([key]) => !AFFORDANCE_KEYS.has(key))
+);
+
+// Build a property descriptor (read/write/observe forms plus the value schema) from a WoT PropertyAffordance.
+const buildPropertyDescriptor = (thingContext, propertyName, definition = {}) => {
+  const baseUrl = resolveBaseUrl(thingContext.thingDescription);
+  const forms = normalizeForms({
+    forms: definition.forms,
+    baseUrl,
+    defaultMethod: 'GET',
+    defaultContentType: 'application/json',
+  });
+  const thingId = thingContext.thingId || thingContext.thingDescription?.id || null;
+
+  return {
+    id: `${thingId || 'thing'}::property::${propertyName}`,
+    name: propertyName,
+    title: definition.title || propertyName,
+    description: definition.description || '',
+    capability: definition['@type'] || null,
+    schema: extractDataSchema(definition),
+    readOnly: Boolean(definition.readOnly),
+    writeOnly: Boolean(definition.writeOnly),
+    observable: Boolean(definition.observable),
+    forms,
+    security: thingContext.thingDescription?.security,
+    metadata: {
+      base: baseUrl,
+      thingTitle: thingContext.thingDescription?.title,
+      ...(definition.metadata && typeof definition.metadata === 'object' ? definition.metadata : {}),
+    },
+    source: 'thing-description',
+    thingId,
+  };
+};
+
+const thingDescriptionPropertyProvider = {
+  name: 'thing-description-property-provider',
+  supports: (context = {}) => Boolean(context.thingDescription && context.thingDescription.properties),
+  discoverProperties: (context = {}) => {
+    const properties = context.thingDescription?.properties;
+    if (!properties || typeof properties !== 'object') {
+      return [];
+    }
+
+    return Object.entries(properties).map(([propertyName, definition]) =>
+      buildPropertyDescriptor(context, propertyName, definition || {})
+    );
+  },
+};
+
+export default thingDescriptionPropertyProvider;
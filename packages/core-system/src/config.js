@@ -18,3 +18,127 @@ export const LISTEN_ADDRESS = process.env.BIND_ADDRESS || '0.0.0.0';
 export const PACKAGE_ROOT = path.resolve(__dirname, '..');
 export const PROMPTS_DIR = path.resolve(PACKAGE_ROOT, 'prompts');
 export const DEFAULT_RESPONSE_SCHEMA_PATH = path.resolve(PACKAGE_ROOT, 'output.schema.json');
+
+// Registry persistence: `json` (default), `sqlite` (requires better-sqlite3) or `none` to keep everything in memory.
+export const REGISTRY_PERSISTENCE_DRIVER = (process.env.REGISTRY_PERSISTENCE_DRIVER || 'json').toLowerCase();
+export const REGISTRY_STATE_FILE = process.env.REGISTRY_STATE_FILE
+  ? path.resolve(process.env.REGISTRY_STATE_FILE)
+  : path.join(PACKAGE_ROOT, 'data', REGISTRY_PERSISTENCE_DRIVER === 'sqlite' ? 'registry-state.sqlite' : 'registry-state.json');
+export const REGISTRY_PERSIST_DEBOUNCE_MS = Number.parseInt(process.env.REGISTRY_PERSIST_DEBOUNCE_MS || '2000', 10);
+export const REGISTRY_PERSIST_INTERVAL_MS = Number.parseInt(process.env.REGISTRY_PERSIST_INTERVAL_MS || '30000', 10);
+
+// Heartbeat TTLs per record type (0 disables expiry); the reaper evicts anything silent for longer than its TTL.
+export const REGISTRY_TTL_MS = {
+  service: Number.parseInt(process.env.REGISTRY_SERVICE_TTL_MS || '120000', 10),
+  capability: Number.parseInt(process.env.REGISTRY_CAPABILITY_TTL_MS || '120000', 10),
+  device: Number.parseInt(process.env.REGISTRY_DEVICE_TTL_MS || '120000', 10),
+  thing: Number.parseInt(process.env.REGISTRY_THING_TTL_MS || '120000', 10),
+};
+export const REGISTRY_REAPER_INTERVAL_MS = Number.parseInt(process.env.REGISTRY_REAPER_INTERVAL_MS || '15000', 10);
+
+// Registry change feed (SSE): how many events are kept for Last-Event-ID replay and how often idle streams are pinged.
+export const REGISTRY_EVENT_BUFFER_SIZE = Number.parseInt(process.env.REGISTRY_EVENT_BUFFER_SIZE || '500', 10);
+export const REGISTRY_EVENT_KEEPALIVE_MS = Number.parseInt(process.env.REGISTRY_EVENT_KEEPALIVE_MS || '15000', 10);
+
+// Number of Thing Description versions kept per Thing for `GET /things/:id/history`.
+export const THING_HISTORY_LIMIT = Number.parseInt(process.env.THING_HISTORY_LIMIT || '10', 10);
+
+// Pagination bounds for `GET /query/:collection`.
+export const QUERY_DEFAULT_LIMIT = Number.parseInt(process.env.QUERY_DEFAULT_LIMIT || '50', 10);
+export const QUERY_MAX_LIMIT = Number.parseInt(process.env.QUERY_MAX_LIMIT || '500', 10);
+
+// Thing Description validation on registration: `warn` (default) records problems, `strict` rejects invalid TDs, `off` skips checks.
+export const TD_VALIDATION_MODE = (process.env.TD_VALIDATION_MODE || 'warn').toLowerCase();
+
+// Core-side action invocation (`POST /actions/:id/invoke`): per-attempt timeout and how often failed deliveries are retried.
+export const ACTION_INVOKE_TIMEOUT_MS = Number.parseInt(process.env.ACTION_INVOKE_TIMEOUT_MS || '10000', 10);
+export const ACTION_INVOKE_RETRIES = Number.parseInt(process.env.ACTION_INVOKE_RETRIES || '2', 10);
+export const ACTION_INVOKE_RETRY_DELAY_MS = Number.parseInt(process.env.ACTION_INVOKE_RETRY_DELAY_MS || '500', 10);
+
+const parseJsonMapEnv = (name) => {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`[Config] Ignoring ${name}; it is not valid JSON:`, error.message);
+    return {};
+  }
+};
+
+// Credentials for TD security schemes, keyed by Thing id (or `*`), e.g. {"thing-1":{"username":"u","password":"p"}}.
+export const THING_CREDENTIALS = parseJsonMapEnv('THING_CREDENTIALS');
+
+// Asynchronous action instances: how often running instances are polled on the Thing, how many failed polls mark
+// them failed, and how long finished instances stay queryable.
+export const ACTION_STATUS_POLL_INTERVAL_MS = Number.parseInt(process.env.ACTION_STATUS_POLL_INTERVAL_MS || '1000', 10);
+export const ACTION_STATUS_MAX_POLL_FAILURES = Number.parseInt(process.env.ACTION_STATUS_MAX_POLL_FAILURES || '3', 10);
+export const ACTION_INSTANCE_RETENTION_MS = Number.parseInt(process.env.ACTION_INSTANCE_RETENTION_MS || '600000', 10);
+
+// Action safety: level overrides keyed by action id or `thingId::*` (e.g. {"thing-arm::pause":"hazardous"}), how long a
+// confirmation token stays valid, and how many safety decisions the audit log keeps.
+export const ACTION_SAFETY_OVERRIDES = parseJsonMapEnv('ACTION_SAFETY_OVERRIDES');
+export const ACTION_CONFIRMATION_TTL_MS = Number.parseInt(process.env.ACTION_CONFIRMATION_TTL_MS || '60000', 10);
+export const ACTION_AUDIT_LOG_SIZE = Number.parseInt(process.env.ACTION_AUDIT_LOG_SIZE || '500', 10);
+
+// Scenes: definitions seeded at startup, keyed by scene id (e.g. {"all-off":{"steps":[{"actionId":"thing-lamp::turnoff"}]}}),
+// and the longest delay a single step may wait before it runs.
+export const SCENES = parseJsonMapEnv('SCENES');
+export const SCENE_MAX_STEP_DELAY_MS = Number.parseInt(process.env.SCENE_MAX_STEP_DELAY_MS || '60000', 10);
+
+// Model Context Protocol servers connected at startup, keyed by name: stdio ({"command":"node","args":["server.js"]}) or
+// streamable HTTP ({"url":"http://host/mcp"}). How long a single MCP request may take, and how often connected servers
+// are pinged (and disconnected ones retried).
+export const MCP_SERVERS = parseJsonMapEnv('MCP_SERVERS');
+export const MCP_REQUEST_TIMEOUT_MS = Number.parseInt(process.env.MCP_REQUEST_TIMEOUT_MS || '15000', 10);
+export const MCP_HEALTH_INTERVAL_MS = Number.parseInt(process.env.MCP_HEALTH_INTERVAL_MS || '15000', 10);
+
+const parseListEnv = (name) => (process.env[name] || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+// Plugins: directories scanned for manifests (`*.plugin.json` files and `<dir>/plugin.json`; `plugins/` always, more via
+// PLUGIN_DIRECTORIES), npm packages that ship a `plugin.json`, plugin names disabled at startup, and whether the
+// directories are watched so changes reload live.
+export const PLUGIN_DIRECTORIES = Array.from(new Set([
+  path.join(PACKAGE_ROOT, 'plugins'),
+  ...parseListEnv('PLUGIN_DIRECTORIES').map((directory) => path.resolve(directory)),
+]));
+export const PLUGIN_PACKAGES = parseListEnv('PLUGIN_PACKAGES');
+export const PLUGINS_DISABLED = parseListEnv('PLUGINS_DISABLED');
+export const PLUGIN_WATCH = (process.env.PLUGIN_WATCH || 'true').toLowerCase() !== 'false';
+export const PLUGIN_RELOAD_DEBOUNCE_MS = Number.parseInt(process.env.PLUGIN_RELOAD_DEBOUNCE_MS || '500', 10);
+
+// Capability calls during UI generation: per-request timeout (endpoints may set their own `timeoutMs`), how often
+// registered `health` endpoints are probed, how many consecutive failures open a capability's circuit, and how long an
+// open circuit waits before letting a trial request through.
+export const CAPABILITY_REQUEST_TIMEOUT_MS = Number.parseInt(process.env.CAPABILITY_REQUEST_TIMEOUT_MS || '5000', 10);
+export const CAPABILITY_HEALTH_INTERVAL_MS = Number.parseInt(process.env.CAPABILITY_HEALTH_INTERVAL_MS || '15000', 10);
+export const CAPABILITY_FAILURE_THRESHOLD = Number.parseInt(process.env.CAPABILITY_FAILURE_THRESHOLD || '3', 10);
+export const CAPABILITY_CIRCUIT_RESET_MS = Number.parseInt(process.env.CAPABILITY_CIRCUIT_RESET_MS || '30000', 10);
+
+// How long data pushed to `POST /capabilities/:name/data` is used before generation fetches the capability again
+// (a push may shorten or extend it with `ttlMs`).
+export const CAPABILITY_DATA_TTL_MS = Number.parseInt(process.env.CAPABILITY_DATA_TTL_MS || '60000', 10);
+
+// UI generation cache: how long a generated UI is reused for an identical generation context (0 disables the cache),
+// how many contexts are kept, and which data fields are ignored when hashing capability data (sensor timestamps).
+export const GENERATION_CACHE_TTL_MS = Number.parseInt(process.env.GENERATION_CACHE_TTL_MS || '600000', 10);
+export const GENERATION_CACHE_MAX_ENTRIES = Number.parseInt(process.env.GENERATION_CACHE_MAX_ENTRIES || '200', 10);
+export const GENERATION_CACHE_IGNORED_FIELDS = process.env.GENERATION_CACHE_IGNORED_FIELDS
+  ? parseListEnv('GENERATION_CACHE_IGNORED_FIELDS')
+  : ['timestamp', 'updatedAt', 'receivedAt', 'generatedAt'];
+
+// Serve the rule-based UI (src/services/fallback-ui.js) when the knowledge base is unreachable, errors or returns
+// nothing, instead of failing the generation.
+export const UI_FALLBACK_ON_KB_FAILURE = (process.env.UI_FALLBACK_ON_KB_FAILURE || 'true').toLowerCase() !== 'false';
+// The fallback reads current property values for its status cards and toggles; slow Things show "unavailable".
+export const UI_FALLBACK_PROPERTY_READ_TIMEOUT_MS = Number.parseInt(process.env.UI_FALLBACK_PROPERTY_READ_TIMEOUT_MS || '1500', 10);
+
+// Components bound to a Thing property (`propertyId`) or event (`eventId`) get live values pushed over the device's
+// WebSocket: bound properties are read every LIVE_PROPERTY_POLL_INTERVAL_MS (`0` disables polling), bound events are
+// relayed from one subscription per event, reopened after LIVE_EVENT_RECONNECT_MS when the Thing drops it.
+export const LIVE_PROPERTY_POLL_INTERVAL_MS = Number.parseInt(process.env.LIVE_PROPERTY_POLL_INTERVAL_MS || '5000', 10);
+export const LIVE_PROPERTY_READ_TIMEOUT_MS = Number.parseInt(process.env.LIVE_PROPERTY_READ_TIMEOUT_MS || '3000', 10);
+export const LIVE_EVENT_RECONNECT_MS = Number.parseInt(process.env.LIVE_EVENT_RECONNECT_MS || '5000', 10);
@@ -0,0 +1,32 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Keeps the whole registry snapshot in a single JSON document; writes go through a temp file so a crash never leaves half a snapshot behind.
+export const createJsonFileStore = ({ filePath }) => {
+  if (!filePath) {
+    throw new Error('JSON file persistence requires a `filePath`.');
+  }
+
+  return {
+    name: 'json',
+    location: filePath,
+    load: async () => {
+      try {
+        const raw = await fs.readFile(filePath, 'utf-8');
+        return raw.trim() ? JSON.parse(raw) : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    save: async (snapshot) => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+      await fs.rename(tempPath, filePath);
+    },
+    close: async () => {},
+  };
+};
@@ -0,0 +1,45 @@
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+// SQLite backend for deployments that prefer a single database file. better-sqlite3 is an optional dependency,
+// so it is imported lazily and only when this driver is selected.
+export const createSqliteStore = async ({ filePath }) => {
+  if (!filePath) {
+    throw new Error('SQLite persistence requires a `filePath`.');
+  }
+
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(`SQLite persistence requires the 'better-sqlite3' package: ${error.message}`);
+  }
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS registry_snapshots (
+    key TEXT PRIMARY KEY,
+    payload TEXT NOT NULL,
+    saved_at TEXT NOT NULL
+  )`);
+
+  const selectSnapshot = db.prepare('SELECT payload FROM registry_snapshots WHERE key = ?');
+  const upsertSnapshot = db.prepare(`INSERT INTO registry_snapshots (key, payload, saved_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET payload = excluded.payload, saved_at = excluded.saved_at`);
+
+  return {
+    name: 'sqlite',
+    location: filePath,
+    load: async () => {
+      const row = selectSnapshot.get('registry');
+      return row ? JSON.parse(row.payload) : null;
+    },
+    save: async (snapshot) => {
+      upsertSnapshot.run('registry', JSON.stringify(snapshot), new Date().toISOString());
+    },
+    close: async () => {
+      db.close();
+    },
+  };
+};
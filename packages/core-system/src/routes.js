@@ -5,20 +5,105 @@ import {
   registerDevice,
   registrySnapshot,
   findService,
-  serviceRegistryByType
+  serviceRegistryByType,
+  recordHeartbeat,
+  normalizeRecordType,
+  resolveCapabilityRecord,
+  unregisterService,
+  unregisterThing,
+  unregisterDevice,
+  updateThingDescription,
+  getThingHistory,
+  thingRegistry
 } from './services/registry.js';
-import { generateUiForDevice } from './services/orchestrator.js';
-import { getActionsForThing, getActionById } from '../action-registry.js';
+import {
+  generateUiForDevice,
+  refreshDevicesAssociatedWithThing,
+  findDevicesReferencing,
+  regenerateDevices
+} from './services/orchestrator.js';
+import { getPersistenceStatus } from './services/persistence.js';
+import { streamRegistryEvents } from './transport/registry-events.js';
+import { queryRegistry, listQueryCollections } from './services/query.js';
+import {
+  listDirectoryThings,
+  retrieveDirectoryThing,
+  upsertDirectoryThing,
+  createAnonymousDirectoryThing,
+  patchDirectoryThing,
+  deleteDirectoryThing,
+  searchDirectoryJsonPath,
+  buildDirectoryDescription
+} from './services/thing-directory.js';
+import {
+  getActionsForThing,
+  getActionById,
+  ensureThingProperties,
+  ensureThingEvents,
+  setActionSafetyOverride,
+  listActionSafetyOverrides,
+  listRegisteredActionProviders,
+  listRegisteredPropertyProviders,
+  listRegisteredEventProviders
+} from '../action-registry.js';
+import { invokeAction, cancelActionInstance } from './services/action-invoker.js';
+import {
+  ACTION_INSTANCE_STATUSES,
+  getActionInstance,
+  listActionInstances,
+  isTerminalActionStatus,
+} from './services/action-instances.js';
+import { confirmationLedger } from './services/action-safety.js';
+import { listScenes, getScene, defineScene, deleteScene } from './services/scenes.js';
+import { listMcpServers, getMcpServer, defineMcpServer, deleteMcpServer } from './services/mcp-servers.js';
+import {
+  listPlugins,
+  listPluginErrors,
+  getPlugin,
+  reloadPlugins,
+  setPluginEnabled,
+  collectAdapterCapability,
+  invokeAdapterTool,
+} from './services/plugins.js';
+import { getCapabilityHealth } from './services/capability-health.js';
+import { publishCapabilityData, getFreshCapabilityData } from './services/capability-data.js';
+import { getGenerationCacheStats, clearGenerationCache } from './services/generation-cache.js';
+import { getGenerationQueueStats } from './services/generation-queue.js';
 import { nowIsoString } from './utils.js';
+import { validateActionInput, describeActionInputFailure } from '../../shared/action-input.js';
+import { confirmationStatusCode } from '../../shared/action-safety.js';
 import { deviceRegistry } from './services/registry.js'; // Need to access device registry for some /refresh logic
 
 export const coreRouter = express.Router();
 export const registryRouter = express.Router();
+export const thingDirectoryRouter = express.Router();
+
+// `?strict=true|false` overrides TD_VALIDATION_MODE for a single request; absent means "use the configured mode".
+const readStrictFlag = (req) => {
+  if (req.query.strict === undefined) return undefined;
+  return req.query.strict === 'true' || req.query.strict === '1';
+};
+
+// Strict-mode rejections carry the full validation report so clients can fix every problem in one pass.
+const sendRegistrationError = (res, error) => {
+  res.status(400).json({ error: error.message, ...(error.validation ? { validation: error.validation } : {}) });
+};
+
+const logValidationProblems = (thingId, validation) => {
+  if (validation && !validation.valid) {
+    console.warn(`Thing ${thingId} has ${validation.errors.length} TD validation error(s); first: ${validation.errors[0].path} ${validation.errors[0].message}`);
+  }
+};
 
 // --- Core Router (Port 3001) ---
 
 coreRouter.get('/health', (_req, res) => {
-  res.json({ status: 'ok', timestamp: nowIsoString(), registeredDevices: deviceRegistry.size });
+  res.json({
+    status: 'ok',
+    timestamp: nowIsoString(),
+    registeredDevices: deviceRegistry.size,
+    persistence: getPersistenceStatus(),
+  });
 });
 
 coreRouter.get('/', (_req, res) => {
@@ -26,7 +111,26 @@ coreRouter.get('/', (_req, res) => {
 });
 
 coreRouter.get('/registry', (_req, res) => {
-  res.json(registrySnapshot());
+  const snapshot = registrySnapshot();
+  res.json({
+    ...snapshot,
+    capabilities: snapshot.capabilities.map((record) => ({ ...record, health: getCapabilityHealth(record.name) })),
+  });
+});
+
+coreRouter.get('/registry/events', streamRegistryEvents);
+
+coreRouter.get('/query', (_req, res) => {
+  res.json({ collections: listQueryCollections() });
+});
+
+// Filterable, paginated view over the registry, e.g. /query/actions?metadata.capability=lighting&fields=id,title
+coreRouter.get('/query/:collection', (req, res) => {
+  try {
+    res.json(queryRegistry(req.params.collection, req.query));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 coreRouter.get('/things/:thingId/actions', (req, res) => {
@@ -35,8 +139,71 @@ coreRouter.get('/things/:thingId/actions', (req, res) => {
   res.json({ thingId, count: actions.length, actions });
 });
 
+// Property and event descriptors are derived lazily so Things restored from a snapshot are covered too.
+const describeThingAffordances = (thingId, ensureAffordances) => {
+  const thing = thingRegistry.get(thingId);
+  if (!thing) {
+    return null;
+  }
+  return ensureAffordances({ thingId, thingDescription: thing.description, metadata: thing.metadata });
+};
+
+coreRouter.get('/things/:thingId/properties', (req, res) => {
+  const { thingId } = req.params;
+  const properties = describeThingAffordances(thingId, ensureThingProperties);
+  if (!properties) {
+    return res.status(404).json({ error: `Thing '${thingId}' not found.` });
+  }
+  res.json({ thingId, count: properties.length, properties });
+});
+
+coreRouter.get('/things/:thingId/events', (req, res) => {
+  const { thingId } = req.params;
+  const events = describeThingAffordances(thingId, ensureThingEvents);
+  if (!events) {
+    return res.status(404).json({ error: `Thing '${thingId}' not found.` });
+  }
+  res.json({ thingId, count: events.length, events });
+});
+
+coreRouter.put('/things/:thingId', (req, res) => {
+  const { thingId } = req.params;
+  const body = req.body || {};
+  // Accept either a bare TD or `{ description, metadata }`.
+  const description = body.description && typeof body.description === 'object' ? body.description : body;
+
+  try {
+    const result = updateThingDescription({
+      id: thingId,
+      description,
+      metadata: body.description ? body.metadata : undefined,
+      strict: readStrictFlag(req),
+    });
+    if (!result) {
+      return res.status(404).json({ error: `Thing '${thingId}' not found. Register it via /register/thing first.` });
+    }
+    const { record, diff } = result;
+    console.log(
+      `Thing updated: ${thingId} v${record.version} (+${diff.added.length} -${diff.removed.length} ~${diff.changed.length} affordances)`
+    );
+    logValidationProblems(thingId, record.validation);
+    res.json({ status: 'updated', thingId, version: record.version, diff, actions: record.actions, validation: record.validation });
+  } catch (error) {
+    sendRegistrationError(res, error);
+  }
+});
+
+coreRouter.get('/things/:thingId/history', (req, res) => {
+  const { thingId } = req.params;
+  if (!thingRegistry.has(thingId)) {
+    return res.status(404).json({ error: `Thing '${thingId}' not found.` });
+  }
+  const history = getThingHistory(thingId);
+  res.json({ thingId, currentVersion: thingRegistry.get(thingId).version || 1, count: history.length, history });
+});
+
 coreRouter.get('/actions/:actionId', (req, res) => {
-  const actionId = decodeURIComponent(req.params.actionId);
+  const { actionId } = req.params;
   const action = getActionById(actionId);
   if (!action) {
     return res.status(404).json({ error: `Action '${actionId}' not found.` });
@@ -44,6 +211,304 @@ coreRouter.get('/actions/:actionId', (req, res) => {
   res.json({ action });
 });
 
+// Dry-run of the shared input rules: returns the coerced, defaulted payload a device would send, or the uniform 400 body.
+coreRouter.post('/actions/:actionId/validate', (req, res) => {
+  const { actionId } = req.params;
+  const action = getActionById(actionId);
+  if (!action) {
+    return res.status(404).json({ error: `Action '${actionId}' not found.` });
+  }
+  const { valid, value, errors } = validateActionInput(action.input, req.body);
+  if (!valid) {
+    return res.status(400).json(describeActionInputFailure(actionId, errors));
+  }
+  res.json({ valid, actionId, input: value });
+});
+
+// Core-side invocation: devices only send an action id; form selection, security, retries and logging happen here.
+coreRouter.post('/actions/:actionId/invoke', async (req, res) => {
+  const { actionId } = req.params;
+  const { input, uriVariables, deviceId, context, confirmationToken } = req.body || {};
+  try {
+    const result = await invokeAction(actionId, { input, uriVariables, deviceId, context, confirmationToken });
+    if (!result) {
+      return res.status(404).json({ error: `Action '${actionId}' not found.` });
+    }
+    if (result.ok && !isTerminalActionStatus(result.status)) {
+      // Still running on the Thing: point the caller at the instance, as the WoT HTTP profile does for async actions.
+      return res.status(201).location(result.href).json(result);
+    }
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (error) {
+    if (error.confirmation) {
+      return res.status(confirmationStatusCode(error.confirmation)).json(error.confirmation);
+    }
+    console.error(`[Core] Failed to invoke action ${actionId}:`, error.message);
+    res.status(400).json(error.validation || { error: error.message });
+  }
+});
+
+// Action instances created by /invoke; `href` in the invoke response points here.
+coreRouter.get('/action-instances', (req, res) => {
+  const { deviceId, actionId, thingId, status } = req.query;
+  if (status && !ACTION_INSTANCE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status '${status}'. Use one of: ${ACTION_INSTANCE_STATUSES.join(', ')}.` });
+  }
+  const instances = listActionInstances({ deviceId, actionId, thingId, status });
+  res.json({ count: instances.length, instances });
+});
+
+coreRouter.get('/action-instances/:instanceId', (req, res) => {
+  const instance = getActionInstance(req.params.instanceId);
+  if (!instance) {
+    return res.status(404).json({ error: `Action instance '${req.params.instanceId}' not found.` });
+  }
+  res.json(instance);
+});
+
+coreRouter.delete('/action-instances/:instanceId', async (req, res) => {
+  const { instanceId } = req.params;
+  const instance = getActionInstance(instanceId);
+  if (!instance) {
+    return res.status(404).json({ error: `Action instance '${instanceId}' not found.` });
+  }
+  if (isTerminalActionStatus(instance.status)) {
+    return res.status(409).json({ error: `Action instance '${instanceId}' is already ${instance.status}.`, instance });
+  }
+  try {
+    const cancelled = await cancelActionInstance(instanceId);
+    if (cancelled.status !== 'cancelled') {
+      return res.status(409).json({ error: `Action instance '${instanceId}' is ${cancelled.status} on the Thing and could not be cancelled.`, instance: cancelled });
+    }
+    res.json(cancelled);
+  } catch (error) {
+    console.error(`[Core] Failed to cancel action instance ${instanceId}:`, error.message);
+    res.status(502).json({ error: error.message, instance });
+  }
+});
+
+// Safety: registry overrides for action safety levels, the decision audit log, and declining a pending confirmation.
+coreRouter.get('/safety/overrides', (_req, res) => {
+  res.json({ overrides: listActionSafetyOverrides() });
+});
+
+const updateSafetyOverride = (req, res, level) => {
+  const key = req.params.key;
+  try {
+    const affected = setActionSafetyOverride(key, level);
+    console.log(`[Core] Safety override for '${key}' ${level ? `set to ${level}` : 'removed'} (${affected.length} action(s)).`);
+    // Re-generate UIs so hazardous controls gain (or lose) their confirmation pattern.
+    new Set(affected.map((action) => action.thingId)).forEach((thingId) => {
+      setTimeout(() => refreshDevicesAssociatedWithThing(thingId), 0);
+    });
+    res.json({
+      key,
+      level,
+      actions: affected.map((action) => ({ id: action.id, safety: action.safety })),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+coreRouter.put('/safety/overrides/:key', (req, res) => updateSafetyOverride(req, res, req.body?.level));
+coreRouter.delete('/safety/overrides/:key', (req, res) => updateSafetyOverride(req, res, null));
+
+coreRouter.get('/safety/audit', (req, res) => {
+  const { actionId, deviceId, decision } = req.query;
+  const limit = req.query.limit !== undefined ? Number.parseInt(req.query.limit, 10) : undefined;
+  const entries = confirmationLedger.listAudit({ actionId, deviceId, decision, limit });
+  res.json({ count: entries.length, entries });
+});
+
+coreRouter.delete('/safety/confirmations/:token', (req, res) => {
+  const entry = confirmationLedger.decline(req.params.token, { reason: req.body?.reason || undefined });
+  if (!entry) {
+    return res.status(404).json({ error: 'Confirmation token not found or already used.' });
+  }
+  res.json({ status: 'declined', audit: entry });
+});
+
+// Scenes: named sequences of Thing actions, invoked like any action through POST /actions/scene::{name}/invoke.
+coreRouter.get('/scenes', (_req, res) => {
+  const scenes = listScenes();
+  res.json({ count: scenes.length, scenes });
+});
+
+coreRouter.get('/scenes/:sceneId', (req, res) => {
+  try {
+    const scene = getScene(req.params.sceneId);
+    if (!scene) {
+      return res.status(404).json({ error: `Scene '${req.params.sceneId}' not found.` });
+    }
+    res.json({ scene, action: getActionById(scene.id) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.put('/scenes/:sceneId', (req, res) => {
+  try {
+    const { created, scene, action } = defineScene(req.params.sceneId, req.body);
+    console.log(`[Core] Scene ${scene.id} ${created ? 'created' : 'updated'} with ${scene.steps.length} step(s).`);
+    // New scenes show up on the next generation; UIs already bound to a changed scene are regenerated now.
+    if (!created) {
+      regenerateDevices(findDevicesReferencing([scene.id]), `scene '${scene.id}' update`);
+    }
+    res.status(created ? 201 : 200).json({ scene, action });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.delete('/scenes/:sceneId', (req, res) => {
+  try {
+    const scene = deleteScene(req.params.sceneId);
+    if (!scene) {
+      return res.status(404).json({ error: `Scene '${req.params.sceneId}' not found.` });
+    }
+    console.log(`[Core] Scene ${scene.id} deleted.`);
+    regenerateDevices(findDevicesReferencing([scene.id]), `scene '${scene.id}' removal`);
+    res.json({ status: 'deleted', scene });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// MCP servers: the core connects to each one (stdio or streamable HTTP) and publishes its tools as Thing actions.
+coreRouter.get('/mcp/servers', (_req, res) => {
+  const servers = listMcpServers();
+  res.json({ count: servers.length, servers });
+});
+
+coreRouter.get('/mcp/servers/:name', (req, res) => {
+  try {
+    const server = getMcpServer(req.params.name);
+    if (!server) {
+      return res.status(404).json({ error: `MCP server '${req.params.name}' not found.` });
+    }
+    res.json(server);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.put('/mcp/servers/:name', async (req, res) => {
+  try {
+    const { created, server } = await defineMcpServer(req.params.name, req.body);
+    console.log(`[Core] MCP server '${server.name}' ${created ? 'registered' : 'updated'} (${server.status}).`);
+    res.status(created ? 201 : 200).json({ server, actions: getActionsForThing(server.thingId) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.delete('/mcp/servers/:name', async (req, res) => {
+  try {
+    const server = await deleteMcpServer(req.params.name);
+    if (!server) {
+      return res.status(404).json({ error: `MCP server '${req.params.name}' not found.` });
+    }
+    console.log(`[Core] MCP server '${server.name}' removed.`);
+    res.json({ status: 'unregistered', server });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Tool endpoint of the MCP capability: the knowledge base agent posts the tool arguments as the body. Calls go through
+// the regular invoker, so input validation and the hazardous-action gate apply as for any action.
+coreRouter.post('/mcp/servers/:name/tools/:tool/call', async (req, res) => {
+  try {
+    const server = getMcpServer(req.params.name);
+    if (!server) {
+      return res.status(404).json({ error: `MCP server '${req.params.name}' not found.` });
+    }
+    const actionId = `${server.thingId}::${req.params.tool}`;
+    const result = await invokeAction(actionId, { input: req.body, context: { source: 'mcp-tool-call' } });
+    if (!result) {
+      return res.status(404).json({ error: `Tool '${req.params.tool}' not found on MCP server '${server.name}'.` });
+    }
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (error) {
+    if (error.confirmation) {
+      return res.status(confirmationStatusCode(error.confirmation)).json(error.confirmation);
+    }
+    res.status(400).json(error.validation || { error: error.message });
+  }
+});
+
+// Plugins: manifests found in the plugin directories and packages. `/plugins/providers` must precede `/plugins/:name`.
+coreRouter.get('/plugins', (_req, res) => {
+  const plugins = listPlugins();
+  res.json({ count: plugins.length, plugins, errors: listPluginErrors() });
+});
+
+coreRouter.get('/plugins/providers', (_req, res) => {
+  res.json({
+    actionProviders: listRegisteredActionProviders(),
+    propertyProviders: listRegisteredPropertyProviders(),
+    eventProviders: listRegisteredEventProviders(),
+  });
+});
+
+coreRouter.post('/plugins/reload', async (_req, res) => {
+  try {
+    const plugins = await reloadPlugins();
+    res.json({ count: plugins.length, plugins, errors: listPluginErrors() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.get('/plugins/:name', (req, res) => {
+  const plugin = getPlugin(req.params.name);
+  if (!plugin) {
+    return res.status(404).json({ error: `Plugin '${req.params.name}' not found.` });
+  }
+  res.json(plugin);
+});
+
+const handlePluginToggle = (enabled) => async (req, res) => {
+  try {
+    const plugin = await setPluginEnabled(req.params.name, enabled);
+    if (!plugin) {
+      return res.status(404).json({ error: `Plugin '${req.params.name}' not found.` });
+    }
+    res.json(plugin);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+coreRouter.post('/plugins/:name/enable', handlePluginToggle(true));
+coreRouter.post('/plugins/:name/disable', handlePluginToggle(false));
+
+// Endpoints registered for plugin capability adapters; the orchestrator posts `{ context }` and stores the response.
+coreRouter.post('/plugins/:name/capabilities/:capability', async (req, res) => {
+  try {
+    const collected = await collectAdapterCapability(req.params.name, req.params.capability, req.body?.context || {});
+    if (!collected) {
+      return res.status(404).json({ error: `Plugin '${req.params.name}' provides no capability '${req.params.capability}'.` });
+    }
+    res.json(collected.data ?? null);
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+coreRouter.post('/plugins/:name/capabilities/:capability/tools/:tool', async (req, res) => {
+  try {
+    const invoked = await invokeAdapterTool(req.params.name, req.params.capability, req.params.tool, req.body || {});
+    if (!invoked) {
+      return res.status(404).json({ error: `Capability '${req.params.capability}' of plugin '${req.params.name}' has no tool '${req.params.tool}'.` });
+    }
+    res.json(invoked.result ?? null);
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
 coreRouter.post('/register/capability', (req, res) => {
   try {
     const record = registerService({ ...req.body, type: 'capability' });
@@ -56,17 +521,18 @@ coreRouter.post('/register/capability', (req, res) => {
 
 coreRouter.post('/register/thing', (req, res) => {
   try {
-    const record = registerThing(req.body || {});
+    const record = registerThing({ ...(req.body || {}), strict: readStrictFlag(req) ?? req.body?.strict });
     console.log(`Thing registered: ${record.id}`);
+    logValidationProblems(record.id, record.validation);
     
     // We handle the refresh side-effect via event listeners in logic layer now, 
     // or we can invoke orchestrator logic if needed. 
     // The previous implementation had `setTimeout(() => refreshDevicesAssociatedWithThing(id), 0);`
     // We moved this logic to event listeners in index.js wiring or orchestrator init.
     
-    res.json({ status: 'registered', thing: record });
+    res.json({ status: 'registered', thing: record, validation: record.validation });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendRegistrationError(res, error);
   }
 });
 
@@ -86,8 +552,69 @@ coreRouter.post('/register/device', (req, res) => {
   }
 });
 
+coreRouter.delete('/things/:thingId', (req, res) => {
+  const { thingId } = req.params;
+  const record = unregisterThing(thingId);
+  if (!record) {
+    return res.status(404).json({ error: `Thing '${thingId}' not found.` });
+  }
+  console.log(`Thing deregistered: ${record.id}`);
+  res.json({ status: 'unregistered', thing: { id: record.id, metadata: record.metadata } });
+});
+
+coreRouter.delete('/capabilities/:name', (req, res) => {
+  const { name } = req.params;
+  const capabilityRecord = resolveCapabilityRecord(name);
+  const record = capabilityRecord ? unregisterService(capabilityRecord.name, 'capability') : null;
+  if (!record) {
+    return res.status(404).json({ error: `Capability '${name}' not found.` });
+  }
+  console.log(`Capability deregistered: ${record.name}`);
+  res.json({ status: 'unregistered', capability: record });
+});
+
+// Capabilities push fresh data here instead of asking for a full refresh; generation reads it until it expires.
+coreRouter.post('/capabilities/:name/data', (req, res) => {
+  try {
+    const published = publishCapabilityData(req.params.name, req.body || {});
+    if (!published) {
+      return res.status(404).json({ error: `Capability '${req.params.name}' not found.` });
+    }
+    res.status(202).json({ status: 'accepted', changed: published.changed, entry: published.entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+coreRouter.get('/capabilities/:name/data', (req, res) => {
+  if (!resolveCapabilityRecord(req.params.name)) {
+    return res.status(404).json({ error: `Capability '${req.params.name}' not found.` });
+  }
+  const entry = getFreshCapabilityData(req.params.name);
+  if (!entry) {
+    return res.status(404).json({ error: `Capability '${req.params.name}' has no fresh pushed data.` });
+  }
+  res.json(entry);
+});
+
+coreRouter.delete('/devices/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  const record = unregisterDevice(deviceId);
+  if (!record) {
+    return res.status(404).json({ error: `Device '${deviceId}' not found.` });
+  }
+  console.log(`Device deregistered: ${record.name} (${record.id})`);
+  res.json({ status: 'unregistered', device: { id: record.id, name: record.name } });
+});
+
+const GENERATION_MODES = ['llm', 'deterministic'];
+
 coreRouter.post('/generate-ui', async (req, res) => {
-  const { prompt, schema, deviceId, thingDescription, capabilities, broadcast = true, model } = req.body;
+  const { prompt, schema, deviceId, thingDescription, capabilities, broadcast = true, model, force = false, mode = 'llm' } = req.body;
+
+  if (!GENERATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `\`mode\` must be one of: ${GENERATION_MODES.join(', ')}.` });
+  }
 
   console.log(
     `Received UI generation request. Prompt: ${prompt || '[default]'}, Device: ${deviceId || 'none'}, Capabilities: ${JSON.stringify(
@@ -104,9 +631,11 @@ coreRouter.post('/generate-ui', async (req, res) => {
       capabilities,
       broadcast,
       model,
+      force: force === true,
+      mode,
     });
 
-    res.json({ status: 'UI generated', deviceId: deviceId || null, ui });
+    res.json({ status: 'UI generated', deviceId: deviceId || null, fallback: Boolean(ui?.context?.fallback), ui });
   } catch (error) {
     console.error('Error communicating with Requirement Knowledge Base:', error);
     res.status(500).json({ error: 'Failed to generate UI', details: error.message });
@@ -115,15 +644,21 @@ coreRouter.post('/generate-ui', async (req, res) => {
 
 coreRouter.post('/refresh', async (req, res) => {
   const targetDeviceId = req.body?.deviceId;
+  const force = req.body?.force === true;
+  const mode = req.body?.mode || 'llm';
   const deviceIds = targetDeviceId ? [targetDeviceId] : Array.from(deviceRegistry.keys());
 
+  if (!GENERATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `\`mode\` must be one of: ${GENERATION_MODES.join(', ')}.` });
+  }
+
   if (deviceIds.length === 0) {
     return res.status(400).json({ error: 'No devices registered to refresh.' });
   }
 
   const results = await Promise.allSettled(
     deviceIds.map((id) =>
-      generateUiForDevice({ deviceId: id }).then(() => ({ deviceId: id }))
+      generateUiForDevice({ deviceId: id, force, mode }).then(() => ({ deviceId: id }))
     )
   );
 
@@ -142,6 +677,38 @@ coreRouter.post('/refresh', async (req, res) => {
 });
 
 
+// Generation cache statistics; DELETE drops cached UIs (all, or one device's with ?deviceId=).
+coreRouter.get('/generation-cache', (_req, res) => {
+  res.json(getGenerationCacheStats());
+});
+
+coreRouter.delete('/generation-cache', (req, res) => {
+  const removed = clearGenerationCache(req.query.deviceId);
+  res.json({ status: 'cleared', removed, stats: getGenerationCacheStats() });
+});
+
+// Per-device generation jobs: what is running, what is queued, and how many requests were coalesced or superseded.
+coreRouter.get('/generation-queue', (_req, res) => {
+  res.json(getGenerationQueueStats());
+});
+
+// Shared by both routers so services can heartbeat against whichever port they registered with.
+const handleHeartbeat = (req, res) => {
+  const { type, id } = req.params;
+  if (!normalizeRecordType(type)) {
+    return res.status(400).json({ error: `Unknown record type '${type}'. Use service, capability, device or thing.` });
+  }
+
+  const record = recordHeartbeat(type, id);
+  if (!record) {
+    return res.status(404).json({ error: `No ${type} registered with id '${id}'. Register again.` });
+  }
+
+  res.json({ status: 'alive', type: normalizeRecordType(type), id, lastHeartbeat: record.lastHeartbeat });
+};
+
+coreRouter.post('/heartbeat/:type/:id', handleHeartbeat);
+
 // --- Registry Router (Port 3000) ---
 
 registryRouter.post('/register', (req, res) => {
@@ -154,6 +721,22 @@ registryRouter.post('/register', (req, res) => {
   }
 });
 
+registryRouter.post('/heartbeat/:type/:id', handleHeartbeat);
+
+registryRouter.delete('/services/:name', (req, res) => {
+  const { name } = req.params;
+  const service = findService(name);
+  if (!service) {
+    return res.status(404).json({ error: `Service '${name}' not found.` });
+  }
+
+  const record = service.type === 'device' && deviceRegistry.has(name)
+    ? unregisterDevice(name)
+    : unregisterService(name, service.type);
+  console.log(`Service registry: deregistered ${name}`);
+  res.json({ status: 'unregistered', service: { name, type: service.type, url: record?.url } });
+});
+
 registryRouter.get('/services/:name', (req, res) => {
   const service = findService(req.params.name);
   if (!service) {
@@ -169,3 +752,119 @@ registryRouter.get('/services', (_req, res) => {
     devices: Array.from(serviceRegistryByType.device.values()),
   });
 });
+
+
+// --- Thing Description Directory (W3C WoT Discovery, mounted at /tdd on the core) ---
+
+thingDirectoryRouter.use(express.json({
+  type: ['application/json', 'application/td+json', 'application/ld+json', 'application/merge-patch+json'],
+}));
+
+// The Discovery spec mandates RFC 7807 problem details for every error response.
+const sendProblem = (res, status, title, detail, extensions = {}) => {
+  res.status(status).type('application/problem+json').send(JSON.stringify({ type: 'about:blank', title, status, detail, ...extensions }));
+};
+
+// TD validation failures use the Discovery `validationErrors` extension member.
+const sendDirectoryValidationProblem = (res, error) => {
+  const validationErrors = error.validation?.errors.map(({ path, message }) => ({ field: path, description: message }));
+  sendProblem(res, 400, 'Bad Request', error.message, validationErrors ? { validationErrors } : {});
+};
+
+coreRouter.get('/.well-known/wot', (_req, res) => {
+  res.type('application/td+json').send(JSON.stringify(buildDirectoryDescription()));
+});
+
+thingDirectoryRouter.get('/', (_req, res) => {
+  res.type('application/td+json').send(JSON.stringify(buildDirectoryDescription()));
+});
+
+thingDirectoryRouter.get('/things', (req, res) => {
+  const offset = req.query.offset !== undefined ? Number.parseInt(req.query.offset, 10) : 0;
+  const limit = req.query.limit !== undefined ? Number.parseInt(req.query.limit, 10) : undefined;
+  const sortBy = req.query.sort_by || 'id';
+  const sortOrder = req.query.sort_order || 'asc';
+
+  if (!Number.isFinite(offset) || offset < 0 || (limit !== undefined && (!Number.isFinite(limit) || limit < 1))) {
+    return sendProblem(res, 400, 'Bad Request', '`offset` must be >= 0 and `limit` must be >= 1.');
+  }
+  if (!['id', 'title', 'created', 'modified'].includes(sortBy) || !['asc', 'desc'].includes(sortOrder)) {
+    return sendProblem(res, 400, 'Bad Request', 'Unsupported `sort_by` or `sort_order` value.');
+  }
+
+  const { total, items, hasMore } = listDirectoryThings({ offset, limit, sortBy, sortOrder });
+  if (hasMore) {
+    const nextQuery = new URLSearchParams({ offset: String(offset + limit), limit: String(limit), sort_by: sortBy, sort_order: sortOrder });
+    res.set('Link', `</tdd/things?${nextQuery.toString()}>; rel="next"`);
+  }
+
+  if (req.query.format === 'collection') {
+    return res.type('application/ld+json').send(JSON.stringify({
+      '@context': 'https://www.w3.org/2022/wot/discovery',
+      '@type': 'ThingCollection',
+      total,
+      members: items,
+      ...(hasMore ? { next: `/tdd/things?offset=${offset + limit}&limit=${limit}` } : {}),
+    }));
+  }
+
+  res.type('application/ld+json').send(JSON.stringify(items));
+});
+
+thingDirectoryRouter.post('/things', (req, res) => {
+  try {
+    const { id } = createAnonymousDirectoryThing(req.body, { strict: readStrictFlag(req) });
+    console.log(`Thing directory: created anonymous TD ${id}`);
+    res.status(201).location(`/tdd/things/${encodeURIComponent(id)}`).end();
+  } catch (error) {
+    sendDirectoryValidationProblem(res, error);
+  }
+});
+
+thingDirectoryRouter.get('/things/:id', (req, res) => {
+  const description = retrieveDirectoryThing(req.params.id);
+  if (!description) {
+    return sendProblem(res, 404, 'Not Found', `No Thing Description with id '${req.params.id}'.`);
+  }
+  res.type('application/td+json').send(JSON.stringify(description));
+});
+
+thingDirectoryRouter.put('/things/:id', (req, res) => {
+  try {
+    const { created } = upsertDirectoryThing(req.params.id, req.body, { strict: readStrictFlag(req) });
+    console.log(`Thing directory: ${created ? 'created' : 'updated'} TD ${req.params.id}`);
+    res.status(created ? 201 : 204).end();
+  } catch (error) {
+    sendDirectoryValidationProblem(res, error);
+  }
+});
+
+thingDirectoryRouter.patch('/things/:id', (req, res) => {
+  try {
+    const result = patchDirectoryThing(req.params.id, req.body, { strict: readStrictFlag(req) });
+    if (!result) {
+      return sendProblem(res, 404, 'Not Found', `No Thing Description with id '${req.params.id}'.`);
+    }
+    console.log(`Thing directory: patched TD ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendDirectoryValidationProblem(res, error);
+  }
+});
+
+thingDirectoryRouter.delete('/things/:id', (req, res) => {
+  const record = deleteDirectoryThing(req.params.id);
+  if (!record) {
+    return sendProblem(res, 404, 'Not Found', `No Thing Description with id '${req.params.id}'.`);
+  }
+  console.log(`Thing directory: deleted TD ${req.params.id}`);
+  res.status(204).end();
+});
+
+thingDirectoryRouter.get('/search/jsonpath', (req, res) => {
+  try {
+    res.json(searchDirectoryJsonPath(req.query.query));
+  } catch (error) {
+    sendProblem(res, 400, 'Bad Request', error.message);
+  }
+});
@@ -0,0 +1,66 @@
+import { randomUUID } from 'crypto';
+import { ACTION_INSTANCE_RETENTION_MS } from '../config.js';
+import { nowIsoString } from '../utils.js';
+
+// Every core-side invocation becomes an action instance with a status href. Synchronous actions settle immediately;
+// asynchronous ones stay `running` until the invoker sees the Thing report a final state (or the caller cancels).
+
+export const ACTION_INSTANCE_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+const actionInstances = new Map(); // instanceId -> instance
+const listeners = {
+  actionInstanceUpdated: [],
+};
+
+export const onActionInstanceUpdated = (fn) => listeners.actionInstanceUpdated.push(fn);
+
+export const isTerminalActionStatus = (status) => TERMINAL_STATUSES.has(status);
+
+export const createActionInstance = ({ actionId, thingId, deviceId, input }) => {
+  const id = randomUUID();
+  const instance = {
+    id,
+    href: `/action-instances/${id}`,
+    actionId,
+    thingId: thingId || null,
+    deviceId: deviceId || null,
+    status: 'pending',
+    input: input ?? null,
+    output: null,
+    error: null,
+    createdAt: nowIsoString(),
+    updatedAt: nowIsoString(),
+    completedAt: null,
+  };
+  actionInstances.set(id, instance);
+  return instance;
+};
+
+// Status changes notify listeners (WebSocket push to the originating device); finished instances expire after retention.
+export const updateActionInstance = (id, patch = {}) => {
+  const instance = actionInstances.get(id);
+  if (!instance) {
+    return null;
+  }
+
+  const previousStatus = instance.status;
+  Object.assign(instance, patch, { updatedAt: nowIsoString() });
+  if (isTerminalActionStatus(instance.status) && !isTerminalActionStatus(previousStatus)) {
+    instance.completedAt = instance.updatedAt;
+    setTimeout(() => actionInstances.delete(id), ACTION_INSTANCE_RETENTION_MS).unref();
+  }
+
+  if (instance.status !== previousStatus) {
+    listeners.actionInstanceUpdated.forEach((fn) => fn(instance, { previousStatus }));
+  }
+  return instance;
+};
+
+export const getActionInstance = (id) => actionInstances.get(id) || null;
+
+export const listActionInstances = ({ deviceId, actionId, thingId, status } = {}) => Array.from(actionInstances.values())
+  .filter((instance) => !deviceId || instance.deviceId === deviceId)
+  .filter((instance) => !actionId || instance.actionId === actionId)
+  .filter((instance) => !thingId || instance.thingId === thingId)
+  .filter((instance) => !status || instance.status === status);
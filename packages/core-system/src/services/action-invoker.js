@@ -0,0 +1,555 @@
+import fetch from 'node-fetch';
+import { getActionById, getVirtualActionHandler } from '../../action-registry.js';
+import { thingRegistry } from './registry.js';
+import {
+  ACTION_INSTANCE_STATUSES,
+  createActionInstance,
+  getActionInstance,
+  isTerminalActionStatus,
+  updateActionInstance,
+} from './action-instances.js';
+import {
+  ACTION_INVOKE_TIMEOUT_MS,
+  ACTION_INVOKE_RETRIES,
+  ACTION_INVOKE_RETRY_DELAY_MS,
+  ACTION_STATUS_POLL_INTERVAL_MS,
+  ACTION_STATUS_MAX_POLL_FAILURES,
+  THING_CREDENTIALS,
+} from '../config.js';
+import { composeUrl, nowIsoString } from '../utils.js';
+import { prepareActionInput } from '../../../shared/action-input.js';
+import { assertActionConfirmed } from '../../../shared/action-safety.js';
+import { confirmationLedger } from './action-safety.js';
+import { callMcpTool } from './mcp-servers.js';
+
+// Core-side proxy for WoT actions: devices hand over an action id and input, the core picks the form, applies the
+// Thing's security scheme, forwards the call and returns one normalized result shape regardless of the Thing.
+
+const RETRYABLE_STATUS_CODES = new Set([502, 503, 504]);
+const CONNECTION_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH']);
+
+const arrayify = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const selectInvokeForm = (action) => {
+  const forms = Array.isArray(action.forms) ? action.forms : [];
+  return forms.find((form) => arrayify(form.op).includes('invokeaction'))
+    || action.transport
+    || forms[0]
+    || null;
+};
+
+// RFC 6570 level-1 `{var}` and form-style `{?a,b}` expansion, enough for TD `uriVariables`.
+const expandUriTemplate = (template, variables = {}) => template
+  .replace(/\{\?([^}]+)\}/g, (_, names) => {
+    const pairs = names.split(',')
+      .map((name) => name.trim())
+      .filter((name) => variables[name] !== undefined && variables[name] !== null)
+      .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(variables[name])}`);
+    return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+  })
+  .replace(/\{([^}?]+)\}/g, (_, name) => encodeURIComponent(variables[name.trim()] ?? ''));
+
+const resolveFormUrl = (action, form) => {
+  const href = form.url || form.href || '';
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+    return href;
+  }
+  if (!action.metadata?.base) {
+    throw new Error(`Action '${action.id}' has no absolute form URL and its Thing declares no base.`);
+  }
+  return composeUrl(action.metadata.base, href);
+};
+
+const encodeBasicCredentials = ({ username, password }) => Buffer.from(`${username}:${password ?? ''}`).toString('base64');
+
+const credentialsFor = (thingId, schemeName) => {
+  const entry = THING_CREDENTIALS[thingId] || THING_CREDENTIALS['*'] || {};
+  return entry[schemeName] && typeof entry[schemeName] === 'object' ? entry[schemeName] : entry;
+};
+
+const applySecurityDefinition = (request, { thingId, schemeName, definition }) => {
+  const credentials = credentialsFor(thingId, schemeName);
+  const requireCredential = (key) => {
+    if (!credentials[key]) {
+      throw new Error(`No '${key}' configured for security scheme '${schemeName}' of Thing '${thingId}'.`);
+    }
+    return credentials[key];
+  };
+
+  switch (definition.scheme) {
+    case 'nosec':
+      return;
+    case 'basic': {
+      const header = definition.name || 'Authorization';
+      request.headers[header] = `Basic ${encodeBasicCredentials({ username: requireCredential('username'), password: credentials.password })}`;
+      return;
+    }
+    case 'bearer':
+    case 'oauth2': {
+      const header = definition.name || 'Authorization';
+      request.headers[header] = `Bearer ${requireCredential('token')}`;
+      return;
+    }
+    case 'apikey': {
+      const key = credentials.key || requireCredential('token');
+      const location = definition.in || 'query';
+      if (location === 'header') {
+        request.headers[definition.name || 'X-API-Key'] = key;
+      } else if (location === 'query') {
+        request.url.searchParams.set(definition.name || 'api_key', key);
+      } else if (location === 'cookie') {
+        request.headers.Cookie = `${definition.name || 'api_key'}=${encodeURIComponent(key)}`;
+      } else {
+        throw new Error(`API key location '${location}' of scheme '${schemeName}' is not supported.`);
+      }
+      return;
+    }
+    default:
+      throw new Error(`Security scheme '${definition.scheme}' ('${schemeName}') is not supported by the core invoker.`);
+  }
+};
+
+// Form-level `security` overrides the Thing-level one; `combo` schemes expand to all (allOf) or the first usable (oneOf).
+const applySecurity = (request, action, form) => {
+  const thingId = action.thingId;
+  // Providers for non-TD documents (OpenAPI) translate their security schemes onto the descriptor.
+  const definitions = action.metadata?.securityDefinitions
+    || thingRegistry.get(thingId)?.description?.securityDefinitions
+    || {};
+
+  const applyScheme = (schemeName) => {
+    const definition = definitions[schemeName];
+    if (!definition) {
+      throw new Error(`Security scheme '${schemeName}' is not defined by Thing '${thingId}'.`);
+    }
+    if (definition.scheme !== 'combo') {
+      applySecurityDefinition(request, { thingId, schemeName, definition });
+      return;
+    }
+    if (definition.allOf) {
+      arrayify(definition.allOf).forEach(applyScheme);
+      return;
+    }
+    const failures = [];
+    const applied = arrayify(definition.oneOf).some((name) => {
+      try {
+        applyScheme(name);
+        return true;
+      } catch (error) {
+        failures.push(error.message);
+        return false;
+      }
+    });
+    if (!applied) {
+      throw new Error(`None of the schemes in '${schemeName}' could be applied: ${failures.join(' ')}`);
+    }
+  };
+
+  arrayify(form.security ?? action.security).forEach(applyScheme);
+};
+
+const isConnectionError = (error) => CONNECTION_ERROR_CODES.has(error?.cause?.code || error?.code);
+
+// Connection failures never reached the Thing and are always retried; timeouts and gateway errors only for actions
+// the TD marks `safe` or `idempotent`, so a non-idempotent command is never executed twice.
+const shouldRetry = (action, { error, status }) => {
+  if (error && isConnectionError(error)) {
+    return true;
+  }
+  const repeatable = Boolean(action.annotations?.idempotent || action.annotations?.safe);
+  if (!repeatable) {
+    return false;
+  }
+  return Boolean(error?.name === 'AbortError' || RETRYABLE_STATUS_CODES.has(status));
+};
+
+const sendOnce = async ({ url, method, headers, body, timeoutMs = ACTION_INVOKE_TIMEOUT_MS }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { method, headers, body, signal: controller.signal });
+    const rawText = await response.text();
+    let output = rawText || null;
+    try {
+      output = rawText ? JSON.parse(rawText) : null;
+    } catch (error) {
+      // Non-JSON responses are passed through as text.
+    }
+    return { response, output };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// MCP tools run through `tools/call` on the core's connection to the server instead of an HTTP request.
+const callMcpToolOnce = async (action, payload) => {
+  const result = await callMcpTool(action.metadata?.mcpServer, action.metadata?.mcpTool || action.name, payload);
+  return {
+    status: null,
+    ok: result.ok,
+    output: result.output,
+    ...(result.ok ? {} : { error: new Error(result.error) }),
+  };
+};
+
+const buildFormRequest = (action, form, uriVariables) => {
+  const request = {
+    url: new URL(expandUriTemplate(resolveFormUrl(action, form), uriVariables)),
+    headers: { Accept: 'application/json' },
+  };
+  applySecurity(request, action, form);
+  return request;
+};
+
+const describeFailure = (outcome) => {
+  if (outcome.error) {
+    return outcome.error.name === 'AbortError'
+      ? `Timed out after ${ACTION_INVOKE_TIMEOUT_MS}ms.`
+      : outcome.error.cause?.message || outcome.error.message;
+  }
+  return outcome.ok ? null : `Thing responded with status ${outcome.status}.`;
+};
+
+// Asynchronous actions: the TD says `synchronous: false`, or the Thing answers 201/202 (WoT HTTP profile).
+const isAsynchronousResponse = (action, status) => (
+  action.annotations?.synchronous === false || status === 201 || status === 202
+);
+
+// Remote status values are mostly WoT profile terms already; `accepted` is what Things say before work starts.
+const mapRemoteStatus = (status) => {
+  const normalized = typeof status === 'string' ? status.toLowerCase() : null;
+  if (normalized === 'accepted') return 'running';
+  return ACTION_INSTANCE_STATUSES.includes(normalized) ? normalized : null;
+};
+
+const findFormForOp = (action, op) => (Array.isArray(action.forms) ? action.forms : [])
+  .find((form) => arrayify(form.op).includes(op)) || null;
+
+// The remote instance is addressed through the TD's queryaction/cancelaction forms (every URI variable receives the
+// remote id) or, failing that, through the href/Location the Thing returned.
+const resolveRemoteInstanceRequest = (tracking, op, fallbackMethod) => {
+  const { action, remoteId, remoteHref, invokeUrl } = tracking;
+  const form = findFormForOp(action, op);
+  if (form && remoteId) {
+    const names = Array.from((form.href || form.url || '').matchAll(/\{\??([^}]+)\}/g))
+      .flatMap((match) => match[1].split(',').map((name) => name.trim()));
+    const variables = Object.fromEntries(names.map((name) => [name, remoteId]));
+    return { ...buildFormRequest(action, form, variables), method: (form.method || fallbackMethod).toUpperCase() };
+  }
+  if (remoteHref && op === 'queryaction') {
+    const request = { url: new URL(remoteHref, invokeUrl), headers: { Accept: 'application/json' } };
+    applySecurity(request, action, form || selectInvokeForm(action));
+    return { ...request, method: fallbackMethod };
+  }
+  return null;
+};
+
+const trackedInstances = new Map(); // instanceId -> { action, remoteId, remoteHref, invokeUrl, estimatedEnd, failures, timer }
+
+const stopTracking = (instanceId) => {
+  const tracking = trackedInstances.get(instanceId);
+  if (tracking) {
+    clearTimeout(tracking.timer);
+    trackedInstances.delete(instanceId);
+  }
+};
+
+const pollRemoteInstance = async (instanceId) => {
+  const tracking = trackedInstances.get(instanceId);
+  if (!tracking || isTerminalActionStatus(getActionInstance(instanceId)?.status)) {
+    stopTracking(instanceId);
+    return;
+  }
+
+  const request = resolveRemoteInstanceRequest(tracking, 'queryaction', 'GET');
+  if (!request) {
+    // No way to ask the Thing; trust the completion estimate it gave us, or assume the accepted call finished.
+    const delay = tracking.estimatedEnd ? Math.max(0, tracking.estimatedEnd - Date.now()) : 0;
+    tracking.timer = setTimeout(() => {
+      stopTracking(instanceId);
+      updateActionInstance(instanceId, { status: 'completed' });
+    }, delay);
+    return;
+  }
+
+  let outcome;
+  try {
+    const { response, output } = await sendOnce({ url: request.url.toString(), method: request.method, headers: request.headers });
+    outcome = { ok: response.ok, status: response.status, output };
+  } catch (error) {
+    outcome = { ok: false, status: null, error };
+  }
+  if (!trackedInstances.has(instanceId)) {
+    return;
+  }
+
+  if (outcome.ok) {
+    tracking.failures = 0;
+    const status = mapRemoteStatus(outcome.output?.status);
+    if (status && status !== getActionInstance(instanceId).status) {
+      updateActionInstance(instanceId, {
+        status,
+        output: outcome.output,
+        ...(status === 'failed' ? { error: outcome.output?.error || 'Thing reported the action as failed.' } : {}),
+      });
+    }
+  } else {
+    tracking.failures += 1;
+    console.warn(`[Core] Status poll for action instance ${instanceId} failed (${describeFailure(outcome)}).`);
+    if (tracking.failures >= ACTION_STATUS_MAX_POLL_FAILURES) {
+      stopTracking(instanceId);
+      updateActionInstance(instanceId, { status: 'failed', error: `Lost track of the action on the Thing: ${describeFailure(outcome)}` });
+      return;
+    }
+  }
+
+  if (isTerminalActionStatus(getActionInstance(instanceId)?.status)) {
+    stopTracking(instanceId);
+    return;
+  }
+  tracking.timer = setTimeout(() => pollRemoteInstance(instanceId), ACTION_STATUS_POLL_INTERVAL_MS);
+};
+
+const startTracking = (instance, action, { response, output, url }) => {
+  const estimatedEnd = Date.parse(output?.completedAt);
+  trackedInstances.set(instance.id, {
+    action,
+    remoteId: output?.instanceId || output?.actionId || output?.id || null,
+    remoteHref: response.headers.get('location') || output?.href || null,
+    invokeUrl: url,
+    estimatedEnd: Number.isFinite(estimatedEnd) ? estimatedEnd : null,
+    failures: 0,
+    timer: setTimeout(() => pollRemoteInstance(instance.id), ACTION_STATUS_POLL_INTERVAL_MS),
+  });
+};
+
+// `skipConfirmation` is for in-process callers that already gated the whole run (a confirmed scene runs its steps).
+export const invokeAction = async (actionId, {
+  input,
+  uriVariables,
+  deviceId,
+  context,
+  confirmationToken,
+  skipConfirmation = false,
+} = {}) => {
+  const action = getActionById(actionId);
+  if (!action) {
+    return null;
+  }
+
+  const virtualHandler = getVirtualActionHandler(actionId);
+  if (virtualHandler) {
+    return virtualHandler(action, { input, uriVariables, deviceId, context, confirmationToken });
+  }
+
+  const form = selectInvokeForm(action);
+  if (!form) {
+    throw new Error(`Action '${actionId}' has no form to invoke.`);
+  }
+
+  const request = buildFormRequest(action, form, uriVariables);
+  const viaMcp = request.url.protocol === 'mcp:';
+  const method = viaMcp ? 'tools/call' : (form.method || 'POST').toUpperCase();
+  if (!viaMcp && !['http:', 'https:'].includes(request.url.protocol)) {
+    throw new Error(`Action '${actionId}' is bound to a ${request.url.protocol.slice(0, -1)} form; the core only invokes HTTP forms.`);
+  }
+
+  let body;
+  let payload;
+  if (method !== 'GET' && method !== 'HEAD') {
+    request.headers['Content-Type'] = form.contentType || 'application/json';
+    // Same rules as the device APIs; schema-less actions keep receiving the invocation context as before.
+    payload = action.input
+      ? prepareActionInput(action, input)
+      : input ?? { context: context || {}, timestamp: nowIsoString() };
+    body = JSON.stringify(payload);
+  }
+
+  // Hazardous actions only run with a confirmation token bound to this device and this exact input.
+  // Schema-less actions fill in a timestamped body, so they are bound to the caller's raw input instead.
+  if (!skipConfirmation) {
+    assertActionConfirmed(confirmationLedger, action, { deviceId, input: action.input ? payload : input, confirmationToken });
+  }
+
+  const url = request.url.toString();
+  const instance = createActionInstance({ actionId, thingId: action.thingId, deviceId, input: payload });
+  const invokedAt = instance.createdAt;
+  const startedAt = Date.now();
+  const maxAttempts = 1 + Math.max(0, ACTION_INVOKE_RETRIES);
+  console.log(`[Core] Invoking action ${actionId} via ${method} ${url}${deviceId ? ` for device ${deviceId}` : ''}`);
+
+  let attempts = 0;
+  let outcome = {};
+  while (attempts < maxAttempts) {
+    attempts += 1;
+    try {
+      if (viaMcp) {
+        outcome = await callMcpToolOnce(action, payload ?? {});
+      } else {
+        const { response, output } = await sendOnce({ url, method, headers: request.headers, body });
+        outcome = { response, status: response.status, ok: response.ok, output };
+      }
+    } catch (error) {
+      outcome = {
+        error,
+        status: null,
+        ok: false,
+        output: null,
+      };
+    }
+
+    if (outcome.ok || attempts >= maxAttempts || !shouldRetry(action, outcome)) {
+      break;
+    }
+    console.warn(`[Core] Action ${actionId} attempt ${attempts} failed (${outcome.error?.message || outcome.status}); retrying.`);
+    await sleep(ACTION_INVOKE_RETRY_DELAY_MS * attempts);
+  }
+
+  const errorMessage = describeFailure(outcome);
+  if (!outcome.ok) {
+    updateActionInstance(instance.id, { status: 'failed', output: outcome.output, error: errorMessage });
+  } else if (isAsynchronousResponse(action, outcome.status)) {
+    const remoteStatus = mapRemoteStatus(outcome.output?.status);
+    updateActionInstance(instance.id, {
+      status: remoteStatus && remoteStatus !== 'pending' ? remoteStatus : 'running',
+      output: outcome.output,
+    });
+    if (!isTerminalActionStatus(instance.status)) {
+      startTracking(instance, action, { response: outcome.response, output: outcome.output, url });
+    }
+  } else {
+    updateActionInstance(instance.id, { status: 'completed', output: outcome.output });
+  }
+
+  const result = {
+    actionId,
+    thingId: action.thingId,
+    instanceId: instance.id,
+    href: instance.href,
+    ok: outcome.ok,
+    status: instance.status,
+    httpStatus: outcome.status,
+    url,
+    method,
+    attempts,
+    durationMs: Date.now() - startedAt,
+    output: outcome.output,
+    ...(errorMessage ? { error: errorMessage } : {}),
+    invokedAt,
+  };
+
+  const log = result.ok ? console.log : console.warn;
+  log(`[Core] Action ${actionId} ${result.status} (${result.httpStatus ?? result.error ?? method}) after ${attempts} attempt(s) in ${result.durationMs}ms.`);
+  return result;
+};
+
+// Cancels a running instance on the Thing (cancelaction form or DELETE on its status href) and marks it cancelled.
+// When the action already ended on the Thing (409, or a terminal status in the answer) the instance takes that status
+// instead; a 409 without one leaves it running for the status poll. Callers check whether it ended up `cancelled`.
+export const cancelActionInstance = async (instanceId) => {
+  const instance = getActionInstance(instanceId);
+  if (!instance) {
+    return null;
+  }
+
+  const tracking = trackedInstances.get(instanceId);
+  if (!tracking) {
+    throw new Error(`Action instance '${instanceId}' is not tracked on a Thing and cannot be cancelled.`);
+  }
+
+  const request = resolveRemoteInstanceRequest(tracking, 'cancelaction', 'DELETE')
+    || (tracking.remoteHref ? { ...resolveRemoteInstanceRequest(tracking, 'queryaction', 'DELETE'), method: 'DELETE' } : null);
+  if (!request) {
+    throw new Error(`Action '${instance.actionId}' does not support cancellation.`);
+  }
+
+  const { response, output } = await sendOnce({ url: request.url.toString(), method: request.method, headers: request.headers });
+  const remoteStatus = mapRemoteStatus(output?.status);
+  if (isTerminalActionStatus(remoteStatus) && remoteStatus !== 'cancelled') {
+    stopTracking(instanceId);
+    console.log(`[Core] Action instance ${instanceId} (${instance.actionId}) was already ${remoteStatus} on the Thing.`);
+    return updateActionInstance(instanceId, {
+      status: remoteStatus,
+      output,
+      ...(remoteStatus === 'failed' ? { error: output?.error || 'Thing reported the action as failed.' } : {}),
+    });
+  }
+  if (response.status === 409) {
+    return instance;
+  }
+  if (!response.ok && response.status !== 404) {
+    throw new Error(output?.error || `Thing refused to cancel the action (status ${response.status}).`);
+  }
+
+  stopTracking(instanceId);
+  console.log(`[Core] Cancelled action instance ${instanceId} (${instance.actionId}).`);
+  return updateActionInstance(instanceId, { status: 'cancelled', output: output ?? instance.output });
+};
+
+// Things often wrap the value (`{ "status": "on", "timestamp": ... }`); unwrap it when the key names the property.
+const unwrapPropertyValue = (property, body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  const key = [property.name, 'value'].find((candidate) => Object.prototype.hasOwnProperty.call(body, candidate));
+  return key ? body[key] : body;
+};
+
+// Reads a property once through its `readproperty` form with the Thing's security applied. Resolves with the value
+// (parsed JSON, else text, unwrapped as above); throws when the property has no HTTP read form, on timeout or on a
+// non-2xx answer.
+export const readThingProperty = async (property, { timeoutMs = ACTION_INVOKE_TIMEOUT_MS } = {}) => {
+  const form = findFormForOp(property, 'readproperty') || (property.writeOnly ? null : property.transport);
+  if (!form) {
+    throw new Error(`Property '${property.id}' has no form to read.`);
+  }
+  const request = buildFormRequest(property, form);
+  if (!['http:', 'https:'].includes(request.url.protocol)) {
+    throw new Error(`Property '${property.id}' is bound to a ${request.url.protocol.slice(0, -1)} form; the core only reads HTTP forms.`);
+  }
+
+  try {
+    const { response, output } = await sendOnce({
+      url: request.url.toString(),
+      method: (form.method || 'GET').toUpperCase(),
+      headers: request.headers,
+      timeoutMs,
+    });
+    if (!response.ok) {
+      throw new Error(`Thing responded with status ${response.status}.`);
+    }
+    return unwrapPropertyValue(property, output);
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error(`Timed out after ${timeoutMs}ms.`) : error;
+  }
+};
+
+// Opens the event's `subscribeevent` form (an SSE stream on HTTP Things) with the Thing's security applied and resolves
+// with the response once the Thing accepted it; the caller reads and closes the body through `signal`.
+export const subscribeThingEvent = async (event, { signal } = {}) => {
+  const form = findFormForOp(event, 'subscribeevent') || event.transport;
+  if (!form) {
+    throw new Error(`Event '${event.id}' has no form to subscribe to.`);
+  }
+  const request = buildFormRequest(event, form);
+  if (!['http:', 'https:'].includes(request.url.protocol)) {
+    throw new Error(`Event '${event.id}' is bound to a ${request.url.protocol.slice(0, -1)} form; the core only subscribes over HTTP.`);
+  }
+
+  const response = await fetch(request.url.toString(), {
+    method: (form.method || 'GET').toUpperCase(),
+    headers: { ...request.headers, Accept: form.contentType || 'text/event-stream' },
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Thing responded with status ${response.status}.`);
+  }
+  return response;
+};
@@ -0,0 +1,26 @@
+import { ACTION_SAFETY_OVERRIDES, ACTION_CONFIRMATION_TTL_MS, ACTION_AUDIT_LOG_SIZE } from '../config.js';
+import { setActionSafetyOverride } from '../../action-registry.js';
+import { createConfirmationLedger } from '../../../shared/action-safety.js';
+
+// Every gate decision on a hazardous action (token issued, confirmed, rejected, declined) lands in the audit log.
+export const confirmationLedger = createConfirmationLedger({
+  ttlMs: ACTION_CONFIRMATION_TTL_MS,
+  auditSize: ACTION_AUDIT_LOG_SIZE,
+  source: 'core',
+  onDecision: (entry) => {
+    console.log(
+      `[Core] Safety decision for ${entry.actionId}: ${entry.decision}`
+      + `${entry.deviceId ? ` (device ${entry.deviceId})` : ''}${entry.reason ? ` — ${entry.reason}` : ''}`
+    );
+  },
+});
+
+export const applyConfiguredSafetyOverrides = () => {
+  Object.entries(ACTION_SAFETY_OVERRIDES).forEach(([key, level]) => {
+    try {
+      setActionSafetyOverride(key, level);
+    } catch (error) {
+      console.warn(`[Core] Ignoring safety override for '${key}':`, error.message);
+    }
+  });
+};
@@ -0,0 +1,75 @@
+import { resolveCapabilityRecord, onServiceUnregistered } from './registry.js';
+import { CAPABILITY_DATA_TTL_MS } from '../config.js';
+import { stripVolatileFields } from './generation-cache.js';
+import { nowIsoString, stableStringify } from '../utils.js';
+
+// Data pushed by capabilities (`POST /capabilities/:name/data`), keyed by capability module name. A fresh entry is used
+// by UI generation instead of calling the capability's endpoint; once it expires the core fetches again.
+
+const latestDataByCapability = new Map(); // capability module name -> entry
+const listeners = { dataPublished: [] };
+
+export const onCapabilityDataPublished = (fn) => listeners.dataPublished.push(fn);
+
+const isFresh = (entry, now = Date.now()) => Boolean(entry) && entry.expiresAt > now;
+
+const describeEntry = (entry) => ({
+  capability: entry.capability,
+  data: entry.data,
+  timestamp: entry.timestamp,
+  receivedAt: entry.receivedAt,
+  expiresAt: new Date(entry.expiresAt).toISOString(),
+  sequence: entry.sequence,
+});
+
+// Resolves with null when no capability is registered under the name or alias. `changed` is false when the payload
+// equals the last fresh one apart from GENERATION_CACHE_IGNORED_FIELDS (sample timestamps), so a capability may
+// republish on a timer without triggering regenerations.
+export const publishCapabilityData = (capabilityName, { data, timestamp, ttlMs } = {}) => {
+  const record = resolveCapabilityRecord(capabilityName);
+  if (!record) {
+    return null;
+  }
+  if (data === undefined) {
+    throw new Error('Capability data requires a `data` field.');
+  }
+  if (timestamp !== undefined && Number.isNaN(Date.parse(timestamp))) {
+    throw new Error('`timestamp` must be an ISO date-time string.');
+  }
+  if (ttlMs !== undefined && (!Number.isInteger(ttlMs) || ttlMs <= 0)) {
+    throw new Error('`ttlMs` must be a positive integer.');
+  }
+
+  const previous = latestDataByCapability.get(record.name);
+  const changed = !isFresh(previous) || stableStringify(stripVolatileFields(previous.data))
+    !== stableStringify(stripVolatileFields(data));
+  const receivedAt = nowIsoString();
+  const entry = {
+    capability: record.name,
+    data,
+    timestamp: timestamp || receivedAt,
+    receivedAt,
+    expiresAt: Date.now() + (ttlMs || CAPABILITY_DATA_TTL_MS),
+    sequence: (previous?.sequence || 0) + 1,
+  };
+  latestDataByCapability.set(record.name, entry);
+
+  const published = describeEntry(entry);
+  listeners.dataPublished.forEach((fn) => fn(record, published, { changed }));
+  return { record, entry: published, changed };
+};
+
+// The latest pushed entry while it is fresh, else null.
+export const getFreshCapabilityData = (capabilityName) => {
+  const record = resolveCapabilityRecord(capabilityName);
+  const entry = record ? latestDataByCapability.get(record.name) : null;
+  return isFresh(entry) ? describeEntry(entry) : null;
+};
+
+export const initializeCapabilityDataStore = () => {
+  onServiceUnregistered((record) => {
+    if (record.type === 'capability') {
+      latestDataByCapability.delete(record.name);
+    }
+  });
+};
@@ -0,0 +1,193 @@
+import fetch from 'node-fetch';
+import {
+  serviceRegistryByType,
+  resolveEndpointConfig,
+  onServiceRegistered,
+  onServiceUnregistered,
+} from './registry.js';
+import {
+  CAPABILITY_REQUEST_TIMEOUT_MS,
+  CAPABILITY_FAILURE_THRESHOLD,
+  CAPABILITY_CIRCUIT_RESET_MS,
+} from '../config.js';
+import { nowIsoString } from '../utils.js';
+
+// One circuit breaker per capability module. `closed` lets requests through; CAPABILITY_FAILURE_THRESHOLD consecutive
+// failures (data fetches or health probes) open it, so generation skips the capability instead of waiting on it. After
+// CAPABILITY_CIRCUIT_RESET_MS one trial request is let through (`half-open`): success closes the circuit, failure
+// opens it again for another reset period.
+//
+// Derived status: `unknown` (never contacted), `healthy`, `degraded` (recent failures, or a trial is pending) and
+// `unavailable` (circuit open).
+
+const circuits = new Map(); // capability module name -> circuit
+const listeners = { healthChanged: [] };
+
+export const onCapabilityHealthChanged = (fn) => listeners.healthChanged.push(fn);
+
+const createCircuit = () => ({
+  state: 'closed',
+  consecutiveFailures: 0,
+  lastError: null,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastCheckedAt: null,
+  lastLatencyMs: null,
+  openedAt: null,
+  nextRetryAt: null,
+  trialInFlight: false,
+});
+
+const getCircuit = (name) => {
+  if (!circuits.has(name)) {
+    circuits.set(name, createCircuit());
+  }
+  return circuits.get(name);
+};
+
+const deriveStatus = (circuit) => {
+  if (circuit.state === 'open') return 'unavailable';
+  if (circuit.state === 'half-open' || circuit.consecutiveFailures > 0) return 'degraded';
+  return circuit.lastSuccessAt ? 'healthy' : 'unknown';
+};
+
+const describeCircuit = (circuit) => ({
+  status: deriveStatus(circuit),
+  circuit: circuit.state,
+  consecutiveFailures: circuit.consecutiveFailures,
+  lastError: circuit.lastError,
+  lastSuccessAt: circuit.lastSuccessAt,
+  lastFailureAt: circuit.lastFailureAt,
+  lastCheckedAt: circuit.lastCheckedAt,
+  lastLatencyMs: circuit.lastLatencyMs,
+  openedAt: circuit.openedAt,
+  nextRetryAt: circuit.nextRetryAt ? new Date(circuit.nextRetryAt).toISOString() : null,
+});
+
+const updateCircuit = (name, circuit, changes) => {
+  const previousStatus = deriveStatus(circuit);
+  Object.assign(circuit, changes, { lastCheckedAt: nowIsoString() });
+  const health = describeCircuit(circuit);
+  if (health.status !== previousStatus) {
+    const detail = circuit.state === 'half-open' ? `, retrying after: ${health.lastError}` : `: ${health.lastError}`;
+    const log = health.status === 'healthy' ? console.log : console.warn;
+    log(`[Core] Capability '${name}' is ${health.status}${health.status === 'healthy' ? '' : detail}.`);
+    listeners.healthChanged.forEach((fn) => fn(name, health, previousStatus));
+  }
+};
+
+const recordSuccess = (name, circuit, latencyMs) => updateCircuit(name, circuit, {
+  state: 'closed',
+  consecutiveFailures: 0,
+  lastError: null,
+  lastSuccessAt: nowIsoString(),
+  lastLatencyMs: latencyMs,
+  openedAt: null,
+  nextRetryAt: null,
+  trialInFlight: false,
+});
+
+const recordFailure = (name, circuit, error) => {
+  const consecutiveFailures = circuit.consecutiveFailures + 1;
+  const opens = circuit.state === 'half-open' || consecutiveFailures >= CAPABILITY_FAILURE_THRESHOLD;
+  updateCircuit(name, circuit, {
+    state: opens ? 'open' : circuit.state,
+    consecutiveFailures,
+    lastError: error.message,
+    lastFailureAt: nowIsoString(),
+    openedAt: opens ? nowIsoString() : circuit.openedAt,
+    nextRetryAt: opens ? Date.now() + CAPABILITY_CIRCUIT_RESET_MS : circuit.nextRetryAt,
+    trialInFlight: false,
+  });
+};
+
+// Returns whether a request may go out now; an open circuit past its reset time lets exactly one trial through.
+const admitRequest = (name, circuit) => {
+  if (circuit.state === 'closed') {
+    return true;
+  }
+  if (circuit.trialInFlight || Date.now() < circuit.nextRetryAt) {
+    return false;
+  }
+  updateCircuit(name, circuit, { state: 'half-open', trialInFlight: true });
+  return true;
+};
+
+const circuitOpenError = (name, circuit) => {
+  const retry = circuit.trialInFlight ? 'a retry is in progress' : `next retry at ${new Date(circuit.nextRetryAt).toISOString()}`;
+  const error = new Error(`Capability '${name}' is unavailable (circuit open, ${retry}; last error: ${circuit.lastError}).`);
+  error.circuitOpen = true;
+  return error;
+};
+
+// Calls a capability endpoint through its circuit breaker with a timeout (the endpoint's `timeoutMs`, else
+// CAPABILITY_REQUEST_TIMEOUT_MS). Resolves with the parsed JSON body; throws on refusal, timeout, non-2xx or bad JSON.
+// With `expectJson: false` (health probes) any 2xx counts as success and resolves with null, whatever the body.
+export const requestCapability = async (moduleRecord, endpointConfig, { body, expectJson = true } = {}) => {
+  const name = moduleRecord.name;
+  const circuit = getCircuit(name);
+  if (!admitRequest(name, circuit)) {
+    throw circuitOpenError(name, circuit);
+  }
+
+  const timeoutMs = endpointConfig.timeoutMs || CAPABILITY_REQUEST_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = Date.now();
+  try {
+    const requestOptions = { method: endpointConfig.method, headers: { ...endpointConfig.headers }, signal: controller.signal };
+    if (body !== undefined && endpointConfig.method !== 'GET') {
+      requestOptions.headers['Content-Type'] = requestOptions.headers['Content-Type'] || 'application/json';
+      requestOptions.body = JSON.stringify(body);
+    }
+    const response = await fetch(endpointConfig.url, requestOptions);
+    if (!response.ok) {
+      throw new Error(`Capability responded with status ${response.status}`);
+    }
+    const text = await response.text();
+    const data = expectJson && text ? JSON.parse(text) : null;
+    recordSuccess(name, circuit, Date.now() - startedAt);
+    return data;
+  } catch (error) {
+    const failure = error.name === 'AbortError' ? new Error(`Capability timed out after ${timeoutMs}ms`) : error;
+    recordFailure(name, circuit, failure);
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Probes every capability that registered a `health` endpoint. Open circuits are only probed once their reset time has
+// passed; the probe is then the half-open trial. Capabilities without a health endpoint are judged by their data calls.
+export const checkCapabilityHealth = async () => {
+  const probes = Array.from(serviceRegistryByType.capability.values())
+    .map((record) => ({ record, endpointConfig: resolveEndpointConfig(record, 'health') }))
+    .filter(({ endpointConfig }) => endpointConfig)
+    .filter(({ record }) => {
+      const circuit = getCircuit(record.name);
+      return circuit.state === 'closed' || (!circuit.trialInFlight && Date.now() >= circuit.nextRetryAt);
+    });
+
+  await Promise.all(probes.map(({ record, endpointConfig }) => (
+    requestCapability(record, endpointConfig, { expectJson: false }).catch(() => {})
+  )));
+  return probes.length;
+};
+
+export const getCapabilityHealth = (name) => describeCircuit(circuits.get(name) || createCircuit());
+
+export const initializeCapabilityHealth = () => {
+  // A capability that registers again was most likely restarted; let the next request through instead of waiting out
+  // the reset period.
+  onServiceRegistered((record) => {
+    const circuit = record.type === 'capability' ? circuits.get(record.name) : null;
+    if (circuit?.state === 'open' && !circuit.trialInFlight) {
+      circuit.nextRetryAt = Date.now();
+    }
+  });
+  onServiceUnregistered((record) => {
+    if (record.type === 'capability') {
+      circuits.delete(record.name);
+    }
+  });
+};
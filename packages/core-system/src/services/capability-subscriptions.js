@@ -0,0 +1,98 @@
+// Devices declare which capability changes should regenerate their UI, keyed by capability name or alias:
+//   { "userActivity": { "minConfidence": 0.7, "states": ["running", "hands-occupied"] }, "noiseLevel": false }
+// `true` or `{}` subscribes to every change; `false` (or leaving the capability out) ignores it. Filters:
+//   - minConfidence: the pushed data's confidence (`confidenceField`, default `confidence`) must reach this value.
+//   - states: allow-list for the data's state (`stateField`, default `state`, falling back to `id`). Entering and leaving
+//     an allowed state both count, so a UI adapted to `running` is reflowed once the user stops.
+
+const deliveredStatesByDevice = new Map(); // deviceId -> Map(capability module name -> last state that reflowed the UI)
+
+const SUBSCRIPTION_FIELDS = ['minConfidence', 'states', 'stateField', 'confidenceField'];
+
+const normalizeSubscription = (capability, value) => {
+  if (value === true) {
+    return {};
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Subscription for capability '${capability}' must be true, false or an object.`);
+  }
+  const unknown = Object.keys(value).filter((key) => !SUBSCRIPTION_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Subscription for capability '${capability}' has unknown field(s): ${unknown.join(', ')}.`);
+  }
+  const { minConfidence, states, stateField, confidenceField } = value;
+  if (minConfidence !== undefined && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1)) {
+    throw new Error(`\`minConfidence\` for capability '${capability}' must be a number between 0 and 1.`);
+  }
+  if (states !== undefined && (!Array.isArray(states) || states.length === 0 || !states.every((state) => typeof state === 'string'))) {
+    throw new Error(`\`states\` for capability '${capability}' must be a non-empty array of strings.`);
+  }
+  [['stateField', stateField], ['confidenceField', confidenceField]].forEach(([field, fieldValue]) => {
+    if (fieldValue !== undefined && (typeof fieldValue !== 'string' || !fieldValue)) {
+      throw new Error(`\`${field}\` for capability '${capability}' must be a non-empty string.`);
+    }
+  });
+  return Object.fromEntries(Object.entries({ minConfidence, states, stateField, confidenceField })
+    .filter(([, fieldValue]) => fieldValue !== undefined));
+};
+
+// Returns null when the device declared no subscriptions; such devices keep the `capabilities`-based behaviour.
+export const normalizeCapabilitySubscriptions = (subscriptions) => {
+  if (subscriptions === undefined || subscriptions === null) {
+    return null;
+  }
+  if (typeof subscriptions !== 'object' || Array.isArray(subscriptions)) {
+    throw new Error('`capabilitySubscriptions` must be an object keyed by capability name or alias.');
+  }
+  return Object.fromEntries(Object.entries(subscriptions)
+    .filter(([, value]) => value !== false)
+    .map(([capability, value]) => [capability, normalizeSubscription(capability, value)]));
+};
+
+const readState = (data, subscription) => {
+  if (!data || typeof data !== 'object') {
+    return typeof data === 'string' ? data : null;
+  }
+  const state = subscription.stateField ? data[subscription.stateField] : data.state ?? data.id;
+  return state === undefined || state === null ? null : String(state);
+};
+
+// Decides whether pushed data for `capabilityRecord` should reflow the device, and remembers the state it delivered.
+export const shouldDeliverCapabilityData = (deviceRecord, capabilityRecord, entry) => {
+  const subscriptions = deviceRecord.capabilitySubscriptions || {};
+  const key = [capabilityRecord.name, ...(capabilityRecord.provides || [])].find((name) => subscriptions[name]);
+  if (!key) {
+    return false;
+  }
+  const subscription = subscriptions[key];
+  const data = entry?.data;
+
+  if (subscription.minConfidence !== undefined) {
+    const confidence = data?.[subscription.confidenceField || 'confidence'];
+    if (typeof confidence !== 'number' || confidence < subscription.minConfidence) {
+      return false;
+    }
+  }
+
+  const delivered = deliveredStatesByDevice.get(deviceRecord.id) || new Map();
+  const state = readState(data, subscription);
+  if (subscription.states) {
+    const previousState = delivered.get(capabilityRecord.name);
+    if (state === previousState) {
+      return false;
+    }
+    if (!subscription.states.includes(state) && !subscription.states.includes(previousState)) {
+      delivered.set(capabilityRecord.name, state);
+      deliveredStatesByDevice.set(deviceRecord.id, delivered);
+      return false;
+    }
+  }
+
+  delivered.set(capabilityRecord.name, state);
+  deliveredStatesByDevice.set(deviceRecord.id, delivered);
+  return true;
+};
+
+export const forgetDeviceSubscriptionState = (deviceId) => {
+  deliveredStatesByDevice.delete(deviceId);
+};
@@ -0,0 +1,213 @@
+import { thingRegistry } from './registry.js';
+import { adaptUiToDevice } from './ui-fanout.js';
+import { readThingProperty } from './action-invoker.js';
+import { UI_FALLBACK_PROPERTY_READ_TIMEOUT_MS, GENERATION_CACHE_IGNORED_FIELDS } from '../config.js';
+import { nowIsoString } from '../utils.js';
+import { formatDisplayValue } from '../../../shared/display-value.js';
+
+// Rule-based UI used when the knowledge base cannot generate one (or when a caller asks for `mode: "deterministic"`).
+// It is built from the target device's uiSchema, the normalized Thing actions and properties, and one read of each
+// readable property (UI_FALLBACK_PROPERTY_READ_TIMEOUT_MS):
+//   - actions whose names differ only by an on/off token (turnOn/turnOff, fan_on/fan_off) become one toggle when a
+//     property of the Thing tells whether it is on; without a known state they stay two buttons,
+//   - every other action becomes a button,
+//   - readable properties become status cards showing their current value, or "unavailable".
+// Components the device does not declare are degraded the same way as fanned-out layouts.
+
+const SWITCH_TOKENS = new Map([['on', true], ['off', false]]);
+// Verbs that say nothing about what is switched, so "turn *" is labelled after the Thing itself.
+const SWITCH_VERBS = new Set(['turn', 'switch', 'power', 'set']);
+const SWITCH_STATES = new Map([['on', true], ['true', true], ['off', false], ['false', false]]);
+
+const tokenize = (name) => String(name || '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const resolveThingTitle = (thingId, action) => {
+  const description = thingRegistry.get(thingId)?.description;
+  return description?.title || description?.info?.title || action?.metadata?.thingTitle || thingId || 'Scenes';
+};
+
+// Same minimal descriptor the knowledge base binds to controls; devices resolve the rest by id.
+const bindAction = (action) => Object.fromEntries(Object.entries({
+  type: action.type || 'thingAction',
+  id: action.id,
+  thingId: action.type === 'scene' ? null : action.thingId,
+  name: action.name,
+  title: action.title,
+  transport: action.transport,
+  forms: action.forms,
+  safety: action.safety,
+}).filter(([, value]) => value !== undefined && value !== null));
+
+const readSwitchKey = (action) => {
+  const tokens = tokenize(action.name);
+  const switches = tokens.filter((token) => SWITCH_TOKENS.has(token));
+  if (switches.length !== 1) {
+    return null;
+  }
+  return {
+    key: `${action.thingId || ''}|${tokens.map((token) => (SWITCH_TOKENS.has(token) ? '*' : token)).join(' ')}`,
+    subject: tokens.filter((token) => !SWITCH_TOKENS.has(token) && !SWITCH_VERBS.has(token)),
+    on: SWITCH_TOKENS.get(switches[0]),
+  };
+};
+
+// Hazardous actions never go on a toggle; they stay buttons so the device runs the confirmation flow on a clear label.
+const pairSwitchActions = (actions) => {
+  const candidates = new Map();
+  actions.forEach((action) => {
+    const switchKey = readSwitchKey(action);
+    if (!switchKey || action.safety?.requiresConfirmation) {
+      return;
+    }
+    const pair = candidates.get(switchKey.key) || { subject: switchKey.subject };
+    pair[switchKey.on ? 'onAction' : 'offAction'] = pair[switchKey.on ? 'onAction' : 'offAction'] || action;
+    candidates.set(switchKey.key, pair);
+  });
+  return Array.from(candidates.values()).filter((pair) => pair.onAction && pair.offAction);
+};
+
+// Resolves with `{ ok, value }` per property id; a failed or slow read is only logged.
+const readPropertyValues = async (properties) => {
+  const readable = properties.filter((property) => !property.writeOnly);
+  const readings = await Promise.all(readable.map((property) => (
+    readThingProperty(property, { timeoutMs: UI_FALLBACK_PROPERTY_READ_TIMEOUT_MS })
+      .then((value) => ({ ok: true, value }))
+      .catch((error) => {
+        console.warn(`[Core] Fallback UI could not read property ${property.id}: ${error.message}`);
+        return { ok: false, value: null };
+      })
+  )));
+  return new Map(readable.map((property, index) => [property.id, readings[index]]));
+};
+
+const readSwitchState = (reading) => {
+  if (!reading?.ok) {
+    return null;
+  }
+  if (typeof reading.value === 'boolean') {
+    return reading.value;
+  }
+  return typeof reading.value === 'string' ? SWITCH_STATES.get(reading.value.trim().toLowerCase()) ?? null : null;
+};
+
+// The property holding a pair's state: one whose name mentions the switched subject, else the Thing's only on/off
+// property. Null when the state cannot be told.
+const resolvePairState = (pair, properties, readings) => {
+  const candidates = properties
+    .map((property) => ({ property, state: readSwitchState(readings.get(property.id)) }))
+    .filter(({ state }) => state !== null);
+  const named = pair.subject.length > 0
+    ? candidates.filter(({ property }) => {
+      const tokens = tokenize(property.name);
+      return pair.subject.every((token) => tokens.includes(token));
+    })
+    : [];
+  const [match] = named.length > 0 ? named : candidates.length === 1 ? candidates : [];
+  return match ? match.state : null;
+};
+
+const describeProperty = (property, reading) => {
+  const unit = property.schema?.unit;
+  const value = reading?.ok ? formatDisplayValue(reading.value, { volatileFields: GENERATION_CACHE_IGNORED_FIELDS }) : '';
+  return {
+    type: 'statusCard',
+    id: property.id,
+    title: property.title || property.name,
+    value: value ? [value, unit].filter(Boolean).join(' ') : 'unavailable',
+    tone: value ? 'info' : 'warning',
+  };
+};
+
+const buildThingSection = ({ thingId, actions, properties }, { allowToggles, readings }) => {
+  const title = resolveThingTitle(thingId, actions[0] || properties[0]);
+  const pairs = (allowToggles ? pairSwitchActions(actions) : [])
+    .map((pair) => ({ ...pair, checked: resolvePairState(pair, properties, readings) }))
+    .filter((pair) => pair.checked !== null);
+  const paired = new Set(pairs.flatMap((pair) => [pair.onAction.id, pair.offAction.id]));
+
+  const children = [
+    { type: 'text', text: title, variant: 'subtitle' },
+    ...pairs.map((pair) => ({
+      type: 'toggle',
+      id: `${pair.onAction.id}|${pair.offAction.id}`,
+      label: pair.subject.length > 0 ? pair.subject.map(capitalize).join(' ') : title,
+      checked: pair.checked,
+      onAction: bindAction(pair.onAction),
+      offAction: bindAction(pair.offAction),
+    })),
+    ...actions.filter((action) => !paired.has(action.id)).map((action) => ({
+      type: 'button',
+      id: action.id,
+      label: action.title || action.name,
+      action: bindAction(action),
+    })),
+    ...properties.filter((property) => !property.writeOnly)
+      .map((property) => describeProperty(property, readings.get(property.id))),
+  ];
+  return { type: 'container', layout: 'column', children };
+};
+
+const groupByThing = (thingActions, thingProperties) => {
+  const sections = new Map();
+  const sectionFor = (thingId) => {
+    const key = thingId || null;
+    if (!sections.has(key)) {
+      sections.set(key, { thingId: key, actions: [], properties: [] });
+    }
+    return sections.get(key);
+  };
+  thingActions.forEach((action) => sectionFor(action.type === 'scene' ? null : action.thingId).actions.push(action));
+  thingProperties.forEach((property) => sectionFor(property.thingId).properties.push(property));
+  // Scenes span Things, so they come last.
+  return Array.from(sections.values()).sort((left, right) => Number(left.thingId === null) - Number(right.thingId === null));
+};
+
+export const generateFallbackUi = async ({ device, thingActions = [], thingProperties = [], reason }) => {
+  const supported = new Set(Object.keys(device?.uiSchema?.components || {}));
+  const allowToggles = supported.size === 0 || supported.has('toggle');
+  const readings = await readPropertyValues(thingProperties);
+  const sections = groupByThing(thingActions, thingProperties)
+    .map((section) => buildThingSection(section, { allowToggles, readings }));
+
+  const components = [
+    {
+      type: 'text',
+      text: reason === 'requested'
+        ? 'Basic controls generated from the registered Things.'
+        : 'The UI generator is unavailable; showing basic controls for the registered Things.',
+      tone: 'muted',
+    },
+    ...(sections.length > 0 ? sections : [{ type: 'text', text: 'No Thing actions or properties are available for this device.' }]),
+  ];
+  if (supported.has('prompts')) {
+    components.push({
+      type: 'prompts',
+      suggestions: thingActions.map((action) => action.title || action.name).filter(Boolean).slice(0, 5),
+    });
+  }
+
+  const ui = {
+    context: {
+      fallback: true,
+      generator: 'deterministic',
+      reason: reason || 'knowledge-base-unavailable',
+      generatedAt: nowIsoString(),
+      deviceId: device?.id || null,
+      thingId: device?.thingId || null,
+      ...(device?.uiSchema?.context?.defaultErgonomicsProfile
+        ? { defaultErgonomicsProfile: device.uiSchema.context.defaultErgonomicsProfile }
+        : {}),
+    },
+    ...(device?.uiSchema?.theming?.defaultPrimaryColor
+      ? { theme: { primaryColor: device.uiSchema.theming.defaultPrimaryColor } }
+      : {}),
+    components,
+  };
+  return adaptUiToDevice(ui, device).ui || ui;
+};
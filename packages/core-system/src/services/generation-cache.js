@@ -0,0 +1,155 @@
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+import {
+  KNOWLEDGE_BASE_URL,
+  GENERATION_CACHE_TTL_MS,
+  GENERATION_CACHE_MAX_ENTRIES,
+  GENERATION_CACHE_IGNORED_FIELDS,
+} from '../config.js';
+import { composeUrl, nowIsoString, stableStringify } from '../utils.js';
+
+// Generated UIs keyed by a hash of everything the knowledge base would see: prompt, schema, capabilities and their
+// data, Thing actions/properties/events, available Things, the target device, the model and the KB document revision.
+// A matching hash reuses the UI instead of calling the LLM again.
+
+const KB_REVISION_TIMEOUT_MS = 2000;
+
+const entries = new Map(); // context hash -> { deviceId, ui, createdAt, expiresAt, hits }; insertion order = age
+const stats = { hits: 0, misses: 0, forced: 0, stores: 0, expired: 0, evicted: 0 };
+const ignoredFields = new Set(GENERATION_CACHE_IGNORED_FIELDS);
+
+export const isGenerationCacheEnabled = () => GENERATION_CACHE_TTL_MS > 0 && GENERATION_CACHE_MAX_ENTRIES > 0;
+
+// Sensor timestamps change on every sample without changing what the UI should show.
+export const stripVolatileFields = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatileFields);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !ignoredFields.has(key))
+      .map(([key, entry]) => [key, stripVolatileFields(entry)]));
+  }
+  return value;
+};
+
+// Failed capabilities count as "unavailable": their error text carries retry times and would never hash the same.
+const canonicalCapabilityData = (capabilityData = {}) => Object.fromEntries(Object.entries(capabilityData)
+  .map(([capabilityName, details]) => [capabilityName, details?.error
+    ? { source: details.source || null, unavailable: true, health: details.health || null }
+    : stripVolatileFields(details)]));
+
+// Heartbeats and registration times of the target device are bookkeeping, not UI input.
+const canonicalDevice = (device) => (device
+  ? {
+      id: device.id,
+      name: device.name,
+      thingId: device.thingId || null,
+      capabilities: device.capabilities,
+      metadata: device.metadata,
+      uiSchema: device.uiSchema,
+      defaultPrompt: device.defaultPrompt,
+    }
+  : null);
+
+export const hashGenerationContext = (payload, { model, knowledgeBaseRevision }) => createHash('sha256')
+  .update(stableStringify({
+    deviceId: payload.deviceId,
+    device: canonicalDevice(payload.device),
+    prompt: payload.prompt,
+    schema: payload.schema,
+    thingDescription: payload.thingDescription,
+    capabilities: payload.capabilities,
+    capabilityData: canonicalCapabilityData(payload.capabilityData),
+    missingCapabilities: payload.missingCapabilities,
+    thingActions: payload.thingActions,
+    thingProperties: payload.thingProperties,
+    thingEvents: payload.thingEvents,
+    availableThings: payload.availableThings,
+    model: model || null,
+    knowledgeBaseRevision: knowledgeBaseRevision || null,
+  }))
+  .digest('hex');
+
+// The KB reports a revision of its document store on /health; null when it cannot be reached in time.
+export const fetchKnowledgeBaseRevision = async () => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), KB_REVISION_TIMEOUT_MS);
+  try {
+    const response = await fetch(composeUrl(KNOWLEDGE_BASE_URL, '/health'), { signal: controller.signal });
+    if (!response.ok) {
+      return null;
+    }
+    const health = await response.json();
+    return health?.revision || null;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+export const getCachedGeneration = (hash) => {
+  const entry = entries.get(hash);
+  if (entry && isExpired(entry)) {
+    entries.delete(hash);
+    stats.expired += 1;
+  } else if (entry) {
+    entry.hits += 1;
+    stats.hits += 1;
+    return entry;
+  }
+  stats.misses += 1;
+  return null;
+};
+
+export const recordForcedGeneration = () => {
+  stats.forced += 1;
+};
+
+export const storeGeneration = (hash, { deviceId, ui }) => {
+  entries.delete(hash);
+  entries.set(hash, {
+    deviceId: deviceId || null,
+    ui,
+    createdAt: nowIsoString(),
+    expiresAt: Date.now() + GENERATION_CACHE_TTL_MS,
+    hits: 0,
+  });
+  stats.stores += 1;
+  while (entries.size > GENERATION_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evicted += 1;
+  }
+};
+
+export const clearGenerationCache = (deviceId) => {
+  let removed = 0;
+  entries.forEach((entry, hash) => {
+    if (!deviceId || entry.deviceId === deviceId) {
+      entries.delete(hash);
+      removed += 1;
+    }
+  });
+  return removed;
+};
+
+export const getGenerationCacheStats = () => {
+  const now = Date.now();
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: isGenerationCacheEnabled(),
+    ttlMs: GENERATION_CACHE_TTL_MS,
+    maxEntries: GENERATION_CACHE_MAX_ENTRIES,
+    entries: Array.from(entries.values()).filter((entry) => !isExpired(entry, now)).length,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+    byDevice: Array.from(entries.values()).reduce((counts, entry) => {
+      const key = entry.deviceId || 'broadcast';
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {}),
+  };
+};
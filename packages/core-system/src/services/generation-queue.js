@@ -0,0 +1,94 @@
+import { allocateUiGeneration } from '../transport/websocket.js';
+
+// One generation job runs per device at a time. Requests arriving while it runs coalesce into a single pending job
+// (newest parameters win, `force` and `broadcast` are sticky) and abort the running job, whose knowledge base call is
+// cancelled through its AbortSignal. Callers of superseded jobs are answered by the job that replaced them.
+
+const queues = new Map(); // deviceId -> { running, pending }
+const stats = { started: 0, completed: 0, failed: 0, superseded: 0, coalesced: 0 };
+
+const mergeRequests = (previous, next) => ({
+  ...previous,
+  ...next,
+  force: Boolean(previous.force || next.force),
+  // `broadcast` defaults to true, so only two explicit opt-outs keep a merged request silent.
+  broadcast: previous.broadcast !== false || next.broadcast !== false,
+});
+
+export const createSupersededError = (deviceId, generation) => {
+  const error = new Error(`Generation ${generation} for device '${deviceId}' was superseded by a newer request.`);
+  error.superseded = true;
+  return error;
+};
+
+const startNext = (deviceId, queue) => {
+  const job = queue.pending;
+  queue.pending = null;
+  if (!job) {
+    queues.delete(deviceId);
+    return;
+  }
+
+  job.controller = new AbortController();
+  job.generation = allocateUiGeneration(deviceId);
+  queue.running = job;
+  stats.started += 1;
+
+  Promise.resolve()
+    .then(() => job.run({ ...job.request, signal: job.controller.signal, generation: job.generation }))
+    .then((result) => {
+      stats.completed += 1;
+      job.waiters.forEach(({ resolve }) => resolve(result));
+    }, (error) => {
+      // Waiters of an aborted job were handed to its replacement; only genuine failures reach the callers.
+      if (job.controller.signal.aborted) {
+        return;
+      }
+      stats.failed += 1;
+      job.waiters.forEach(({ reject }) => reject(error));
+    })
+    .finally(() => {
+      queue.running = null;
+      startNext(deviceId, queue);
+    });
+};
+
+export const enqueueDeviceGeneration = (deviceId, request, run) => new Promise((resolve, reject) => {
+  const queue = queues.get(deviceId) || { running: null, pending: null };
+  queues.set(deviceId, queue);
+
+  const waiter = { resolve, reject };
+  if (queue.pending) {
+    queue.pending.request = mergeRequests(queue.pending.request, request);
+    queue.pending.run = run;
+    queue.pending.waiters.push(waiter);
+    stats.coalesced += 1;
+  } else {
+    queue.pending = { request, run, waiters: [waiter] };
+  }
+
+  const { running } = queue;
+  if (!running) {
+    startNext(deviceId, queue);
+    return;
+  }
+  if (!running.controller.signal.aborted) {
+    console.log(`[Core] Cancelling generation ${running.generation} for device '${deviceId}'; a newer request is queued.`);
+    running.controller.abort();
+    stats.superseded += 1;
+  }
+  // A forced request stays forced even when the one it supersedes was the forced one.
+  queue.pending.request = mergeRequests(running.request, queue.pending.request);
+  queue.pending.waiters.unshift(...running.waiters);
+  running.waiters = [];
+});
+
+export const getGenerationQueueStats = () => ({
+  ...stats,
+  devices: Array.from(queues.entries()).map(([deviceId, { running, pending }]) => ({
+    deviceId,
+    runningGeneration: running?.generation ?? null,
+    pending: Boolean(pending),
+    waiting: (running?.waiters.length || 0) + (pending?.waiters.length || 0),
+  })),
+});
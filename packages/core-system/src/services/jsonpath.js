@@ -0,0 +1,273 @@
+// Minimal JSONPath evaluator for the TD Directory search endpoint. Supports `$`, `.key`, `['key']`, `[n]`, `[start:end]`,
+// wildcards (`.*`, `[*]`), recursive descent (`..key`) and filters such as `[?(@.title == 'Lamp')]` or `[?(@.actions)]`.
+
+const tokenize = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim().startsWith('$')) {
+    throw new Error("JSONPath expressions must start with '$'.");
+  }
+
+  const source = expression.trim();
+  const tokens = [];
+  let index = 1;
+
+  const readIdentifier = () => {
+    const match = /^[A-Za-z0-9_@$\-:]+/.exec(source.slice(index));
+    if (!match) {
+      throw new Error(`Expected a member name at position ${index} in '${source}'.`);
+    }
+    index += match[0].length;
+    return match[0];
+  };
+
+  while (index < source.length) {
+    if (source.startsWith('..', index)) {
+      index += 2;
+      if (source[index] === '[') {
+        tokens.push({ type: 'descend' });
+        continue;
+      }
+      if (source[index] === '*') {
+        index += 1;
+        tokens.push({ type: 'descend' }, { type: 'wildcard' });
+        continue;
+      }
+      tokens.push({ type: 'descend' }, { type: 'member', name: readIdentifier() });
+      continue;
+    }
+
+    if (source[index] === '.') {
+      index += 1;
+      if (source[index] === '*') {
+        index += 1;
+        tokens.push({ type: 'wildcard' });
+      } else {
+        tokens.push({ type: 'member', name: readIdentifier() });
+      }
+      continue;
+    }
+
+    if (source[index] === '[') {
+      const closing = findClosingBracket(source, index);
+      const inner = source.slice(index + 1, closing).trim();
+      index = closing + 1;
+      tokens.push(parseBracket(inner));
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${source[index]}' at position ${index} in '${source}'.`);
+  }
+
+  return tokens;
+};
+
+const findClosingBracket = (source, start) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < source.length; i += 1) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote && source[i - 1] !== '\\') quote = null;
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '[') {
+      depth += 1;
+    } else if (char === ']') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error(`Unbalanced '[' in '${source}'.`);
+};
+
+const unquote = (value) => {
+  const trimmed = value.trim();
+  if ((trimmed.startsWith('\'') && trimmed.endsWith('\'')) || (trimmed.startsWith('"') && trimmed.endsWith('"'))) {
+    return trimmed.slice(1, -1);
+  }
+  return null;
+};
+
+const parseBracket = (inner) => {
+  if (inner === '*') {
+    return { type: 'wildcard' };
+  }
+  if (inner.startsWith('?(') && inner.endsWith(')')) {
+    return { type: 'filter', predicate: parseFilter(inner.slice(2, -1).trim()) };
+  }
+  const quoted = unquote(inner);
+  if (quoted !== null) {
+    return { type: 'member', name: quoted };
+  }
+  if (/^-?\d*:-?\d*$/.test(inner)) {
+    const [start, end] = inner.split(':').map((part) => (part === '' ? undefined : Number.parseInt(part, 10)));
+    return { type: 'slice', start, end };
+  }
+  if (/^-?\d+$/.test(inner)) {
+    return { type: 'index', index: Number.parseInt(inner, 10) };
+  }
+  throw new Error(`Unsupported JSONPath selector '[${inner}]'.`);
+};
+
+const parseLiteral = (raw) => {
+  const quoted = unquote(raw);
+  if (quoted !== null) return quoted;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  const numeric = Number(raw);
+  if (raw !== '' && Number.isFinite(numeric)) return numeric;
+  throw new Error(`Unsupported literal '${raw}' in JSONPath filter.`);
+};
+
+const readRelativePath = (raw) => {
+  if (!raw.startsWith('@')) {
+    throw new Error(`Filter operands must start with '@' (received '${raw}').`);
+  }
+  const tokens = tokenize(`$${raw.slice(1)}`);
+  return (item) => evaluateTokens(tokens, [item]);
+};
+
+// Patterns from `=~` run on the core's event loop, so they are kept short and free of the constructs that backtrack
+// catastrophically: backreferences and repeated groups that themselves contain a quantifier or an alternation.
+const MAX_PATTERN_LENGTH = 100;
+
+const hasNestedQuantifier = (pattern) => {
+  const groups = []; // per open group: whether it contains a quantifier or alternation
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i += 1;
+    } else if (char === '[') {
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+        if (pattern[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const risky = groups.pop();
+      const repeated = ['*', '+', '{'].includes(pattern[i + 1]);
+      if (risky && repeated) return true;
+      if ((risky || repeated) && groups.length > 0) groups[groups.length - 1] = true;
+    } else if ('*+?{|'.includes(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+const compilePattern = (pattern) => {
+  if (typeof pattern !== 'string') {
+    throw new Error("'=~' expects a quoted pattern.");
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`'=~' patterns are limited to ${MAX_PATTERN_LENGTH} characters.`);
+  }
+  if (hasNestedQuantifier(pattern)) {
+    throw new Error(`'=~' pattern '${pattern}' uses backreferences or repeated groups with quantifiers, which are not supported.`);
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid '=~' pattern: ${error.message}`);
+  }
+};
+
+const COMPARATORS = {
+  '==': (left, right) => left === right,
+  '!=': (left, right) => left !== right,
+  '>=': (left, right) => left >= right,
+  '<=': (left, right) => left <= right,
+  '>': (left, right) => left > right,
+  '<': (left, right) => left < right,
+  '=~': (left, right) => typeof left === 'string' && right.test(left),
+};
+
+// Splits on `separator` outside quoted literals, so `@.title == 'A && B'` stays one comparison.
+const splitOutsideQuotes = (expression, separator) => {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (quote) {
+      if (char === quote && expression[i - 1] !== '\\') quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (expression.startsWith(separator, i)) {
+      parts.push(expression.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push(expression.slice(start));
+  return parts;
+};
+
+// Filters are a single comparison or existence test; `&&`/`||` chains are evaluated left to right.
+const parseFilter = (expression) => {
+  const orParts = splitOutsideQuotes(expression, '||');
+  if (orParts.length > 1) {
+    const predicates = orParts.map((part) => parseFilter(part.trim()));
+    return (item) => predicates.some((predicate) => predicate(item));
+  }
+  const andParts = splitOutsideQuotes(expression, '&&');
+  if (andParts.length > 1) {
+    const predicates = andParts.map((part) => parseFilter(part.trim()));
+    return (item) => predicates.every((predicate) => predicate(item));
+  }
+
+  const match = /^(@[^=!<>~\s]*)\s*(==|!=|>=|<=|>|<|=~)\s*(.+)$/.exec(expression);
+  if (!match) {
+    const select = readRelativePath(expression);
+    return (item) => select(item).length > 0;
+  }
+
+  const [, pathExpression, operator, literal] = match;
+  const select = readRelativePath(pathExpression);
+  const expected = operator === '=~' ? compilePattern(parseLiteral(literal.trim())) : parseLiteral(literal.trim());
+  const compare = COMPARATORS[operator];
+  return (item) => select(item).some((value) => compare(value, expected));
+};
+
+const childrenOf = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+};
+
+const descendantsOf = (value) => {
+  const collected = [value];
+  childrenOf(value).forEach((child) => collected.push(...descendantsOf(child)));
+  return collected;
+};
+
+const applyToken = (token, nodes) => {
+  switch (token.type) {
+    case 'member':
+      return nodes
+        .filter((node) => node && typeof node === 'object' && !Array.isArray(node) && token.name in node)
+        .map((node) => node[token.name]);
+    case 'wildcard':
+      return nodes.flatMap(childrenOf);
+    case 'index':
+      return nodes
+        .filter(Array.isArray)
+        .map((node) => node[token.index < 0 ? node.length + token.index : token.index])
+        .filter((value) => value !== undefined);
+    case 'slice':
+      return nodes.filter(Array.isArray).flatMap((node) => node.slice(token.start, token.end));
+    case 'filter':
+      return nodes.flatMap(childrenOf).filter((child) => token.predicate(child));
+    case 'descend':
+      return nodes.flatMap(descendantsOf);
+    default:
+      return [];
+  }
+};
+
+const evaluateTokens = (tokens, nodes) => tokens.reduce((current, token) => applyToken(token, current), nodes);
+
+export const evaluateJsonPath = (expression, document) => evaluateTokens(tokenize(expression), [document]);
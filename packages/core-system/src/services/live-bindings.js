@@ -0,0 +1,217 @@
+import { getPropertyById, getEventById } from '../../action-registry.js';
+import { readThingProperty, subscribeThingEvent } from './action-invoker.js';
+import { stripVolatileFields } from './generation-cache.js';
+import { deviceSockets, sendMessageToDevice } from '../transport/websocket.js';
+import { LIVE_PROPERTY_READ_TIMEOUT_MS, LIVE_EVENT_RECONNECT_MS } from '../config.js';
+import { nowIsoString, stableStringify } from '../utils.js';
+
+// Live values for components bound to a Thing property (`propertyId`) or event (`eventId`). Every dispatched UI is
+// scanned for bindings; bound properties are read when first bound and on every poll, and changed values are pushed to
+// the bound devices as `property.value`. Each bound event keeps one subscription to the Thing, whose occurrences are
+// pushed as `thing.event`. Sockets that connect later receive the last known values right away.
+
+const bindingsByDevice = new Map(); // deviceId -> { propertyIds: Set, eventIds: Set }
+const propertyValues = new Map(); // propertyId -> last `property.value` message body
+const latestEvents = new Map(); // eventId -> last `thing.event` message body
+const eventStreams = new Map(); // eventId -> { controller, timer }
+let polling = false;
+
+const collectBindings = (node, bindings = { propertyIds: new Set(), eventIds: new Set() }) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectBindings(child, bindings));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.propertyId === 'string' && node.propertyId) bindings.propertyIds.add(node.propertyId);
+    if (typeof node.eventId === 'string' && node.eventId) bindings.eventIds.add(node.eventId);
+    Object.values(node).forEach((value) => collectBindings(value, bindings));
+  }
+  return bindings;
+};
+
+const devicesBoundTo = (kind, id) => Array.from(bindingsByDevice.entries())
+  .filter(([, bindings]) => bindings[kind].has(id))
+  .map(([deviceId]) => deviceId);
+
+const boundIds = (kind, { connectedOnly = false } = {}) => new Set(Array.from(bindingsByDevice.entries())
+  .filter(([deviceId]) => !connectedOnly || deviceSockets.get(deviceId)?.size > 0)
+  .flatMap(([, bindings]) => Array.from(bindings[kind])));
+
+// Pushed only when the value (ignoring sample timestamps) or the error changed since the last read.
+const readBoundProperty = async (propertyId) => {
+  const property = getPropertyById(propertyId);
+  let reading;
+  if (!property) {
+    reading = { ok: false, error: `Property '${propertyId}' is not registered.` };
+  } else {
+    try {
+      reading = { ok: true, value: await readThingProperty(property, { timeoutMs: LIVE_PROPERTY_READ_TIMEOUT_MS }) };
+    } catch (error) {
+      reading = { ok: false, error: error.message };
+    }
+  }
+
+  const previous = propertyValues.get(propertyId);
+  const fingerprint = (entry) => stableStringify({ ok: entry.ok, value: stripVolatileFields(entry.value ?? null), error: entry.error ?? null });
+  const entry = { propertyId, thingId: property?.thingId ?? null, ...reading, readAt: nowIsoString() };
+  propertyValues.set(propertyId, entry);
+  if (!previous || fingerprint(previous) !== fingerprint(entry)) {
+    devicesBoundTo('propertyIds', propertyId).forEach((deviceId) => sendMessageToDevice(deviceId, 'property.value', entry));
+  }
+};
+
+// Reads every property bound on a connected device; a poll still running when the next one is due is not doubled.
+export const pollBoundProperties = async () => {
+  if (polling) {
+    return 0;
+  }
+  polling = true;
+  try {
+    const propertyIds = Array.from(boundIds('propertyIds', { connectedOnly: true }));
+    await Promise.all(propertyIds.map(readBoundProperty));
+    return propertyIds.length;
+  } finally {
+    polling = false;
+  }
+};
+
+const parseEventFrame = (frame) => {
+  const fields = { event: null, data: [] };
+  frame.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'data') fields.data.push(value);
+    if (field === 'event') fields.event = value;
+  });
+  if (fields.data.length === 0) {
+    return null;
+  }
+  const raw = fields.data.join('\n');
+  try {
+    return { name: fields.event, data: JSON.parse(raw) };
+  } catch (error) {
+    return { name: fields.event, data: raw };
+  }
+};
+
+const relayEvent = (event, { name, data }) => {
+  const entry = { eventId: event.id, thingId: event.thingId ?? null, name: name || event.name, data, receivedAt: nowIsoString() };
+  latestEvents.set(event.id, entry);
+  devicesBoundTo('eventIds', event.id).forEach((deviceId) => sendMessageToDevice(deviceId, 'thing.event', entry));
+};
+
+const closeEventStream = (eventId) => {
+  const stream = eventStreams.get(eventId);
+  if (stream) {
+    clearTimeout(stream.timer);
+    stream.controller.abort();
+    eventStreams.delete(eventId);
+  }
+};
+
+// Opens or closes Thing subscriptions so exactly the bound events have one.
+const reconcileEventStreams = () => {
+  const bound = boundIds('eventIds');
+  Array.from(eventStreams.keys()).filter((eventId) => !bound.has(eventId)).forEach((eventId) => {
+    closeEventStream(eventId);
+    latestEvents.delete(eventId);
+  });
+  bound.forEach((eventId) => {
+    if (!eventStreams.has(eventId)) {
+      openEventStream(eventId);
+    }
+  });
+};
+
+// A stream that fails or ends is reopened after LIVE_EVENT_RECONNECT_MS while the event is still bound; an event that is
+// not registered (yet) is retried the same way.
+const openEventStream = (eventId) => {
+  const stream = { controller: new AbortController(), timer: null };
+  eventStreams.set(eventId, stream);
+  const event = getEventById(eventId);
+
+  const subscription = event
+    ? subscribeThingEvent(event, { signal: stream.controller.signal }).then((response) => new Promise((resolve, reject) => {
+      console.log(`[Core] Relaying event ${eventId} to bound devices.`);
+      let buffer = '';
+      response.body.on('data', (chunk) => {
+        const frames = `${buffer}${chunk.toString()}`.split(/\r?\n\r?\n/);
+        buffer = frames.pop();
+        frames.map(parseEventFrame).filter(Boolean).forEach((occurrence) => relayEvent(event, occurrence));
+      });
+      response.body.on('end', resolve);
+      response.body.on('error', reject);
+    }))
+    : Promise.reject(new Error('it is not registered'));
+
+  subscription
+    .catch((error) => {
+      if (!stream.controller.signal.aborted) {
+        console.warn(`[Core] Event subscription for ${eventId} failed: ${error.message}`);
+      }
+    })
+    .finally(() => {
+      if (eventStreams.get(eventId) !== stream || stream.controller.signal.aborted) {
+        return;
+      }
+      stream.timer = setTimeout(() => {
+        eventStreams.delete(eventId);
+        reconcileEventStreams();
+      }, LIVE_EVENT_RECONNECT_MS);
+    });
+};
+
+// Sends the last known value of everything the device's UI is bound to (new sockets, new UIs).
+export const resendLiveValues = (deviceId) => {
+  const bindings = bindingsByDevice.get(deviceId);
+  if (!bindings) {
+    return;
+  }
+  bindings.propertyIds.forEach((propertyId) => {
+    if (propertyValues.has(propertyId)) sendMessageToDevice(deviceId, 'property.value', propertyValues.get(propertyId));
+  });
+  bindings.eventIds.forEach((eventId) => {
+    if (latestEvents.has(eventId)) sendMessageToDevice(deviceId, 'thing.event', latestEvents.get(eventId));
+  });
+};
+
+const forgetUnboundValues = () => {
+  const bound = boundIds('propertyIds');
+  Array.from(propertyValues.keys()).filter((propertyId) => !bound.has(propertyId)).forEach((propertyId) => propertyValues.delete(propertyId));
+};
+
+export const syncDeviceBindings = (deviceId, ui) => {
+  const previous = bindingsByDevice.get(deviceId);
+  const bindings = collectBindings(ui);
+  if (bindings.propertyIds.size === 0 && bindings.eventIds.size === 0) {
+    bindingsByDevice.delete(deviceId);
+  } else {
+    bindingsByDevice.set(deviceId, bindings);
+  }
+
+  resendLiveValues(deviceId);
+  // Newly bound properties are read right away instead of waiting for the next poll.
+  Array.from(bindings.propertyIds)
+    .filter((propertyId) => !previous?.propertyIds.has(propertyId) && !propertyValues.has(propertyId))
+    .forEach((propertyId) => readBoundProperty(propertyId));
+  forgetUnboundValues();
+  reconcileEventStreams();
+};
+
+export const forgetDeviceBindings = (deviceId) => {
+  if (bindingsByDevice.delete(deviceId)) {
+    forgetUnboundValues();
+    reconcileEventStreams();
+  }
+};
+
+export const getLiveBindingStats = () => ({
+  devices: Array.from(bindingsByDevice.entries()).map(([deviceId, bindings]) => ({
+    deviceId,
+    propertyIds: Array.from(bindings.propertyIds),
+    eventIds: Array.from(bindings.eventIds),
+  })),
+  subscriptions: Array.from(eventStreams.keys()),
+});
@@ -0,0 +1,361 @@
+import { connectMcpClient, MCP_TRANSPORTS } from '../transport/mcp-client.js';
+import {
+  registerService,
+  registerThing,
+  recordHeartbeat,
+  thingRegistry,
+  unregisterService,
+  unregisterThing,
+} from './registry.js';
+import { CORE_PUBLIC_URL, MCP_REQUEST_TIMEOUT_MS, MCP_SERVERS } from '../config.js';
+import { composeUrl, nowIsoString } from '../utils.js';
+
+// MCP servers as a Device Abstraction Layer: the core holds the connection to each registered server and publishes
+//  - a Thing (`mcp-<name>`) whose tools become actions in `actionById` (see plugins/mcp-provider.js), and
+//  - a capability (`mcp-<name>`) whose read-only tools the knowledge base agent may call while generating a UI.
+// Both are kept alive by the health check while the server answers pings, so a vanished server expires like any Thing.
+
+const mcpServers = new Map(); // name -> { name, config, client, status, error, tools, serverInfo, protocolVersion, connectedAt, lastSeenAt, connecting }
+
+const slugify = (value) => String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+export const toMcpServerName = (value) => {
+  const name = slugify(typeof value === 'string' ? value : '');
+  if (!name) {
+    throw new Error('MCP servers need a name made of letters, digits or dashes.');
+  }
+  return name;
+};
+
+const toCapabilityName = (name) => `mcp-${name}`;
+
+// Function names in LLM tool calls are limited to `[A-Za-z0-9_-]{1,64}`.
+const toAgentToolName = (name, toolName) => `${name}_${toolName}`.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+
+const isStringArray = (value) => Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+
+// Fields that make the core start a local process. Only operator configuration (`MCP_SERVERS`) may set them; a
+// definition arriving over HTTP would otherwise run any command on the core's host.
+const PROCESS_FIELDS = ['command', 'args', 'env', 'cwd'];
+
+const normalizeServerConfig = (name, definition, { allowStdio = false } = {}) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('An MCP server definition must be a JSON object.');
+  }
+  if (!allowStdio) {
+    const setsProcess = PROCESS_FIELDS.some((field) => definition[field] !== undefined);
+    if (setsProcess || (definition.transport !== undefined && definition.transport !== 'http')) {
+      throw new Error(`MCP server '${name}' must use streamable HTTP (\`url\`); stdio servers (\`command\`, \`args\`, \`env\`, \`cwd\`) can only be configured through MCP_SERVERS.`);
+    }
+  }
+  const transport = definition.transport || (definition.command ? 'stdio' : definition.url ? 'http' : null);
+  if (!MCP_TRANSPORTS.includes(transport)) {
+    throw new Error(`MCP server '${name}' needs a \`command\` (stdio) or a \`url\` (streamable HTTP).`);
+  }
+  if (transport === 'stdio' && (typeof definition.command !== 'string' || !definition.command.trim())) {
+    throw new Error(`MCP server '${name}' uses stdio and needs a \`command\`.`);
+  }
+  if (transport === 'http' && !/^https?:\/\//i.test(definition.url || '')) {
+    throw new Error(`MCP server '${name}' uses streamable HTTP and needs an http(s) \`url\`.`);
+  }
+  if (definition.args !== undefined && !isStringArray(definition.args)) {
+    throw new Error(`MCP server '${name}' has invalid \`args\`; use an array of strings.`);
+  }
+  if (definition.provides !== undefined && !isStringArray(definition.provides)) {
+    throw new Error(`MCP server '${name}' has invalid \`provides\`; use an array of capability names.`);
+  }
+
+  return {
+    name,
+    transport,
+    command: transport === 'stdio' ? definition.command.trim() : null,
+    args: transport === 'stdio' ? definition.args || [] : [],
+    env: definition.env && typeof definition.env === 'object' ? { ...definition.env } : {},
+    cwd: typeof definition.cwd === 'string' ? definition.cwd : null,
+    url: transport === 'http' ? definition.url : null,
+    headers: definition.headers && typeof definition.headers === 'object' ? { ...definition.headers } : {},
+    thingId: typeof definition.thingId === 'string' && definition.thingId.trim() ? definition.thingId.trim() : `mcp-${name}`,
+    title: typeof definition.title === 'string' ? definition.title : null,
+    description: typeof definition.description === 'string' ? definition.description : null,
+    provides: definition.provides || [],
+    metadata: definition.metadata && typeof definition.metadata === 'object' ? { ...definition.metadata } : {},
+  };
+};
+
+// `env` and `headers` may carry credentials, so they are never echoed back.
+const describeServer = (server) => ({
+  name: server.name,
+  transport: server.config.transport,
+  ...(server.config.transport === 'stdio'
+    ? { command: server.config.command, args: server.config.args }
+    : { url: server.config.url }),
+  thingId: server.config.thingId,
+  capability: toCapabilityName(server.name),
+  status: server.status,
+  error: server.error,
+  serverInfo: server.serverInfo,
+  protocolVersion: server.protocolVersion,
+  tools: server.tools.map((tool) => ({
+    name: tool.name,
+    title: tool.title || tool.annotations?.title || tool.name,
+    description: tool.description || '',
+    readOnly: tool.annotations?.readOnlyHint === true,
+  })),
+  connectedAt: server.connectedAt,
+  lastSeenAt: server.lastSeenAt,
+});
+
+const buildThingDescription = (server) => ({
+  title: server.config.title || server.serverInfo?.title || server.serverInfo?.name || server.name,
+  description: server.config.description || server.instructions || `Tools of the MCP server '${server.name}'.`,
+  mcp: {
+    server: server.name,
+    transport: server.config.transport,
+    protocolVersion: server.protocolVersion,
+    serverInfo: server.serverInfo,
+    tools: server.tools,
+  },
+});
+
+// Only read-only tools are offered to the agent loop: it fetches data while designing a UI and must not actuate anything.
+const buildAgentTools = (server) => Object.fromEntries(server.tools
+  .filter((tool) => tool.annotations?.readOnlyHint === true)
+  .map((tool) => [toAgentToolName(server.name, tool.name), {
+    description: tool.description || tool.title || `Call '${tool.name}' on MCP server '${server.name}'.`,
+    method: 'POST',
+    path: `/tools/${encodeURIComponent(tool.name)}/call`,
+    parameters: tool.inputSchema || { type: 'object', properties: {} },
+    mcpTool: tool.name,
+  }]));
+
+const publishServer = (server) => {
+  const { config } = server;
+  registerThing({
+    id: config.thingId,
+    description: buildThingDescription(server),
+    metadata: { deviceType: 'mcp-server', ...config.metadata, mcpServer: server.name },
+  });
+  registerService({
+    name: toCapabilityName(server.name),
+    url: composeUrl(CORE_PUBLIC_URL, `/mcp/servers/${encodeURIComponent(server.name)}`),
+    type: 'capability',
+    metadata: {
+      description: `Status and read-only tools of MCP server '${server.name}' (${buildThingDescription(server).title}).`,
+      mcpServer: server.name,
+      thingId: config.thingId,
+    },
+    provides: config.provides,
+    endpoints: { default: { path: '/', method: 'GET' } },
+    tools: buildAgentTools(server),
+  });
+};
+
+const unpublishServer = (server) => {
+  if (thingRegistry.get(server.config.thingId)?.metadata?.mcpServer === server.name) {
+    unregisterThing(server.config.thingId);
+  }
+  unregisterService(toCapabilityName(server.name), 'capability');
+};
+
+const markDisconnected = (server, reason) => {
+  if (server.status === 'disconnected') {
+    return;
+  }
+  server.status = 'disconnected';
+  server.error = reason;
+  server.client = null;
+  console.warn(`[Core] MCP server '${server.name}' disconnected: ${reason}`);
+};
+
+const refreshTools = async (server) => {
+  try {
+    server.tools = await server.client.listTools();
+    publishServer(server);
+    console.log(`[Core] MCP server '${server.name}' changed its tools (${server.tools.length} tool(s)).`);
+  } catch (error) {
+    console.warn(`[Core] Failed to refresh tools of MCP server '${server.name}':`, error.message);
+  }
+};
+
+// Concurrent callers (a tool call and the health check) share one connection attempt.
+const connectServer = (server) => {
+  if (server.connecting) {
+    return server.connecting;
+  }
+  server.connecting = (async () => {
+    let client = null;
+    try {
+      client = await connectMcpClient(server.config, {
+        timeoutMs: MCP_REQUEST_TIMEOUT_MS,
+        onNotification: (message) => {
+          if (message.method === 'notifications/tools/list_changed' && server.client === client) {
+            refreshTools(server);
+          }
+        },
+        onClose: (reason) => {
+          if (client && server.client === client) {
+            markDisconnected(server, reason);
+          }
+        },
+      });
+      server.tools = await client.listTools();
+      server.client = client;
+      server.status = 'connected';
+      server.error = null;
+      server.serverInfo = client.serverInfo;
+      server.protocolVersion = client.protocolVersion;
+      server.instructions = client.instructions;
+      server.connectedAt = nowIsoString();
+      server.lastSeenAt = server.connectedAt;
+      publishServer(server);
+      console.log(`[Core] MCP server '${server.name}' connected over ${server.config.transport} with ${server.tools.length} tool(s).`);
+    } catch (error) {
+      await client?.close().catch(() => {});
+      // Retries of a server that stays down report the same error; log it once.
+      if (server.error !== error.message) {
+        console.warn(`[Core] MCP server '${server.name}' is unreachable:`, error.message);
+      }
+      server.status = 'disconnected';
+      server.error = error.message;
+    } finally {
+      server.connecting = null;
+    }
+    return server;
+  })();
+  return server.connecting;
+};
+
+export const listMcpServers = () => Array.from(mcpServers.values()).map(describeServer);
+
+export const getMcpServer = (nameOrId) => {
+  const server = mcpServers.get(toMcpServerName(nameOrId));
+  return server ? describeServer(server) : null;
+};
+
+// PUT semantics. The server is kept even when the first connection fails; the health check keeps retrying it.
+// `allowStdio` is for operator configuration only (see PROCESS_FIELDS).
+export const defineMcpServer = async (nameOrId, definition, { allowStdio = false } = {}) => {
+  const name = toMcpServerName(nameOrId);
+  const config = normalizeServerConfig(name, definition, { allowStdio });
+  const existingThing = thingRegistry.get(config.thingId);
+  if (existingThing && existingThing.metadata?.mcpServer !== name) {
+    throw new Error(`Thing '${config.thingId}' is already registered and is not backed by MCP server '${name}'.`);
+  }
+
+  const previous = mcpServers.get(name) || null;
+  if (previous) {
+    const previousClient = previous.client;
+    previous.client = null;
+    await previousClient?.close().catch(() => {});
+    if (previous.config.thingId !== config.thingId) {
+      unpublishServer(previous);
+    }
+  }
+
+  const server = {
+    name,
+    config,
+    client: null,
+    status: 'connecting',
+    error: null,
+    tools: [],
+    serverInfo: null,
+    protocolVersion: null,
+    instructions: null,
+    connectedAt: null,
+    lastSeenAt: null,
+    connecting: null,
+  };
+  mcpServers.set(name, server);
+  await connectServer(server);
+  return { created: !previous, server: describeServer(server) };
+};
+
+export const deleteMcpServer = async (nameOrId) => {
+  const name = toMcpServerName(nameOrId);
+  const server = mcpServers.get(name);
+  if (!server) {
+    return null;
+  }
+  mcpServers.delete(name);
+  const client = server.client;
+  server.client = null;
+  await client?.close().catch(() => {});
+  unpublishServer(server);
+  return describeServer({ ...server, status: 'removed' });
+};
+
+// `tools/call` results carry `content` blocks and, for tools with an output schema, `structuredContent`.
+const toToolOutput = (result) => {
+  if (result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+  const content = Array.isArray(result.content) ? result.content : [];
+  if (content.length === 1 && content[0]?.type === 'text') {
+    try {
+      return JSON.parse(content[0].text);
+    } catch (error) {
+      return content[0].text;
+    }
+  }
+  return content;
+};
+
+const describeToolError = (result) => {
+  const text = (Array.isArray(result.content) ? result.content : [])
+    .filter((block) => block?.type === 'text' && block.text)
+    .map((block) => block.text)
+    .join(' ');
+  return text || 'The MCP tool reported an error.';
+};
+
+export const callMcpTool = async (nameOrId, toolName, args = {}) => {
+  const server = mcpServers.get(toMcpServerName(nameOrId));
+  if (!server) {
+    throw new Error(`MCP server '${nameOrId}' is not registered.`);
+  }
+  if (!server.client) {
+    await connectServer(server);
+  }
+  if (!server.client) {
+    throw new Error(`MCP server '${server.name}' is not connected${server.error ? ` (${server.error})` : ''}.`);
+  }
+  const result = await server.client.callTool(toolName, args ?? {});
+  server.lastSeenAt = nowIsoString();
+  return {
+    ok: !result.isError,
+    output: toToolOutput(result),
+    ...(result.isError ? { error: describeToolError(result) } : {}),
+  };
+};
+
+// Ping connected servers and heartbeat their Thing and capability; reconnect the ones that dropped. A Thing that was
+// evicted or deleted while its server kept answering is published again.
+export const checkMcpServers = () => Promise.all(Array.from(mcpServers.values()).map(async (server) => {
+  if (!server.client) {
+    await connectServer(server);
+    return;
+  }
+  const { client } = server;
+  try {
+    await client.request('ping');
+  } catch (error) {
+    if (server.client === client) {
+      markDisconnected(server, error.message);
+      await client.close().catch(() => {});
+    }
+    return;
+  }
+  server.lastSeenAt = nowIsoString();
+  const thing = recordHeartbeat('thing', server.config.thingId);
+  const capability = recordHeartbeat('capability', toCapabilityName(server.name));
+  if (!thing || !capability) {
+    publishServer(server);
+  }
+}));
+
+export const applyConfiguredMcpServers = () => Promise.all(Object.entries(MCP_SERVERS).map(([name, definition]) => (
+  defineMcpServer(name, definition, { allowStdio: true }).catch((error) => {
+    console.warn(`[Core] Ignoring configured MCP server '${name}':`, error.message);
+  })
+)));
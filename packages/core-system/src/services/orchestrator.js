@@ -8,10 +8,25 @@ import {
   resolveEndpointConfig,
   getRegistryForType
 } from './registry.js';
-import { dispatchUiToClients } from '../transport/websocket.js';
-import { KNOWLEDGE_BASE_URL, FALLBACK_PROMPT, DEFAULT_RESPONSE_SCHEMA_PATH } from '../config.js';
+import { dispatchUiToClients, latestUiByDevice } from '../transport/websocket.js';
+import { KNOWLEDGE_BASE_URL, FALLBACK_PROMPT, DEFAULT_RESPONSE_SCHEMA_PATH, UI_FALLBACK_ON_KB_FAILURE } from '../config.js';
 import { composeUrl, nowIsoString } from '../utils.js';
-import { ensureThingActions } from '../../action-registry.js';
+import { ensureThingActions, ensureThingProperties, ensureThingEvents, listVirtualActions } from '../../action-registry.js';
+import { collectPromptContributions } from './plugins.js';
+import { requestCapability, getCapabilityHealth } from './capability-health.js';
+import { getFreshCapabilityData } from './capability-data.js';
+import { shouldDeliverCapabilityData } from './capability-subscriptions.js';
+import { enqueueDeviceGeneration, createSupersededError } from './generation-queue.js';
+import { fanOutUiToAlternateDevices } from './ui-fanout.js';
+import { generateFallbackUi } from './fallback-ui.js';
+import {
+  isGenerationCacheEnabled,
+  hashGenerationContext,
+  fetchKnowledgeBaseRevision,
+  getCachedGeneration,
+  recordForcedGeneration,
+  storeGeneration,
+} from './generation-cache.js';
 
 let defaultResponseSchema;
 try {
@@ -36,6 +51,13 @@ export const summarizeCapabilitiesForPrompt = (capabilityNames = []) => {
 
     const parts = [`- ${capabilityName}: provided by service '${record.name}' at ${record.url}`];
 
+    const health = getCapabilityHealth(record.name);
+    if (health.status === 'unavailable') {
+      parts.push(`  • Status: registered but currently unavailable (${health.lastError}); its data is missing from this request, so do not rely on it or call its tools.`);
+    } else if (health.status === 'degraded') {
+      parts.push(`  • Status: degraded (${health.consecutiveFailures} recent failure(s), last: ${health.lastError}); its data may be missing or stale and its tools may fail.`);
+    }
+
     if (record.metadata?.description) {
       parts.push(`  • Description: ${record.metadata.description}`);
     }
@@ -70,7 +92,8 @@ export const summarizeCapabilitiesForPrompt = (capabilityNames = []) => {
   return summaries.join('\n');
 };
 
-// Call each capability module once per UI generation so the UI prompt includes fresh telemetry samples.
+// Call each capability module once per UI generation so the UI prompt includes fresh telemetry samples; data the
+// capability pushed recently is used as is.
 export const collectCapabilityData = async (requestedCapabilities = [], context = {}) => {
   const capabilityData = {};
   const missingCapabilities = [];
@@ -86,6 +109,17 @@ export const collectCapabilityData = async (requestedCapabilities = [], context
         return;
       }
 
+      const pushed = getFreshCapabilityData(moduleRecord.name);
+      if (pushed) {
+        capabilityData[capabilityName] = {
+          source: moduleRecord.name,
+          data: pushed.data,
+          timestamp: pushed.timestamp,
+          pushed: true,
+        };
+        return;
+      }
+
       const endpointConfig = resolveEndpointConfig(moduleRecord);
 
       if (!endpointConfig) {
@@ -98,41 +132,24 @@ export const collectCapabilityData = async (requestedCapabilities = [], context
         return;
       }
 
-      const requestOptions = {
-        method: endpointConfig.method,
-        headers: { ...endpointConfig.headers },
-      };
-
-      if (endpointConfig.method !== 'GET') {
-        requestOptions.headers['Content-Type'] = requestOptions.headers['Content-Type'] || 'application/json';
-        requestOptions.body = JSON.stringify({ context });
-      }
-
       try {
         console.log(`[Core] Fetching capability '${capabilityName}' from ${endpointConfig.method} ${endpointConfig.url}`);
-        const response = await fetch(endpointConfig.url, requestOptions);
-
-        if (!response.ok) {
-          capabilityData[capabilityName] = {
-            source: moduleRecord.name,
-            error: `Capability responded with status ${response.status}`,
-          };
-          console.error(`[Core] Capability '${moduleRecord.name}' responded with status ${response.status}.`);
-          return;
-        }
-
-        const data = await response.json();
+        const data = await requestCapability(moduleRecord, endpointConfig, { body: { context } });
         capabilityData[capabilityName] = {
           source: moduleRecord.name,
           data,
         };
         console.log(`[Core] Capability '${moduleRecord.name}' data received successfully.`);
       } catch (error) {
+        // The circuit breaker logs state changes itself; an open circuit is not a new failure.
         capabilityData[capabilityName] = {
           source: moduleRecord.name,
           error: error.message,
+          health: getCapabilityHealth(moduleRecord.name).status,
         };
-        console.error(`[Core] Error fetching capability '${moduleRecord.name}': ${error.message}`);
+        if (!error.circuitOpen) {
+          console.error(`[Core] Error fetching capability '${moduleRecord.name}': ${error.message}`);
+        }
       }
     })
   );
@@ -211,8 +228,8 @@ export const selectTargetDevice = ({ requestedDeviceId, desiredCapabilities = []
   };
 };
 
-// Gather executable descriptors. Prioritize the device's bound Thing (if any) but still surface every registered Thing.
-export const collectThingActionsForDevice = (deviceRecord, resolvedThingDescription) => {
+// Gather descriptors of one affordance kind. Prioritize the device's bound Thing (if any) but still surface every registered Thing.
+const collectThingAffordancesForDevice = (deviceRecord, resolvedThingDescription, ensureAffordances) => {
   const orderedThingIds = [];
   const explicitThingId = deviceRecord?.thingId || resolvedThingDescription?.id || null;
 
@@ -245,17 +262,32 @@ export const collectThingActionsForDevice = (deviceRecord, resolvedThingDescript
       return;
     }
 
-    const actions = ensureThingActions({
+    const descriptors = ensureAffordances({
       thingId,
       thingDescription: descriptionSource,
       metadata: metadataSource,
     });
-    aggregated.push(...actions);
+    aggregated.push(...descriptors);
   });
 
   return aggregated;
 };
 
+// Virtual actions (scenes) span Things, so every device sees them after the Thing actions.
+export const collectThingActionsForDevice = (deviceRecord, resolvedThingDescription) => [
+  ...collectThingAffordancesForDevice(deviceRecord, resolvedThingDescription, ensureThingActions),
+  ...listVirtualActions(),
+];
+
+// Properties and events let the generator bind status/read-only components to live data instead of only action controls.
+export const collectThingPropertiesForDevice = (deviceRecord, resolvedThingDescription) => (
+  collectThingAffordancesForDevice(deviceRecord, resolvedThingDescription, ensureThingProperties)
+);
+
+export const collectThingEventsForDevice = (deviceRecord, resolvedThingDescription) => (
+  collectThingAffordancesForDevice(deviceRecord, resolvedThingDescription, ensureThingEvents)
+);
+
 export const buildDynamicPrompt = ({
   basePrompt,
   targetDevice,
@@ -263,6 +295,7 @@ export const buildDynamicPrompt = ({
   selectionReason,
   selectionScore,
   capabilitySummary,
+  pluginSections = [],
 }) => {
   const deviceSummaries = Array.from(deviceRegistry.values()).map((device) => {
     const supportedComponents = Array.isArray(device.metadata?.supportedUiComponents)
@@ -301,6 +334,7 @@ ${capabilitySummary}`
     `Target device for this UI: ${targetSummary}.`,
     selectionClause,
     capabilityClauseDetailed,
+    ...pluginSections,
     'Make sure the generated UI is tailored to the target device and its capabilities.',
   ]
     .filter(Boolean)
@@ -349,7 +383,7 @@ export const selectDeviceViaKnowledgeBase = async ({
 
   const payload = {
     prompt,
-    fallbackPrompt,
+    fallbackPrompt: FALLBACK_PROMPT,
     desiredCapabilities,
     thingDescription,
     candidates: candidatePayload,
@@ -394,7 +428,9 @@ export const selectDeviceViaKnowledgeBase = async ({
 };
 
 // Main orchestrator: pick a device, gather actions/capabilities, call the KB, then ship the rendered UI back out.
-export const generateUiForDevice = async ({
+// `signal` aborts once a newer request for the same device supersedes this one; `generation` orders the dispatch.
+// `mode: "deterministic"` skips the knowledge base entirely and serves the rule-based UI.
+const runUiGeneration = async ({
   deviceId,
   prompt,
   schema,
@@ -402,6 +438,10 @@ export const generateUiForDevice = async ({
   capabilities,
   broadcast = true,
   model,
+  force = false,
+  mode = 'llm',
+  signal,
+  generation,
 }) => {
   const requestedCapabilities = Array.isArray(capabilities) ? capabilities.filter(Boolean) : [];
 
@@ -422,7 +462,7 @@ export const generateUiForDevice = async ({
         score: scoreDeviceForCapabilities(soleDevice, requestedCapabilities),
       };
     } else {
-      selectionMeta = await selectDeviceViaKnowledgeBase({
+      selectionMeta = mode === 'deterministic' ? null : await selectDeviceViaKnowledgeBase({
         prompt: basePrompt,
         thingDescription,
         desiredCapabilities: requestedCapabilities,
@@ -482,6 +522,13 @@ export const generateUiForDevice = async ({
 
   const basePromptForUi = prompt || targetDevice?.defaultPrompt || FALLBACK_PROMPT;
   const capabilitySummary = summarizeCapabilitiesForPrompt(resolvedCapabilities);
+  // Plugin prompt contributors see the same inputs as the prompt builder and may add sections of their own.
+  const pluginSections = await collectPromptContributions({
+    basePrompt: basePromptForUi,
+    targetDevice,
+    desiredCapabilities: resolvedCapabilities,
+    capabilitySummary,
+  });
   const resolvedPrompt = buildDynamicPrompt({
     basePrompt: basePromptForUi,
     targetDevice,
@@ -489,6 +536,7 @@ export const generateUiForDevice = async ({
     selectionReason: selectionMeta.reason,
     selectionScore,
     capabilitySummary,
+    pluginSections,
   });
 
   const resolvedSchema = schema && Object.keys(schema).length > 0
@@ -511,7 +559,8 @@ export const generateUiForDevice = async ({
   const capabilityTools = {};
   resolvedCapabilities.forEach((capabilityName) => {
     const capabilityRecord = resolveCapabilityRecord(capabilityName);
-    if (!capabilityRecord?.tools) {
+    // Tools of a capability behind an open circuit would only time out inside the agent loop.
+    if (!capabilityRecord?.tools || getCapabilityHealth(capabilityRecord.name).status === 'unavailable') {
       return;
     }
 
@@ -573,10 +622,12 @@ export const generateUiForDevice = async ({
   }
 
   const normalizedThingActions = collectThingActionsForDevice(targetDevice, resolvedThingDescription);
+  const normalizedThingProperties = collectThingPropertiesForDevice(targetDevice, resolvedThingDescription);
+  const normalizedThingEvents = collectThingEventsForDevice(targetDevice, resolvedThingDescription);
 
   const availableThings = Array.from(thingRegistry.values()).map((thing) => ({
     id: thing.id,
-    title: thing.description?.title || thing.metadata?.deviceType || thing.id,
+    title: thing.description?.title || thing.description?.info?.title || thing.metadata?.deviceType || thing.id,
     description: thing.description,
     metadata: thing.metadata,
   }));
@@ -631,9 +682,67 @@ export const generateUiForDevice = async ({
       targetDeviceId,
     },
     thingActions: normalizedThingActions,
+    thingProperties: normalizedThingProperties,
+    thingEvents: normalizedThingEvents,
     availableThings,
   };
 
+  const throwIfSuperseded = () => {
+    if (signal?.aborted) {
+      throw createSupersededError(targetDeviceId, generation);
+    }
+  };
+  throwIfSuperseded();
+
+  // Secondary devices the KB named get the chosen layout adapted to their components, without another LLM call.
+  const fanOut = (ui) => {
+    if (broadcast && selectionMeta.alternateDeviceIds?.length > 0) {
+      fanOutUiToAlternateDevices({ ui, sourceDeviceId: targetDeviceId, alternateDeviceIds: selectionMeta.alternateDeviceIds });
+    }
+  };
+
+  // Built from the device schema and Thing affordances alone. Never cached, so the next refresh tries the KB again.
+  const serveFallbackUi = async (reason) => {
+    throwIfSuperseded();
+    const fallbackUi = await generateFallbackUi({
+      device: targetDevice,
+      thingActions: normalizedThingActions,
+      thingProperties: normalizedThingProperties,
+      reason,
+    });
+    // Property reads take a moment; a newer request may have replaced this one meanwhile.
+    throwIfSuperseded();
+    if (broadcast && dispatchUiToClients(targetDeviceId, fallbackUi, { generation })) {
+      console.log(`[Core] Dispatched deterministic UI to device '${targetDeviceId}' (${reason}).`);
+      fanOut(fallbackUi);
+    }
+    return fallbackUi;
+  };
+
+  if (mode === 'deterministic') {
+    return serveFallbackUi('requested');
+  }
+
+  // Nothing the KB would see changed since an earlier generation: reuse that UI instead of another LLM round trip.
+  let contextHash = null;
+  if (isGenerationCacheEnabled()) {
+    contextHash = hashGenerationContext(knowledgeBasePayload, { model, knowledgeBaseRevision: await fetchKnowledgeBaseRevision() });
+    const cached = force ? null : getCachedGeneration(contextHash);
+    if (force) {
+      recordForcedGeneration();
+    }
+    if (cached) {
+      console.log(`[Core] Reusing cached UI for device '${targetDeviceId}' (context ${contextHash.slice(0, 12)} unchanged since ${cached.createdAt}).`);
+      // A device that already shows this UI does not need it again.
+      if (broadcast && latestUiByDevice.get(targetDeviceId) !== cached.ui) {
+        throwIfSuperseded();
+        dispatchUiToClients(targetDeviceId, cached.ui, { generation });
+        fanOut(cached.ui);
+      }
+      return cached.ui;
+    }
+  }
+
   console.log(`[Core] Generating UI for device '${targetDeviceId}' with capabilities: ${resolvedCapabilities.join(', ') || 'none'} (reason: ${selectionMeta.reason})`);
 
   let requirementKnowledgeBaseResponse;
@@ -642,39 +751,72 @@ export const generateUiForDevice = async ({
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(knowledgeBasePayload),
+      signal,
     });
   } catch (error) {
+    throwIfSuperseded();
     console.error('[Core] Failed to reach knowledge base service:', error.message);
+    if (UI_FALLBACK_ON_KB_FAILURE) {
+      return serveFallbackUi('knowledge-base-unreachable');
+    }
     throw new Error(`Knowledge base unreachable: ${error.message}`);
   }
 
   if (!requirementKnowledgeBaseResponse.ok) {
     const errorBody = await requirementKnowledgeBaseResponse.text();
     console.error(`[Core] Knowledge base responded with status ${requirementKnowledgeBaseResponse.status}: ${errorBody}`);
+    if (UI_FALLBACK_ON_KB_FAILURE) {
+      return serveFallbackUi('knowledge-base-error');
+    }
     throw new Error(`Knowledge base error (${requirementKnowledgeBaseResponse.status})`);
   }
 
   console.log('[Core] Knowledge base responded successfully; parsing UI payload.');
 
-  let generatedUi = await requirementKnowledgeBaseResponse.json();
+  let generatedUi;
+  try {
+    generatedUi = await requirementKnowledgeBaseResponse.json();
+  } catch (error) {
+    throwIfSuperseded();
+    if (UI_FALLBACK_ON_KB_FAILURE) {
+      console.error('[Core] Knowledge base returned an unreadable UI payload:', error.message);
+      return serveFallbackUi('knowledge-base-invalid-response');
+    }
+    throw error;
+  }
 
-  if (!generatedUi || Object.keys(generatedUi).length === 0) {
+  const generationFailed = !generatedUi || Object.keys(generatedUi).length === 0;
+  if (generationFailed && UI_FALLBACK_ON_KB_FAILURE) {
+    return serveFallbackUi('knowledge-base-empty-response');
+  }
+  if (generationFailed) {
     generatedUi = {
       type: 'container',
       children: [
         { type: 'text', content: 'Error: UI generation failed. The generated UI is empty.' },
       ],
     };
+  } else if (contextHash) {
+    storeGeneration(contextHash, { deviceId: targetDeviceId, ui: generatedUi });
   }
 
-  if (broadcast) {
-    dispatchUiToClients(targetDeviceId, generatedUi);
-    console.log(`[Core] Dispatched UI to device '${targetDeviceId}'.`);
+  // The UI is still cached above, but a superseded job must not overwrite what its replacement is about to show.
+  throwIfSuperseded();
+  if (broadcast && dispatchUiToClients(targetDeviceId, generatedUi, { generation })) {
+    console.log(`[Core] Dispatched UI to device '${targetDeviceId}'${generation ? ` (generation ${generation})` : ''}.`);
+    if (!generationFailed) {
+      fanOut(generatedUi);
+    }
   }
 
   return generatedUi;
 };
 
+// Requests naming a device go through its generation queue; device selection requests run directly.
+export const generateUiForDevice = (request) => (request.deviceId
+  ? enqueueDeviceGeneration(request.deviceId, request, runUiGeneration)
+  : runUiGeneration(request));
+
 // Whenever a Thing registers or updates, reflow the UI for any device that's pinned to it.
 export const refreshDevicesAssociatedWithThing = (thingId) => {
   if (!thingId) {
@@ -694,3 +836,132 @@ export const refreshDevicesAssociatedWithThing = (thingId) => {
     }
   });
 };
+
+// Collect every string in a UI tree; controls reference actions and Things by id, so this is enough to tell what a UI is bound to.
+const collectUiReferences = (node, references = new Set(), seen = new Set()) => {
+  if (typeof node === 'string') {
+    references.add(node);
+    return references;
+  }
+  if (!node || typeof node !== 'object' || seen.has(node)) {
+    return references;
+  }
+  seen.add(node);
+  Object.values(node).forEach((value) => collectUiReferences(value, references, seen));
+  return references;
+};
+
+// Devices whose cached UI mentions any of the given action or Thing ids.
+export const findDevicesReferencing = (identifiers = []) => {
+  const wanted = identifiers.filter(Boolean);
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  latestUiByDevice.forEach((uiDefinition, deviceId) => {
+    if (!deviceRegistry.has(deviceId)) {
+      return;
+    }
+    const references = collectUiReferences(uiDefinition);
+    if (wanted.some((identifier) => references.has(identifier))) {
+      matches.push(deviceId);
+    }
+  });
+  return matches;
+};
+
+export const regenerateDevices = (deviceIds = [], trigger = 'registry change') => {
+  Array.from(new Set(deviceIds)).forEach((deviceId) => {
+    generateUiForDevice({ deviceId })
+      .then(() => {
+        console.log(`[Core] Regenerated UI for device '${deviceId}' after ${trigger}.`);
+      })
+      .catch((error) => {
+        console.error(`Failed to refresh UI for device ${deviceId} after ${trigger}:`, error.message);
+      });
+  });
+};
+
+// A removed Thing affects devices pinned to it and any device whose current UI still carries its controls.
+export const refreshDevicesAffectedByThingRemoval = (thingId, removedActions = []) => {
+  if (!thingId) {
+    return;
+  }
+
+  const affected = findDevicesReferencing([thingId, ...removedActions.map((action) => action?.id)]);
+  deviceRegistry.forEach((deviceRecord) => {
+    const associatedThingId = deviceRecord.thingId || deviceRecord.thingDescription?.id || null;
+    if (associatedThingId === thingId) {
+      affected.push(deviceRecord.id);
+    }
+  });
+
+  regenerateDevices(affected, `thing '${thingId}' removal`);
+};
+
+// Devices without declared capabilities fall back to every registered alias, so they are affected by any capability removal.
+// Devices that list the capability (by name or alias) use it; devices that list none use every registered capability.
+const deviceUsesCapability = (deviceRecord, names) => {
+  const declared = Array.isArray(deviceRecord.capabilities) ? deviceRecord.capabilities : [];
+  return declared.length === 0 || declared.some((capability) => names.has(capability));
+};
+
+const findDevicesUsingCapability = (capabilityRecord) => {
+  const names = new Set([capabilityRecord.name, ...(capabilityRecord.provides || [])]);
+  const affected = [];
+  deviceRegistry.forEach((deviceRecord) => {
+    if (deviceUsesCapability(deviceRecord, names)) {
+      affected.push(deviceRecord.id);
+    }
+  });
+  return affected;
+};
+
+export const refreshDevicesAffectedByCapabilityRemoval = (capabilityRecord) => {
+  if (!capabilityRecord?.name) {
+    return;
+  }
+
+  regenerateDevices(findDevicesUsingCapability(capabilityRecord), `capability '${capabilityRecord.name}' removal`);
+};
+
+// Pushed capability data is routed through each device's `capabilitySubscriptions` (thresholds, state allow-lists);
+// devices that declared none fall back to the capabilities they use.
+export const refreshDevicesAffectedByCapabilityData = (capabilityRecord, entry) => {
+  if (!capabilityRecord?.name) {
+    return;
+  }
+
+  const names = new Set([capabilityRecord.name, ...(capabilityRecord.provides || [])]);
+  const affected = [];
+  deviceRegistry.forEach((deviceRecord) => {
+    const subscribed = deviceRecord.capabilitySubscriptions
+      ? shouldDeliverCapabilityData(deviceRecord, capabilityRecord, entry)
+      : deviceUsesCapability(deviceRecord, names);
+    if (subscribed) {
+      affected.push(deviceRecord.id);
+    }
+  });
+
+  if (affected.length === 0) {
+    console.log(`[Core] Capability '${capabilityRecord.name}' data update matched no device subscription.`);
+    return;
+  }
+  regenerateDevices(affected, `capability '${capabilityRecord.name}' data update`);
+};
+
+// Only devices whose current UI is bound to a removed or changed action need a new layout; added actions wait for the next refresh.
+export const refreshDevicesAffectedByThingUpdate = (thingId, diff = {}) => {
+  const impactedActionIds = [
+    ...(diff.removed || []),
+    ...(diff.changed || []).map((entry) => entry.id),
+  ];
+
+  if (impactedActionIds.length === 0) {
+    console.log(`[Core] Thing '${thingId}' updated without impact on existing controls; no UI regeneration needed.`);
+    return;
+  }
+
+  regenerateDevices(findDevicesReferencing(impactedActionIds), `thing '${thingId}' update`);
+};
@@ -0,0 +1,174 @@
+import {
+  REGISTRY_PERSISTENCE_DRIVER,
+  REGISTRY_STATE_FILE,
+  REGISTRY_PERSIST_DEBOUNCE_MS,
+  REGISTRY_PERSIST_INTERVAL_MS,
+} from '../config.js';
+import { nowIsoString } from '../utils.js';
+import {
+  exportRegistryState,
+  restoreRegistryState,
+  onServiceRegistered,
+  onThingRegistered,
+  onDeviceRegistered,
+  onThingUpdated,
+  onServiceUnregistered,
+  onThingUnregistered,
+  onDeviceUnregistered,
+} from './registry.js';
+import { latestUiByDevice } from '../transport/websocket.js';
+import { exportActionCache, restoreActionCache } from '../../action-registry.js';
+import { exportScenes, restoreScenes, onScenesChanged } from './scenes.js';
+import { createJsonFileStore } from '../persistence/json-file-store.js';
+import { createSqliteStore } from '../persistence/sqlite-store.js';
+
+const SNAPSHOT_VERSION = 1;
+
+// Drivers are factories returning { name, load, save, close }; additional backends can be plugged in before boot.
+const persistenceDrivers = new Map([
+  ['json', createJsonFileStore],
+  ['sqlite', createSqliteStore],
+]);
+
+export const registerPersistenceDriver = (name, factory) => {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Persistence driver registration requires a `name` and a factory function.');
+  }
+  persistenceDrivers.set(name.toLowerCase(), factory);
+};
+
+let activeStore = null;
+let persistTimer = null;
+let flushInterval = null;
+let lastPersistedAt = null;
+
+export const buildPersistenceSnapshot = () => ({
+  version: SNAPSHOT_VERSION,
+  savedAt: nowIsoString(),
+  registry: exportRegistryState(),
+  actions: exportActionCache(),
+  scenes: exportScenes(),
+  latestUiByDevice: Object.fromEntries(latestUiByDevice.entries()),
+});
+
+export const applyPersistenceSnapshot = (snapshot) => {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return null;
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.warn(`[Persistence] Ignoring registry snapshot with unsupported version '${snapshot.version}'.`);
+    return null;
+  }
+
+  const counts = restoreRegistryState(snapshot.registry || {});
+  restoreActionCache(snapshot.actions || {});
+  // Scenes come after the action cache so their safety level reflects the restored step descriptors.
+  const scenes = restoreScenes(snapshot.scenes || []);
+
+  let uis = 0;
+  Object.entries(snapshot.latestUiByDevice || {}).forEach(([deviceId, uiDefinition]) => {
+    if (!latestUiByDevice.has(deviceId)) {
+      latestUiByDevice.set(deviceId, uiDefinition);
+      uis += 1;
+    }
+  });
+
+  return { ...counts, scenes, uis, savedAt: snapshot.savedAt || null };
+};
+
+export const persistRegistryNow = async () => {
+  if (!activeStore) {
+    return;
+  }
+
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+
+  try {
+    await activeStore.save(buildPersistenceSnapshot());
+    lastPersistedAt = nowIsoString();
+  } catch (error) {
+    console.error(`[Persistence] Failed to persist registry via '${activeStore.name}':`, error.message);
+  }
+};
+
+// Coalesce bursts of registrations (e.g. every Thing re-registering at boot) into a single write.
+export const scheduleRegistryPersist = () => {
+  if (!activeStore || persistTimer) {
+    return;
+  }
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistRegistryNow();
+  }, REGISTRY_PERSIST_DEBOUNCE_MS);
+};
+
+export const getPersistenceStatus = () => ({
+  driver: activeStore?.name || 'none',
+  location: activeStore?.location || null,
+  lastPersistedAt,
+});
+
+// Restore the last snapshot, then keep it current on registry events, on a timer (UI caches change without events) and at shutdown.
+export const initializeRegistryPersistence = async ({
+  driver = REGISTRY_PERSISTENCE_DRIVER,
+  filePath = REGISTRY_STATE_FILE,
+} = {}) => {
+  if (!driver || driver === 'none') {
+    console.log('[Persistence] Registry persistence disabled; state lives in memory only.');
+    return null;
+  }
+
+  const factory = persistenceDrivers.get(driver);
+  if (!factory) {
+    console.error(`[Persistence] Unknown persistence driver '${driver}'; registry state will not be persisted.`);
+    return null;
+  }
+
+  try {
+    activeStore = await factory({ filePath });
+  } catch (error) {
+    console.error(`[Persistence] Failed to initialise '${driver}' persistence:`, error.message);
+    activeStore = null;
+    return null;
+  }
+
+  try {
+    const restored = applyPersistenceSnapshot(await activeStore.load());
+    if (restored) {
+      console.log(
+        `[Persistence] Restored ${restored.devices} devices, ${restored.things} things, ${restored.capabilities} capabilities, `
+        + `${restored.services} services, ${restored.scenes} scenes and ${restored.uis} cached UIs from ${activeStore.location} (saved ${restored.savedAt || 'unknown'}).`
+      );
+    }
+  } catch (error) {
+    console.error(`[Persistence] Failed to restore registry from ${activeStore.location}:`, error.message);
+  }
+
+  onServiceRegistered(scheduleRegistryPersist);
+  onThingRegistered(scheduleRegistryPersist);
+  onDeviceRegistered(scheduleRegistryPersist);
+  onThingUpdated(scheduleRegistryPersist);
+  onServiceUnregistered(scheduleRegistryPersist);
+  onThingUnregistered(scheduleRegistryPersist);
+  onDeviceUnregistered(scheduleRegistryPersist);
+  onScenesChanged(scheduleRegistryPersist);
+
+  if (REGISTRY_PERSIST_INTERVAL_MS > 0) {
+    flushInterval = setInterval(persistRegistryNow, REGISTRY_PERSIST_INTERVAL_MS);
+    flushInterval.unref();
+  }
+
+  const shutdown = (signal) => {
+    persistRegistryNow()
+      .finally(() => activeStore?.close())
+      .finally(() => process.exit(signal === 'SIGINT' ? 130 : 0));
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  return activeStore;
+};
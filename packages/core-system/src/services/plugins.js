@@ -0,0 +1,476 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import {
+  registerActionProvider,
+  unregisterActionProvider,
+  registerPropertyProvider,
+  unregisterPropertyProvider,
+  registerEventProvider,
+  unregisterEventProvider,
+} from '../../action-registry.js';
+import { registerService, unregisterService, serviceRegistryByType, rediscoverThingAffordances } from './registry.js';
+import {
+  CORE_PUBLIC_URL,
+  PACKAGE_ROOT,
+  PLUGIN_DIRECTORIES,
+  PLUGIN_PACKAGES,
+  PLUGINS_DISABLED,
+  PLUGIN_WATCH,
+  PLUGIN_RELOAD_DEBOUNCE_MS,
+} from '../config.js';
+import { composeUrl, nowIsoString } from '../utils.js';
+
+// Plugins extend the core without forking it. A manifest (`plugin.json` or `<name>.plugin.json`) lists the modules a
+// plugin contributes per kind; each module's default export is one contribution or an array of them:
+//   { "manifestVersion": 1, "name": "acme-hvac", "version": "1.0.0", "actionProviders": ["./hvac-provider.js"] }
+// Manifests are read from the plugin directories and from the npm packages named in PLUGIN_PACKAGES, at boot and
+// whenever a watched directory changes.
+
+export const PLUGIN_MANIFEST_VERSION = 1;
+export const PLUGIN_CONTRIBUTION_KINDS = ['actionProviders', 'propertyProviders', 'eventProviders', 'capabilityAdapters', 'promptContributors'];
+
+const PROVIDER_KINDS = {
+  actionProviders: { method: 'discoverActions', register: registerActionProvider, unregister: unregisterActionProvider },
+  propertyProviders: { method: 'discoverProperties', register: registerPropertyProvider, unregister: unregisterPropertyProvider },
+  eventProviders: { method: 'discoverEvents', register: registerEventProvider, unregister: unregisterEventProvider },
+};
+
+const plugins = new Map(); // name -> { manifest, location, source, packageName, fingerprint, enabled, status, error, loadedAt, contributions }
+const manifestErrors = new Map(); // manifest location -> error message
+const disabledPlugins = new Set(PLUGINS_DISABLED);
+const capabilityAdapters = new Map(); // capability name -> { plugin, adapter }
+const promptContributors = []; // { plugin, contributor }
+const listeners = { pluginsChanged: [] };
+
+const isStringArray = (value) => Array.isArray(value) && value.every((entry) => typeof entry === 'string' && entry);
+
+const describeContribution = (contribution) => contribution?.name || contribution?.id || 'anonymous';
+
+const describePlugin = (plugin) => ({
+  name: plugin.manifest.name,
+  version: plugin.manifest.version,
+  description: plugin.manifest.description || '',
+  manifestVersion: plugin.manifest.manifestVersion,
+  source: plugin.source,
+  ...(plugin.packageName ? { packageName: plugin.packageName } : {}),
+  location: plugin.location,
+  enabled: plugin.enabled,
+  status: plugin.status,
+  error: plugin.error,
+  loadedAt: plugin.loadedAt,
+  contributions: Object.fromEntries(PLUGIN_CONTRIBUTION_KINDS.map((kind) => [
+    kind,
+    plugin.contributions ? plugin.contributions[kind].map(describeContribution) : [],
+  ])),
+});
+
+// ---- Discovery ----
+
+const findDirectoryManifests = (directory) => {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Core] Cannot read plugin directory ${directory}:`, error.message);
+    }
+    return [];
+  }
+  // Sorted so providers register in the same order on every platform.
+  return entries.sort((a, b) => a.name.localeCompare(b.name)).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isFile() && entry.name.endsWith('.plugin.json')) {
+      return [{ location: entryPath, source: 'directory' }];
+    }
+    const nestedManifest = path.join(entryPath, 'plugin.json');
+    return entry.isDirectory() && fs.existsSync(nestedManifest) ? [{ location: nestedManifest, source: 'directory' }] : [];
+  });
+};
+
+// Packages resolve like `import` from the core package, so they only need to be installed next to it.
+const packageRequire = createRequire(path.join(PACKAGE_ROOT, 'package.json'));
+
+const findPackageManifest = (packageName) => {
+  const location = (packageRequire.resolve.paths(packageName) || [])
+    .map((directory) => path.join(directory, packageName, 'plugin.json'))
+    .find((candidate) => fs.existsSync(candidate));
+  if (!location) {
+    manifestErrors.set(`package:${packageName}`, `Package '${packageName}' is not installed or ships no plugin.json.`);
+    return null;
+  }
+  return { location, source: 'package', packageName };
+};
+
+const readManifest = (location) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(location, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read plugin manifest: ${error.message}`);
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('A plugin manifest must be a JSON object.');
+  }
+  if (manifest.manifestVersion !== PLUGIN_MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifestVersion '${manifest.manifestVersion}'; this core reads version ${PLUGIN_MANIFEST_VERSION}.`);
+  }
+  if (typeof manifest.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(manifest.name)) {
+    throw new Error('Plugin manifests need a lowercase `name` made of letters, digits, dots or dashes.');
+  }
+  if (typeof manifest.version !== 'string' || !manifest.version.trim()) {
+    throw new Error(`Plugin '${manifest.name}' needs a \`version\`.`);
+  }
+  PLUGIN_CONTRIBUTION_KINDS.forEach((kind) => {
+    if (manifest[kind] !== undefined && !isStringArray(manifest[kind])) {
+      throw new Error(`Plugin '${manifest.name}' has an invalid \`${kind}\`; list module paths relative to the manifest.`);
+    }
+  });
+  if (!PLUGIN_CONTRIBUTION_KINDS.some((kind) => manifest[kind]?.length > 0)) {
+    throw new Error(`Plugin '${manifest.name}' contributes nothing; list modules under one of: ${PLUGIN_CONTRIBUTION_KINDS.join(', ')}.`);
+  }
+  return manifest;
+};
+
+const resolveModulePaths = (location, manifest) => PLUGIN_CONTRIBUTION_KINDS
+  .flatMap((kind) => (manifest[kind] || []).map((modulePath) => path.resolve(path.dirname(location), modulePath)));
+
+// Size and mtime of the manifest and its entry modules; a plugin is reloaded when this changes.
+const fingerprintPlugin = (location, manifest) => [location, ...resolveModulePaths(location, manifest)]
+  .map((file) => {
+    try {
+      const stats = fs.statSync(file);
+      return `${file}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+      return `${file}:missing`;
+    }
+  })
+  .join('|');
+
+// ---- Activation ----
+
+const validateContribution = (kind, contribution, modulePath) => {
+  const problem = (message) => new Error(`${modulePath}: ${message}`);
+  if (!contribution || typeof contribution !== 'object') {
+    throw problem(`the default export must be an object (or an array of objects) for \`${kind}\`.`);
+  }
+  if (PROVIDER_KINDS[kind] && typeof contribution[PROVIDER_KINDS[kind].method] !== 'function') {
+    throw problem(`providers in \`${kind}\` must implement ${PROVIDER_KINDS[kind].method}(context).`);
+  }
+  if (kind === 'capabilityAdapters') {
+    if (typeof contribution.name !== 'string' || !contribution.name || typeof contribution.collect !== 'function') {
+      throw problem('capability adapters need a `name` and a collect(context) function.');
+    }
+    Object.entries(contribution.tools || {}).forEach(([toolName, tool]) => {
+      if (typeof tool?.invoke !== 'function') {
+        throw problem(`tool '${toolName}' of capability '${contribution.name}' needs an invoke(args) function.`);
+      }
+    });
+  }
+  if (kind === 'promptContributors' && typeof contribution.contribute !== 'function') {
+    throw problem('prompt contributors need a contribute(context) function.');
+  }
+};
+
+// ESM modules cannot be evicted from the loader cache, so a reload imports the entry module under a fresh URL. Modules
+// it imports itself stay cached until the core restarts.
+const importContributions = async (modulePath, reloadToken) => {
+  const url = pathToFileURL(modulePath);
+  if (reloadToken) {
+    url.search = `?reload=${reloadToken}`;
+  }
+  const module = await import(url.href);
+  const exported = module.default ?? module;
+  return Array.isArray(exported) ? exported : [exported];
+};
+
+const capabilityUrl = (pluginName, capabilityName) => composeUrl(
+  CORE_PUBLIC_URL,
+  `/plugins/${encodeURIComponent(pluginName)}/capabilities/${encodeURIComponent(capabilityName)}`,
+);
+
+// Adapters run inside the core but register like any capability service, with the core's plugin routes as endpoints.
+const registerCapabilityAdapter = (pluginName, adapter) => {
+  registerService({
+    name: adapter.name,
+    url: capabilityUrl(pluginName, adapter.name),
+    type: 'capability',
+    metadata: {
+      description: adapter.description || `Capability '${adapter.name}' provided by plugin '${pluginName}'.`,
+      plugin: pluginName,
+    },
+    provides: isStringArray(adapter.provides) ? adapter.provides : [],
+    endpoints: { default: { path: '/', method: 'POST' } },
+    tools: Object.fromEntries(Object.entries(adapter.tools || {}).map(([toolName, tool]) => [toolName, {
+      description: tool.description || `Invoke '${toolName}' of capability '${adapter.name}'.`,
+      method: 'POST',
+      path: `/tools/${encodeURIComponent(toolName)}`,
+      parameters: tool.parameters || { type: 'object', properties: {} },
+    }])),
+    ttlMs: 0,
+  });
+  capabilityAdapters.set(adapter.name, { plugin: pluginName, adapter });
+};
+
+const deactivatePlugin = (plugin) => {
+  const { contributions } = plugin;
+  plugin.contributions = null;
+  if (!contributions) {
+    return;
+  }
+  Object.entries(PROVIDER_KINDS).forEach(([kind, { unregister }]) => {
+    contributions[kind].forEach((provider) => unregister(provider));
+  });
+  contributions.capabilityAdapters.forEach((adapter) => {
+    if (capabilityAdapters.get(adapter.name)?.plugin === plugin.manifest.name) {
+      capabilityAdapters.delete(adapter.name);
+      unregisterService(adapter.name, 'capability');
+    }
+  });
+  for (let index = promptContributors.length - 1; index >= 0; index -= 1) {
+    if (promptContributors[index].plugin === plugin.manifest.name) {
+      promptContributors.splice(index, 1);
+    }
+  }
+};
+
+// Everything is imported and validated before anything is registered, so a broken plugin contributes nothing.
+const activatePlugin = async (plugin, reloadToken) => {
+  const { manifest, location } = plugin;
+  const loaded = Object.fromEntries(PLUGIN_CONTRIBUTION_KINDS.map((kind) => [kind, []]));
+  for (const kind of PLUGIN_CONTRIBUTION_KINDS) {
+    for (const modulePath of manifest[kind] || []) {
+      const contributions = await importContributions(path.resolve(path.dirname(location), modulePath), reloadToken);
+      contributions.forEach((contribution) => validateContribution(kind, contribution, modulePath));
+      loaded[kind].push(...contributions);
+    }
+  }
+  loaded.capabilityAdapters.forEach((adapter) => {
+    const owner = capabilityAdapters.get(adapter.name);
+    if (owner ? owner.plugin !== manifest.name : serviceRegistryByType.capability.has(adapter.name)) {
+      throw new Error(`Capability '${adapter.name}' is already registered${owner ? ` by plugin '${owner.plugin}'` : ''}.`);
+    }
+  });
+
+  plugin.contributions = loaded;
+  Object.entries(PROVIDER_KINDS).forEach(([kind, { register }]) => loaded[kind].forEach((provider) => register(provider)));
+  loaded.capabilityAdapters.forEach((adapter) => registerCapabilityAdapter(manifest.name, adapter));
+  loaded.promptContributors.forEach((contributor) => promptContributors.push({ plugin: manifest.name, contributor }));
+};
+
+const loadPlugin = async (plugin, reloadToken) => {
+  try {
+    await activatePlugin(plugin, reloadToken);
+    plugin.status = 'loaded';
+    plugin.error = null;
+    plugin.loadedAt = nowIsoString();
+    const summary = PLUGIN_CONTRIBUTION_KINDS
+      .filter((kind) => plugin.contributions[kind].length > 0)
+      .map((kind) => `${plugin.contributions[kind].length} ${kind}`)
+      .join(', ');
+    console.log(`[Core] Plugin '${plugin.manifest.name}' ${plugin.manifest.version} loaded (${summary}).`);
+  } catch (error) {
+    deactivatePlugin(plugin);
+    plugin.status = 'error';
+    plugin.error = error.message;
+    console.error(`[Core] Plugin '${plugin.manifest.name}' failed to load:`, error.message);
+  }
+};
+
+// Loads new plugins, reloads changed ones and unloads removed ones. After boot, Things are rediscovered so their
+// affordances follow the new provider set.
+const syncPlugins = async ({ initial = false } = {}) => {
+  // Invalid manifests are reported once, not on every reload while they stay broken.
+  const previousErrors = new Map(manifestErrors);
+  manifestErrors.clear();
+  const entries = [
+    ...PLUGIN_DIRECTORIES.flatMap(findDirectoryManifests),
+    ...PLUGIN_PACKAGES.map(findPackageManifest).filter(Boolean),
+  ];
+  const seen = new Map(); // name -> manifest location
+  let changed = false;
+
+  for (const entry of entries) {
+    let manifest;
+    try {
+      manifest = readManifest(entry.location);
+      if (seen.has(manifest.name)) {
+        throw new Error(`Plugin name '${manifest.name}' is already used by ${seen.get(manifest.name)}.`);
+      }
+    } catch (error) {
+      manifestErrors.set(entry.location, error.message);
+      continue;
+    }
+    seen.set(manifest.name, entry.location);
+
+    const fingerprint = fingerprintPlugin(entry.location, manifest);
+    const previous = plugins.get(manifest.name);
+    if (previous && previous.location === entry.location && previous.fingerprint === fingerprint) {
+      continue;
+    }
+    if (previous) {
+      deactivatePlugin(previous);
+    }
+
+    const plugin = {
+      manifest,
+      location: entry.location,
+      source: entry.source,
+      packageName: entry.packageName || null,
+      fingerprint,
+      enabled: !disabledPlugins.has(manifest.name),
+      status: 'disabled',
+      error: null,
+      loadedAt: null,
+      contributions: null,
+    };
+    plugins.set(manifest.name, plugin);
+    if (plugin.enabled) {
+      await loadPlugin(plugin, initial ? null : Date.now());
+    }
+    changed = changed || Boolean(previous) || plugin.enabled;
+  }
+
+  Array.from(plugins.values())
+    .filter((plugin) => !seen.has(plugin.manifest.name))
+    .forEach((plugin) => {
+      deactivatePlugin(plugin);
+      plugins.delete(plugin.manifest.name);
+      console.log(`[Core] Plugin '${plugin.manifest.name}' removed.`);
+      changed = true;
+    });
+
+  manifestErrors.forEach((message, location) => {
+    if (previousErrors.get(location) !== message) {
+      console.error(`[Core] Ignoring plugin ${location}:`, message);
+    }
+  });
+
+  if (changed && !initial) {
+    rediscoverThingAffordances();
+    notifyPluginsChanged();
+  }
+  return listPlugins();
+};
+
+// Plugin changes are serialized; a watcher burst, an explicit reload and an enable/disable never interleave.
+let pendingTask = Promise.resolve();
+const enqueue = (task) => {
+  const run = pendingTask.then(task);
+  pendingTask = run.catch((error) => {
+    console.error('[Core] Plugin update failed:', error.message);
+  });
+  return run;
+};
+
+const notifyPluginsChanged = () => {
+  const snapshot = listPlugins();
+  listeners.pluginsChanged.forEach((fn) => fn(snapshot));
+};
+
+export const onPluginsChanged = (fn) => listeners.pluginsChanged.push(fn);
+
+export const loadPlugins = () => enqueue(() => syncPlugins({ initial: true }));
+
+export const reloadPlugins = () => enqueue(() => syncPlugins());
+
+export const listPlugins = () => Array.from(plugins.values()).map(describePlugin);
+
+export const listPluginErrors = () => Array.from(manifestErrors.entries())
+  .map(([location, error]) => ({ location, error }));
+
+export const getPlugin = (name) => {
+  const plugin = plugins.get(name);
+  return plugin ? describePlugin(plugin) : null;
+};
+
+// Runtime switch, kept in memory like safety overrides; PLUGINS_DISABLED seeds it at boot. Enabling a plugin that failed
+// to load retries it. Resolves with the plugin, or null when no such plugin is installed.
+export const setPluginEnabled = (name, enabled) => enqueue(async () => {
+  const plugin = plugins.get(name);
+  if (!plugin) {
+    return null;
+  }
+  if (enabled) {
+    disabledPlugins.delete(name);
+  } else {
+    disabledPlugins.add(name);
+  }
+  if (plugin.enabled === enabled && (!enabled || plugin.status === 'loaded')) {
+    return describePlugin(plugin);
+  }
+  plugin.enabled = enabled;
+  if (enabled) {
+    await loadPlugin(plugin, Date.now());
+  } else {
+    deactivatePlugin(plugin);
+    plugin.status = 'disabled';
+    plugin.error = null;
+    console.log(`[Core] Plugin '${name}' disabled.`);
+  }
+  rediscoverThingAffordances();
+  notifyPluginsChanged();
+  return describePlugin(plugin);
+});
+
+const resolveAdapter = (pluginName, capabilityName) => {
+  const entry = capabilityAdapters.get(capabilityName);
+  return entry && entry.plugin === pluginName ? entry.adapter : null;
+};
+
+// Backs the capability endpoint the adapter registered; returns null when the plugin does not (or no longer) provide it.
+export const collectAdapterCapability = async (pluginName, capabilityName, context = {}) => {
+  const adapter = resolveAdapter(pluginName, capabilityName);
+  if (!adapter) {
+    return null;
+  }
+  return { data: await adapter.collect(context) };
+};
+
+export const invokeAdapterTool = async (pluginName, capabilityName, toolName, args = {}) => {
+  const tool = resolveAdapter(pluginName, capabilityName)?.tools?.[toolName];
+  if (!tool) {
+    return null;
+  }
+  return { result: await tool.invoke(args) };
+};
+
+// Extra prompt sections from plugins. A contributor returns a string, an array of strings or nothing; one that throws
+// is skipped so a faulty plugin never blocks generation.
+export const collectPromptContributions = async (context = {}) => {
+  const sections = [];
+  for (const { plugin, contributor } of promptContributors) {
+    try {
+      const contributed = await contributor.contribute(context);
+      sections.push(...[contributed].flat().filter((section) => typeof section === 'string' && section.trim()));
+    } catch (error) {
+      console.warn(`[Core] Prompt contributor '${describeContribution(contributor)}' of plugin '${plugin}' failed:`, error.message);
+    }
+  }
+  return sections;
+};
+
+// Directory changes are debounced so an editor saving several files triggers one reload.
+export const watchPluginDirectories = () => {
+  if (!PLUGIN_WATCH) {
+    return [];
+  }
+  let timer = null;
+  const scheduleReload = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      reloadPlugins().catch(() => {});
+    }, PLUGIN_RELOAD_DEBOUNCE_MS);
+  };
+  return PLUGIN_DIRECTORIES.flatMap((directory) => {
+    try {
+      const watcher = fs.watch(directory, { recursive: true }, scheduleReload);
+      watcher.on('error', (error) => console.warn(`[Core] Stopped watching plugin directory ${directory}:`, error.message));
+      return [watcher];
+    } catch (error) {
+      console.warn(`[Core] Cannot watch plugin directory ${directory}:`, error.message);
+      return [];
+    }
+  });
+};
@@ -0,0 +1,218 @@
+import {
+  deviceRegistry,
+  thingRegistry,
+  serviceRegistryByType,
+} from './registry.js';
+import { getActionsForThing, listAllActions } from '../../action-registry.js';
+import { QUERY_DEFAULT_LIMIT, QUERY_MAX_LIMIT } from '../config.js';
+
+const RESERVED_PARAMS = new Set(['limit', 'offset', 'fields', 'sort', 'q']);
+
+const arrayify = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+// `?component=button,toggle` and `?component=button&component=toggle` both mean "must match every value".
+const toValueList = (value) => arrayify(value)
+  .flatMap((entry) => String(entry).split(','))
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+const canonicalize = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+const getPath = (item, path) => path.split('.').reduce(
+  (current, key) => (current === undefined || current === null ? undefined : current[key]),
+  item,
+);
+
+const matchesValue = (actual, expected) => {
+  if (Array.isArray(actual)) {
+    return actual.some((entry) => matchesValue(entry, expected));
+  }
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  return canonicalize(actual) === canonicalize(expected);
+};
+
+const deviceComponents = (device) => {
+  const fromSchema = device.uiSchema?.components && typeof device.uiSchema.components === 'object'
+    ? Object.keys(device.uiSchema.components)
+    : [];
+  const fromMetadata = Array.isArray(device.metadata?.supportedUiComponents) ? device.metadata.supportedUiComponents : [];
+  return Array.from(new Set([...fromSchema, ...fromMetadata]));
+};
+
+// `@type` values are often IRIs or prefixed names; let `?type=Robot` match `...#Robot` and `schema:Switch` match `Switch`.
+const matchesSemanticType = (types, expected) => {
+  const wanted = canonicalize(expected);
+  return arrayify(types).some((type) => {
+    const candidate = canonicalize(type);
+    return candidate === wanted || [':', '#', '/'].some((separator) => candidate.endsWith(`${separator}${wanted}`));
+  });
+};
+
+const toThingItem = (thing) => ({
+  id: thing.id,
+  title: thing.description?.title || thing.description?.info?.title || thing.id,
+  '@type': thing.description?.['@type'] || null,
+  description: thing.description,
+  metadata: thing.metadata,
+  version: thing.version || 1,
+  stale: Boolean(thing.stale),
+  registeredAt: thing.registeredAt,
+  lastHeartbeat: thing.lastHeartbeat,
+  actionIds: getActionsForThing(thing.id).map((action) => action.id),
+});
+
+// Each collection lists its items and the named filters it understands; dotted params (`metadata.capability`) work everywhere.
+const collections = {
+  devices: {
+    list: () => Array.from(deviceRegistry.values()),
+    filters: {
+      component: (device, value) => deviceComponents(device).includes(value),
+      capability: (device, value) => arrayify(device.capabilities).includes(value),
+      deviceType: (device, value) => matchesValue(device.metadata?.deviceType, value),
+      thingId: (device, value) => (device.thingId || device.thingDescription?.id) === value,
+    },
+  },
+  things: {
+    list: () => Array.from(thingRegistry.values()).map(toThingItem),
+    filters: {
+      type: (thing, value) => matchesSemanticType(thing['@type'], value),
+      title: (thing, value) => canonicalize(thing.title).includes(canonicalize(value)),
+      action: (thing, value) => getActionsForThing(thing.id)
+        .some((action) => action.id === value || canonicalize(action.name) === canonicalize(value)),
+    },
+  },
+  actions: {
+    list: () => listAllActions(),
+    filters: {
+      thingId: (action, value) => action.thingId === value,
+      capability: (action, value) => matchesValue(action.capability, value) || matchesValue(action.metadata?.capability, value),
+      intent: (action, value) => arrayify(action.metadata?.intentAliases).some((alias) => canonicalize(alias) === canonicalize(value)),
+      provider: (action, value) => action.provider === value,
+      type: (action, value) => matchesValue(action.type, value),
+    },
+  },
+  capabilities: {
+    list: () => Array.from(serviceRegistryByType.capability.values()),
+    filters: {
+      provides: (record, value) => arrayify(record.provides).includes(value),
+    },
+  },
+  services: {
+    list: () => Array.from(serviceRegistryByType.generic.values()),
+    filters: {},
+  },
+};
+
+export const listQueryCollections = () => Object.entries(collections).map(([name, definition]) => ({
+  name,
+  filters: Object.keys(definition.filters),
+}));
+
+const matchesFreeText = (item, text) => {
+  const needle = canonicalize(text);
+  return ['id', 'name', 'title', 'description']
+    .map((key) => item[key])
+    .some((value) => typeof value === 'string' && canonicalize(value).includes(needle));
+};
+
+// `fields=id,metadata.capability` keeps only those paths, preserving nesting.
+const projectItem = (item, fields) => {
+  if (fields.length === 0) {
+    return item;
+  }
+
+  const projected = {};
+  fields.forEach((path) => {
+    const value = getPath(item, path);
+    if (value === undefined) {
+      return;
+    }
+    const keys = path.split('.');
+    let cursor = projected;
+    keys.slice(0, -1).forEach((key) => {
+      cursor[key] = cursor[key] && typeof cursor[key] === 'object' ? cursor[key] : {};
+      cursor = cursor[key];
+    });
+    cursor[keys[keys.length - 1]] = value;
+  });
+  return projected;
+};
+
+const compareBy = (path, direction) => (a, b) => {
+  const left = getPath(a, path);
+  const right = getPath(b, path);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return 1;
+  if (right === undefined || right === null) return -1;
+  return (left > right ? 1 : -1) * direction;
+};
+
+const parseBoundedInt = (value, fallback, { min, max }) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < min) {
+    throw new Error(`Expected an integer >= ${min}, received '${value}'.`);
+  }
+  return Math.min(parsed, max);
+};
+
+export const queryRegistry = (collectionName, params = {}) => {
+  const collection = collections[collectionName];
+  if (!collection) {
+    throw new Error(`Unknown collection '${collectionName}'. Use one of: ${Object.keys(collections).join(', ')}.`);
+  }
+
+  const predicates = [];
+  Object.entries(params).forEach(([key, rawValue]) => {
+    if (RESERVED_PARAMS.has(key)) {
+      return;
+    }
+    const values = toValueList(rawValue);
+    const namedFilter = collection.filters[key];
+    if (namedFilter) {
+      values.forEach((value) => predicates.push((item) => namedFilter(item, value)));
+    } else if (key.includes('.') || key.startsWith('@')) {
+      values.forEach((value) => predicates.push((item) => matchesValue(getPath(item, key), value)));
+    } else {
+      const supported = Object.keys(collection.filters);
+      throw new Error(
+        `Unsupported filter '${key}' for ${collectionName}. Supported: ${supported.length ? supported.join(', ') : 'none'}, q, or a dotted path such as metadata.deviceType.`
+      );
+    }
+  });
+
+  if (params.q) {
+    predicates.push((item) => matchesFreeText(item, params.q));
+  }
+
+  let matches = collection.list().filter((item) => predicates.every((predicate) => predicate(item)));
+
+  if (typeof params.sort === 'string' && params.sort) {
+    const descending = params.sort.startsWith('-');
+    matches = matches.slice().sort(compareBy(descending ? params.sort.slice(1) : params.sort, descending ? -1 : 1));
+  }
+
+  const limit = parseBoundedInt(params.limit, QUERY_DEFAULT_LIMIT, { min: 1, max: QUERY_MAX_LIMIT });
+  const offset = parseBoundedInt(params.offset, 0, { min: 0, max: Number.MAX_SAFE_INTEGER });
+  const fields = toValueList(params.fields);
+  const page = matches.slice(offset, offset + limit).map((item) => projectItem(item, fields));
+
+  return {
+    collection: collectionName,
+    total: matches.length,
+    offset,
+    limit,
+    count: page.length,
+    nextOffset: offset + page.length < matches.length ? offset + page.length : null,
+    items: page,
+  };
+};
@@ -1,5 +1,19 @@
-import { normalizeUrl, composeUrl, nowIsoString } from '../utils.js';
-import { ensureThingActions, getActionsForThing } from '../../action-registry.js';
+import { normalizeUrl, composeUrl, nowIsoString, stableStringify } from '../utils.js';
+import { REGISTRY_TTL_MS, THING_HISTORY_LIMIT } from '../config.js';
+import {
+  ensureThingActions,
+  refreshThingActions,
+  getActionsForThing,
+  diffActionSets,
+  ensureThingProperties,
+  refreshThingProperties,
+  getPropertiesForThing,
+  ensureThingEvents,
+  refreshThingEvents,
+  getEventsForThing
+} from '../../action-registry.js';
+import { assertThingDescriptionValid } from './td-validation.js';
+import { normalizeCapabilitySubscriptions } from './capability-subscriptions.js';
 
 export const serviceRegistryByType = {
   generic: new Map(),
@@ -10,17 +24,26 @@ export const serviceRegistryByType = {
 export const capabilityAliasIndex = new Map();
 export const deviceRegistry = new Map();
 export const thingRegistry = new Map();
+export const thingDescriptionHistory = new Map(); // thingId -> [{ version, description, metadata, recordedAt, diff }]
 
 // Event listeners to decouple orchestration
 const listeners = {
   serviceRegistered: [],
   thingRegistered: [],
   deviceRegistered: [],
+  thingUpdated: [],
+  serviceUnregistered: [],
+  thingUnregistered: [],
+  deviceUnregistered: [],
 };
 
 export const onServiceRegistered = (fn) => listeners.serviceRegistered.push(fn);
 export const onThingRegistered = (fn) => listeners.thingRegistered.push(fn);
 export const onDeviceRegistered = (fn) => listeners.deviceRegistered.push(fn);
+export const onThingUpdated = (fn) => listeners.thingUpdated.push(fn);
+export const onServiceUnregistered = (fn) => listeners.serviceUnregistered.push(fn);
+export const onThingUnregistered = (fn) => listeners.thingUnregistered.push(fn);
+export const onDeviceUnregistered = (fn) => listeners.deviceUnregistered.push(fn);
 
 const unregisterCapabilityAliases = (record) => {
   if (!record?.provides) return;
@@ -54,11 +77,15 @@ export const resolveCapabilityRecord = (capabilityName) => {
   return serviceRegistryByType.capability.get(moduleName) || null;
 };
 
-export const resolveEndpointConfig = (moduleRecord) => {
+// Without a name this resolves the data endpoint (`default`, `invoke` or the legacy `endpoint`); `health` probes use
+// `resolveEndpointConfig(record, 'health')`.
+export const resolveEndpointConfig = (moduleRecord, endpointName) => {
   if (!moduleRecord) return null;
 
   const endpoints = moduleRecord.endpoints || {};
-  const endpointConfig = endpoints.default || endpoints.invoke || moduleRecord.endpoint;
+  const endpointConfig = endpointName
+    ? endpoints[endpointName]
+    : endpoints.default || endpoints.invoke || moduleRecord.endpoint;
 
   if (!endpointConfig) return null;
 
@@ -70,12 +97,13 @@ export const resolveEndpointConfig = (moduleRecord) => {
     };
   }
 
-  const { path = '/', method = 'GET', headers = {} } = endpointConfig;
+  const { path = '/', method = 'GET', headers = {}, timeoutMs } = endpointConfig;
 
   return {
     url: composeUrl(moduleRecord.url, path),
     method: (method || 'GET').toUpperCase(),
     headers,
+    ...(Number.isFinite(timeoutMs) && timeoutMs > 0 ? { timeoutMs } : {}),
   };
 };
 
@@ -87,6 +115,8 @@ export const registerService = ({
   type = 'generic',
   endpoints,
   provides,
+  tools,
+  ttlMs,
 }) => {
   if (!name || !url) {
     throw new Error('Service registration requires `name` and `url`.');
@@ -110,6 +140,10 @@ export const registerService = ({
     type,
   };
 
+  if (Number.isFinite(ttlMs)) {
+    record.ttlMs = ttlMs;
+  }
+
   if (type === 'capability') {
     const resolvedProvides = Array.isArray(provides) && provides.length > 0
       ? provides
@@ -122,6 +156,14 @@ export const registerService = ({
       : existing?.endpoints || {};
 
     record.endpoints = resolvedEndpoints;
+
+    // LLM-callable tools (`{ name: { description, method, path, parameters } }`) offered to the knowledge base agent.
+    const resolvedTools = tools && typeof tools === 'object' && Object.keys(tools).length > 0
+      ? tools
+      : existing?.tools;
+    if (resolvedTools) {
+      record.tools = resolvedTools;
+    }
   }
 
   registry.set(name, record);
@@ -144,21 +186,125 @@ export const registerService = ({
   return record;
 };
 
+const appendThingHistory = (thingId, entry) => {
+  const history = thingDescriptionHistory.get(thingId) || [];
+  history.push(entry);
+  if (history.length > THING_HISTORY_LIMIT) {
+    history.splice(0, history.length - THING_HISTORY_LIMIT);
+  }
+  thingDescriptionHistory.set(thingId, history);
+};
+
+export const getThingHistory = (thingId) => thingDescriptionHistory.get(thingId) || [];
+
+// Swap in a new TD, recompute its actions and report what changed. Fires `thingUpdated` with the diff. Omitted
+// `metadata` and `ttlMs` keep the registered values.
+export const updateThingDescription = ({ id, description, metadata, ttlMs, strict }) => {
+  if (!id || !description || typeof description !== 'object') {
+    throw new Error('Thing update requires `id` and `description`.');
+  }
+
+  const existing = thingRegistry.get(id);
+  if (!existing) {
+    return null;
+  }
+
+  const validation = assertThingDescriptionValid(description, { strict });
+  const effectiveMetadata = metadata && typeof metadata === 'object' ? metadata : existing.metadata || {};
+  // Affordance ids are namespaced per kind (`::property::`, `::event::`), so one diff covers actions, properties and events.
+  const previousAffordances = [...getActionsForThing(id), ...getPropertiesForThing(id), ...getEventsForThing(id)];
+  const context = { thingId: id, thingDescription: description, metadata: effectiveMetadata };
+  const actions = refreshThingActions(context);
+  const diff = diffActionSets(previousAffordances, [...actions, ...refreshThingProperties(context), ...refreshThingEvents(context)]);
+  const now = nowIsoString();
+
+  const record = {
+    ...existing,
+    description,
+    metadata: effectiveMetadata,
+    version: (existing.version || 1) + 1,
+    updatedAt: now,
+    lastHeartbeat: now,
+    actions,
+    validation,
+  };
+  delete record.stale;
+  delete record.restoredAt;
+  if (Number.isFinite(ttlMs)) {
+    record.ttlMs = ttlMs;
+  }
+
+  thingRegistry.set(id, record);
+  appendThingHistory(id, {
+    version: record.version,
+    description,
+    metadata: effectiveMetadata,
+    recordedAt: now,
+    diff,
+  });
+
+  listeners.thingUpdated.forEach((fn) => fn(record, diff));
+
+  return { record, diff };
+};
+
+// Re-run the providers for every registered Thing after the provider set changed (plugins enabled, disabled or
+// reloaded). Things whose affordances moved fire `thingUpdated` with the diff; their TD and version stay as they are.
+export const rediscoverThingAffordances = () => {
+  const updated = [];
+  thingRegistry.forEach((existing, id) => {
+    const context = { thingId: id, thingDescription: existing.description, metadata: existing.metadata || {} };
+    const previousAffordances = [...getActionsForThing(id), ...getPropertiesForThing(id), ...getEventsForThing(id)];
+    const actions = refreshThingActions(context);
+    const diff = diffActionSets(previousAffordances, [...actions, ...refreshThingProperties(context), ...refreshThingEvents(context)]);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+      return;
+    }
+    const record = { ...existing, actions };
+    thingRegistry.set(id, record);
+    updated.push({ id, diff });
+    listeners.thingUpdated.forEach((fn) => fn(record, diff));
+  });
+  return updated;
+};
+
 // Specialized registration for Things
-export const registerThing = ({ id, description, metadata = {}, lastHeartbeat }) => {
+export const registerThing = ({ id, description, metadata: providedMetadata, lastHeartbeat, ttlMs, strict }) => {
   if (!id || !description) {
     throw new Error('Thing registration requires `id` and `description`.');
   }
 
+  // Re-registering with a different TD is an update; route it through the diffing path instead of serving cached actions.
+  const existing = thingRegistry.get(id);
+  if (existing && stableStringify(existing.description) !== stableStringify(description)) {
+    return updateThingDescription({ id, description, metadata: providedMetadata, ttlMs, strict }).record;
+  }
+
+  const metadata = providedMetadata || {};
+
+  const validation = assertThingDescriptionValid(description, { strict });
+
   const record = {
     id,
     description,
     metadata,
+    version: existing?.version || 1,
     registeredAt: nowIsoString(),
     lastHeartbeat: lastHeartbeat || nowIsoString(),
+    validation,
   };
 
+  if (!existing) {
+    appendThingHistory(id, { version: 1, description, metadata, recordedAt: record.registeredAt, diff: null });
+  }
+
+  if (Number.isFinite(ttlMs)) {
+    record.ttlMs = ttlMs;
+  }
+
   record.actions = ensureThingActions({ thingId: id, thingDescription: description, metadata });
+  ensureThingProperties({ thingId: id, thingDescription: description, metadata });
+  ensureThingEvents({ thingId: id, thingDescription: description, metadata });
   thingRegistry.set(id, record);
   
   listeners.thingRegistered.forEach(fn => fn(record));
@@ -167,11 +313,13 @@ export const registerThing = ({ id, description, metadata = {}, lastHeartbeat })
 };
 
 // Specialized registration for Devices
-export const registerDevice = ({ id, name, url, thingId, thingDescription, capabilities = [], metadata = {}, uiSchema, defaultPrompt, resolvedDefaultPrompt, fallbackPrompt }) => {
+export const registerDevice = ({ id, name, url, thingId, thingDescription, capabilities = [], capabilitySubscriptions, metadata = {}, uiSchema, defaultPrompt, resolvedDefaultPrompt, fallbackPrompt, ttlMs }) => {
   if (!id || !name) {
     throw new Error('Device registration requires `id` and `name`.');
   }
 
+  const normalizedSubscriptions = normalizeCapabilitySubscriptions(capabilitySubscriptions);
+
   const effectiveDefaultPrompt = defaultPrompt || metadata.defaultPrompt || resolvedDefaultPrompt || fallbackPrompt;
 
   const record = {
@@ -181,6 +329,7 @@ export const registerDevice = ({ id, name, url, thingId, thingDescription, capab
     thingDescription,
     thingId,
     capabilities: Array.isArray(capabilities) ? capabilities : [],
+    capabilitySubscriptions: normalizedSubscriptions,
     metadata,
     uiSchema: uiSchema || metadata.uiSchema || null,
     defaultPrompt: effectiveDefaultPrompt || null,
@@ -188,6 +337,10 @@ export const registerDevice = ({ id, name, url, thingId, thingDescription, capab
     lastHeartbeat: nowIsoString(),
   };
 
+  if (Number.isFinite(ttlMs)) {
+    record.ttlMs = ttlMs;
+  }
+
   const resolvedThingId = thingId || thingDescription?.id || null;
   if (thingDescription) {
     ensureThingActions({ thingId: resolvedThingId, thingDescription, metadata });
@@ -214,6 +367,140 @@ export const registerDevice = ({ id, name, url, thingId, thingDescription, capab
   return record;
 };
 
+const notifyUnregistered = (listenerKey, record, reason) => {
+  listeners[listenerKey].forEach((fn) => fn(record, { reason }));
+};
+
+export const unregisterService = (name, type = 'generic', { reason = 'deregistered' } = {}) => {
+  const registry = getRegistryForType(type);
+  const record = registry.get(name);
+  if (!record) {
+    return null;
+  }
+
+  registry.delete(name);
+  if (type === 'capability') {
+    unregisterCapabilityAliases(record);
+  }
+
+  notifyUnregistered('serviceUnregistered', record, reason);
+  return record;
+};
+
+export const unregisterThing = (id, { reason = 'deregistered' } = {}) => {
+  const record = thingRegistry.get(id);
+  if (!record) {
+    return null;
+  }
+
+  thingRegistry.delete(id);
+  thingDescriptionHistory.delete(id);
+  notifyUnregistered('thingUnregistered', record, reason);
+  return record;
+};
+
+export const unregisterDevice = (id, { reason = 'deregistered' } = {}) => {
+  const record = deviceRegistry.get(id);
+  if (!record) {
+    return null;
+  }
+
+  deviceRegistry.delete(id);
+  serviceRegistryByType.device.delete(id);
+  notifyUnregistered('deviceUnregistered', record, reason);
+  return record;
+};
+
+const HEARTBEAT_TYPES = ['service', 'capability', 'device', 'thing'];
+
+export const normalizeRecordType = (type) => {
+  const normalized = typeof type === 'string' ? type.toLowerCase() : '';
+  if (normalized === 'generic') return 'service';
+  return HEARTBEAT_TYPES.includes(normalized) ? normalized : null;
+};
+
+// Refresh `lastHeartbeat` for a known record. Restored records lose their stale flag on the first heartbeat.
+export const recordHeartbeat = (type, id) => {
+  const normalizedType = normalizeRecordType(type);
+  if (!normalizedType || !id) {
+    return null;
+  }
+
+  const now = nowIsoString();
+  const touch = (record) => {
+    if (!record) return null;
+    record.lastHeartbeat = now;
+    delete record.stale;
+    delete record.restoredAt;
+    return record;
+  };
+
+  if (normalizedType === 'thing') {
+    return touch(thingRegistry.get(id));
+  }
+
+  if (normalizedType === 'device') {
+    const deviceRecord = touch(deviceRegistry.get(id));
+    const serviceRecord = touch(serviceRegistryByType.device.get(id));
+    return deviceRecord || serviceRecord;
+  }
+
+  return touch(getRegistryForType(normalizedType === 'service' ? 'generic' : normalizedType).get(id));
+};
+
+// Records may override the per-type TTL with their own `ttlMs`; restored records get a full TTL from the moment they were restored.
+const isRecordExpired = (record, typeTtlMs, now) => {
+  const ttlMs = Number.isFinite(record?.ttlMs) ? record.ttlMs : typeTtlMs;
+  if (!ttlMs || ttlMs <= 0) {
+    return false;
+  }
+  const lastSeen = Math.max(Date.parse(record.lastHeartbeat) || 0, Date.parse(record.restoredAt) || 0);
+  return now - lastSeen > ttlMs;
+};
+
+export const evictExpiredRecords = (now = Date.now(), ttls = REGISTRY_TTL_MS) => {
+  const evicted = [];
+  const reason = 'heartbeat-expired';
+
+  Array.from(serviceRegistryByType.generic.values())
+    .filter((record) => isRecordExpired(record, ttls.service, now))
+    .forEach((record) => {
+      unregisterService(record.name, 'generic', { reason });
+      evicted.push({ type: 'service', id: record.name });
+    });
+
+  Array.from(serviceRegistryByType.capability.values())
+    .filter((record) => isRecordExpired(record, ttls.capability, now))
+    .forEach((record) => {
+      unregisterService(record.name, 'capability', { reason });
+      evicted.push({ type: 'capability', id: record.name });
+    });
+
+  Array.from(deviceRegistry.values())
+    .filter((record) => isRecordExpired(record, ttls.device, now))
+    .forEach((record) => {
+      unregisterDevice(record.id, { reason });
+      evicted.push({ type: 'device', id: record.id });
+    });
+
+  // Device services registered through the plain registry have no device record of their own.
+  Array.from(serviceRegistryByType.device.values())
+    .filter((record) => !deviceRegistry.has(record.name) && isRecordExpired(record, ttls.device, now))
+    .forEach((record) => {
+      unregisterService(record.name, 'device', { reason });
+      evicted.push({ type: 'device', id: record.name });
+    });
+
+  Array.from(thingRegistry.values())
+    .filter((record) => isRecordExpired(record, ttls.thing, now))
+    .forEach((record) => {
+      unregisterThing(record.id, { reason });
+      evicted.push({ type: 'thing', id: record.id });
+    });
+
+  return evicted;
+};
+
 export const registrySnapshot = () => ({
   capabilities: Array.from(serviceRegistryByType.capability.values()),
   devices: Array.from(serviceRegistryByType.device.values()),
@@ -223,6 +510,9 @@ export const registrySnapshot = () => ({
     metadata: thing.metadata,
     registeredAt: thing.registeredAt,
     lastHeartbeat: thing.lastHeartbeat,
+    version: thing.version || 1,
+    stale: Boolean(thing.stale),
+    valid: thing.validation ? thing.validation.valid : null,
     actions: getActionsForThing(thing.id),
   })),
 });
@@ -234,3 +524,73 @@ export const findService = (name) => {
     serviceRegistryByType.device.get(name)
   );
 };
+
+// Serializable view of every registry map; the persistence layer stores this verbatim.
+export const exportRegistryState = () => ({
+  services: {
+    generic: Array.from(serviceRegistryByType.generic.values()),
+    capability: Array.from(serviceRegistryByType.capability.values()),
+    device: Array.from(serviceRegistryByType.device.values()),
+  },
+  capabilityAliases: Object.fromEntries(capabilityAliasIndex.entries()),
+  devices: Array.from(deviceRegistry.values()),
+  things: Array.from(thingRegistry.values()),
+  thingHistory: Object.fromEntries(thingDescriptionHistory.entries()),
+});
+
+const markRestored = (record, restoredAt) => ({ ...record, stale: true, restoredAt });
+
+// Restored records stay flagged as stale until the owner re-registers and replaces them with a fresh record.
+// Listeners are deliberately not fired so a restart does not trigger a regeneration storm.
+export const restoreRegistryState = (state = {}) => {
+  const restoredAt = nowIsoString();
+  const counts = { services: 0, capabilities: 0, devices: 0, things: 0 };
+
+  (state.services?.generic || []).forEach((record) => {
+    if (record?.name && !serviceRegistryByType.generic.has(record.name)) {
+      serviceRegistryByType.generic.set(record.name, markRestored(record, restoredAt));
+      counts.services += 1;
+    }
+  });
+
+  (state.services?.capability || []).forEach((record) => {
+    if (record?.name && !serviceRegistryByType.capability.has(record.name)) {
+      serviceRegistryByType.capability.set(record.name, markRestored(record, restoredAt));
+      counts.capabilities += 1;
+    }
+  });
+
+  (state.services?.device || []).forEach((record) => {
+    if (record?.name && !serviceRegistryByType.device.has(record.name)) {
+      serviceRegistryByType.device.set(record.name, markRestored(record, restoredAt));
+    }
+  });
+
+  Object.entries(state.capabilityAliases || {}).forEach(([alias, moduleName]) => {
+    if (!capabilityAliasIndex.has(alias) && serviceRegistryByType.capability.has(moduleName)) {
+      capabilityAliasIndex.set(alias, moduleName);
+    }
+  });
+
+  (state.devices || []).forEach((record) => {
+    if (record?.id && !deviceRegistry.has(record.id)) {
+      deviceRegistry.set(record.id, markRestored(record, restoredAt));
+      counts.devices += 1;
+    }
+  });
+
+  (state.things || []).forEach((record) => {
+    if (record?.id && !thingRegistry.has(record.id)) {
+      thingRegistry.set(record.id, markRestored(record, restoredAt));
+      counts.things += 1;
+    }
+  });
+
+  Object.entries(state.thingHistory || {}).forEach(([thingId, history]) => {
+    if (Array.isArray(history) && !thingDescriptionHistory.has(thingId)) {
+      thingDescriptionHistory.set(thingId, history);
+    }
+  });
+
+  return counts;
+};
@@ -0,0 +1,313 @@
+import {
+  getActionById,
+  getVirtualActionHandler,
+  registerVirtualAction,
+  removeVirtualAction,
+} from '../../action-registry.js';
+import { invokeAction } from './action-invoker.js';
+import { createActionInstance, updateActionInstance } from './action-instances.js';
+import { confirmationLedger } from './action-safety.js';
+import { CORE_PUBLIC_URL, SCENES, SCENE_MAX_STEP_DELAY_MS } from '../config.js';
+import { composeUrl, nowIsoString } from '../utils.js';
+import { SAFETY_LEVELS, assertActionConfirmed } from '../../../shared/action-safety.js';
+
+// Scenes ("all off", "park tractor and turn the lights on") compose Thing actions into one virtual action. Each scene
+// is registered in `actionById` as `scene::<name>`, so the generator can bind a button to it like any Thing action, and
+// the core runs its steps in order (or in parallel) through the regular invoker.
+
+export const SCENE_ID_PREFIX = 'scene::';
+export const SCENE_MODES = ['sequential', 'parallel'];
+export const SCENE_FAILURE_POLICIES = ['abort', 'continue'];
+
+const sceneRegistry = new Map(); // sceneId -> scene
+const listeners = {
+  scenesChanged: [],
+};
+
+export const onScenesChanged = (fn) => listeners.scenesChanged.push(fn);
+
+const notifyScenesChanged = () => listeners.scenesChanged.forEach((fn) => fn());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const slugify = (value) => String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// `all-off`, `All off` and `scene::all-off` all name the same scene.
+export const toSceneId = (value) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  const name = slugify(raw.startsWith(SCENE_ID_PREFIX) ? raw.slice(SCENE_ID_PREFIX.length) : raw);
+  if (!name) {
+    throw new Error('Scenes need a name made of letters, digits or dashes.');
+  }
+  return `${SCENE_ID_PREFIX}${name}`;
+};
+
+const normalizeStep = (step, index, defaults) => {
+  const label = `Step ${index + 1}`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`${label} must be an object with an \`actionId\`.`);
+  }
+  if (typeof step.actionId !== 'string' || !step.actionId.trim()) {
+    throw new Error(`${label} needs an \`actionId\`.`);
+  }
+  const actionId = step.actionId.trim();
+  if (actionId.startsWith(SCENE_ID_PREFIX) || getVirtualActionHandler(actionId)) {
+    throw new Error(`${label} references '${actionId}'; scene steps must be Thing actions, not other scenes.`);
+  }
+
+  const delayMs = step.delayMs === undefined ? 0 : Number(step.delayMs);
+  if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > SCENE_MAX_STEP_DELAY_MS) {
+    throw new Error(`${label} has an invalid \`delayMs\`; use an integer between 0 and ${SCENE_MAX_STEP_DELAY_MS}.`);
+  }
+
+  const onFailure = step.onFailure || defaults.onFailure;
+  if (!SCENE_FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(`${label} has an unknown \`onFailure\` policy '${onFailure}'. Use one of: ${SCENE_FAILURE_POLICIES.join(', ')}.`);
+  }
+
+  return {
+    actionId,
+    input: step.input ?? null,
+    uriVariables: step.uriVariables && typeof step.uriVariables === 'object' ? { ...step.uriVariables } : null,
+    delayMs,
+    onFailure,
+  };
+};
+
+// Steps may reference actions whose Things have not registered yet; a missing action fails its step at run time.
+const normalizeScene = (sceneId, definition = {}, previous = null) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('A scene definition must be a JSON object.');
+  }
+  const mode = definition.mode || 'sequential';
+  if (!SCENE_MODES.includes(mode)) {
+    throw new Error(`Unknown scene mode '${mode}'. Use one of: ${SCENE_MODES.join(', ')}.`);
+  }
+  const onFailure = definition.onFailure || 'abort';
+  if (!SCENE_FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(`Unknown scene failure policy '${onFailure}'. Use one of: ${SCENE_FAILURE_POLICIES.join(', ')}.`);
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('A scene needs at least one step.');
+  }
+
+  const name = sceneId.slice(SCENE_ID_PREFIX.length);
+  return {
+    id: sceneId,
+    name,
+    title: typeof definition.title === 'string' && definition.title.trim() ? definition.title.trim() : name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    mode,
+    onFailure,
+    intentAliases: Array.isArray(definition.intentAliases) ? definition.intentAliases.filter((alias) => typeof alias === 'string') : [],
+    steps: definition.steps.map((step, index) => normalizeStep(step, index, { onFailure })),
+    createdAt: previous?.createdAt || definition.createdAt || nowIsoString(),
+    updatedAt: nowIsoString(),
+  };
+};
+
+// A scene is as hazardous as its most hazardous step; the scene-level confirmation covers every step.
+const resolveSceneSafetyLevel = (scene) => {
+  const levels = scene.steps
+    .map((step) => getActionById(step.actionId)?.safety?.level)
+    .filter(Boolean);
+  if (levels.length < scene.steps.length) {
+    return levels.includes('hazardous') ? 'hazardous' : 'normal';
+  }
+  return levels.reduce(
+    (highest, level) => (SAFETY_LEVELS.indexOf(level) > SAFETY_LEVELS.indexOf(highest) ? level : highest),
+    'safe',
+  );
+};
+
+const buildSceneDescriptor = (scene) => {
+  const invokeUrl = composeUrl(CORE_PUBLIC_URL, `/actions/${encodeURIComponent(scene.id)}/invoke`);
+  const stepSummary = scene.steps.map((step) => step.actionId).join(scene.mode === 'parallel' ? ' + ' : ' → ');
+  return {
+    id: scene.id,
+    name: scene.name,
+    title: scene.title,
+    description: scene.description || `Scene: ${stepSummary}.`,
+    type: 'scene',
+    source: 'scene',
+    metadata: {
+      intentAliases: scene.intentAliases,
+      thingIds: Array.from(new Set(scene.steps.map((step) => getActionById(step.actionId)?.thingId).filter(Boolean))),
+      safetyLevel: resolveSceneSafetyLevel(scene),
+      scene: {
+        mode: scene.mode,
+        steps: scene.steps.map(({ actionId, delayMs, onFailure }) => ({ actionId, delayMs, onFailure })),
+      },
+    },
+    annotations: { safe: false, idempotent: false },
+    forms: [{ href: invokeUrl, url: invokeUrl, method: 'POST', op: 'invokeaction', contentType: 'application/json' }],
+  };
+};
+
+const describeStepResult = (step, index, result, startedAt) => ({
+  index,
+  actionId: step.actionId,
+  ok: Boolean(result.ok),
+  status: result.status,
+  thingId: result.thingId || null,
+  instanceId: result.instanceId || null,
+  httpStatus: result.httpStatus ?? null,
+  output: result.output ?? null,
+  ...(result.error ? { error: result.error } : {}),
+  durationMs: Date.now() - startedAt,
+});
+
+const runStep = async (step, index, { deviceId, context, scene, state }) => {
+  if (state.aborted) {
+    return { index, actionId: step.actionId, ok: false, status: 'skipped', reason: 'An earlier step failed.' };
+  }
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await invokeAction(step.actionId, {
+      input: step.input ?? undefined,
+      uriVariables: step.uriVariables || undefined,
+      deviceId,
+      context: { ...(context || {}), sceneId: scene.id, sceneStep: index },
+      skipConfirmation: true,
+    });
+    result = result || { ok: false, status: 'failed', error: `Action '${step.actionId}' is not registered.` };
+  } catch (error) {
+    result = { ok: false, status: 'failed', error: error.message };
+  }
+
+  const stepResult = describeStepResult(step, index, result, startedAt);
+  if (!stepResult.ok && step.onFailure === 'abort') {
+    state.aborted = true;
+  }
+  return stepResult;
+};
+
+// Sequential delays count from the end of the previous step, parallel delays from the start of the scene. A failed
+// `abort` step skips every step that has not started yet; `continue` steps may fail without failing the scene.
+const runScene = async (action, { input, deviceId, context, confirmationToken } = {}) => {
+  const scene = sceneRegistry.get(action.id);
+  const gated = refreshSceneAction(scene) || action;
+  assertActionConfirmed(confirmationLedger, gated, { deviceId, input, confirmationToken });
+
+  const instance = createActionInstance({ actionId: scene.id, thingId: null, deviceId, input: input ?? null });
+  updateActionInstance(instance.id, { status: 'running' });
+  const startedAt = Date.now();
+  const state = { aborted: false };
+  console.log(`[Core] Running scene ${scene.id} (${scene.mode}, ${scene.steps.length} step(s))${deviceId ? ` for device ${deviceId}` : ''}`);
+
+  let steps;
+  if (scene.mode === 'parallel') {
+    steps = await Promise.all(scene.steps.map(async (step, index) => {
+      await sleep(step.delayMs);
+      return runStep(step, index, { deviceId, context, scene, state });
+    }));
+  } else {
+    steps = [];
+    for (const [index, step] of scene.steps.entries()) {
+      if (step.delayMs > 0 && !state.aborted) {
+        await sleep(step.delayMs);
+      }
+      steps.push(await runStep(step, index, { deviceId, context, scene, state }));
+    }
+  }
+
+  const failedSteps = steps.filter((step) => step.status === 'failed');
+  const blockingFailure = steps.find((step, index) => step.status === 'failed' && scene.steps[index].onFailure === 'abort');
+  const ok = !blockingFailure;
+  const error = blockingFailure ? `Step ${blockingFailure.index + 1} (${blockingFailure.actionId}) failed: ${blockingFailure.error}` : null;
+  const output = { steps };
+  updateActionInstance(instance.id, { status: ok ? 'completed' : 'failed', output, error });
+
+  const result = {
+    actionId: scene.id,
+    sceneId: scene.id,
+    thingId: null,
+    instanceId: instance.id,
+    href: instance.href,
+    ok,
+    status: instance.status,
+    httpStatus: null,
+    mode: scene.mode,
+    steps,
+    failedSteps: failedSteps.length,
+    durationMs: Date.now() - startedAt,
+    output,
+    ...(error ? { error } : {}),
+    invokedAt: instance.createdAt,
+  };
+
+  const log = ok ? console.log : console.warn;
+  log(`[Core] Scene ${scene.id} ${result.status}: ${steps.length - failedSteps.length}/${steps.length} step(s) succeeded in ${result.durationMs}ms.`);
+  return result;
+};
+
+// Re-register the virtual action so its safety level and Thing list follow the current state of its steps.
+export const refreshSceneAction = (scene) => {
+  if (!scene) {
+    return null;
+  }
+  return registerVirtualAction(buildSceneDescriptor(scene), { provider: 'scene-registry', invoke: runScene });
+};
+
+export const refreshSceneActions = () => {
+  sceneRegistry.forEach((scene) => refreshSceneAction(scene));
+};
+
+export const listScenes = () => Array.from(sceneRegistry.values());
+
+export const getScene = (sceneId) => sceneRegistry.get(toSceneId(sceneId)) || null;
+
+// PUT semantics: returns whether the scene was created and the virtual action that now represents it.
+export const defineScene = (sceneIdOrName, definition) => {
+  const sceneId = toSceneId(sceneIdOrName);
+  const previous = sceneRegistry.get(sceneId) || null;
+  const scene = normalizeScene(sceneId, definition, previous);
+  sceneRegistry.set(sceneId, scene);
+  let action;
+  try {
+    action = refreshSceneAction(scene);
+  } catch (error) {
+    if (previous) {
+      sceneRegistry.set(sceneId, previous);
+    } else {
+      sceneRegistry.delete(sceneId);
+    }
+    throw error;
+  }
+  notifyScenesChanged();
+  return { created: !previous, scene, action };
+};
+
+export const deleteScene = (sceneIdOrName) => {
+  const sceneId = toSceneId(sceneIdOrName);
+  const scene = sceneRegistry.get(sceneId);
+  if (!scene) {
+    return null;
+  }
+  sceneRegistry.delete(sceneId);
+  removeVirtualAction(sceneId);
+  notifyScenesChanged();
+  return scene;
+};
+
+export const exportScenes = () => listScenes().map((scene) => ({ ...scene, steps: scene.steps.map((step) => ({ ...step })) }));
+
+const loadScenes = (entries, origin) => {
+  let loaded = 0;
+  entries.forEach(([sceneId, definition]) => {
+    try {
+      defineScene(sceneId, definition);
+      loaded += 1;
+    } catch (error) {
+      console.warn(`[Core] Ignoring ${origin} scene '${sceneId}':`, error.message);
+    }
+  });
+  return loaded;
+};
+
+export const restoreScenes = (scenes = []) => (
+  Array.isArray(scenes) ? loadScenes(scenes.map((scene) => [scene?.id, scene]), 'persisted') : 0
+);
+
+export const applyConfiguredScenes = () => loadScenes(Object.entries(SCENES), 'configured');
@@ -0,0 +1,294 @@
+import { createRequire } from 'module';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { TD_VALIDATION_MODE } from '../config.js';
+import { detectApiDocumentKind, resolveAsyncApiDocument, resolveOpenApiDocument } from '../../plugins/api-document.js';
+import { resolveMcpDescription } from '../../plugins/mcp-provider.js';
+
+const require = createRequire(import.meta.url);
+
+// Official W3C TD 1.1 validation schema, shipped by the WoT working group as an npm package.
+let tdSchema = null;
+try {
+  tdSchema = require('wot-thing-description-types/schema/td-json-schema-validation.json');
+} catch (error) {
+  console.warn('[TD Validation] Failed to load the TD 1.1 JSON Schema; only semantic checks will run:', error.message);
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+// The TD schema uses IRI formats that ajv-formats does not ship; href resolution is checked semantically below.
+ajv.addFormat('iri-reference', true);
+ajv.addFormat('iri', true);
+
+let validateAgainstTdSchema = null;
+if (tdSchema) {
+  try {
+    validateAgainstTdSchema = ajv.compile(tdSchema);
+  } catch (error) {
+    console.warn('[TD Validation] Failed to compile the TD 1.1 JSON Schema:', error.message);
+  }
+}
+
+const AFFORDANCE_KINDS = ['properties', 'actions', 'events'];
+
+const escapePointer = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const pointer = (...segments) => `/${segments.map(escapePointer).join('/')}`;
+
+const arrayify = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+// `anyOf`/`oneOf` branches produce one error per failed alternative; keep the first message per path and keyword.
+const collectSchemaErrors = (description) => {
+  if (!validateAgainstTdSchema || validateAgainstTdSchema(description)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return validateAgainstTdSchema.errors
+    .filter((error) => !['anyOf', 'oneOf', 'if'].includes(error.keyword))
+    .map((error) => ({
+      path: error.instancePath || '/',
+      code: `schema.${error.keyword}`,
+      message: error.keyword === 'additionalProperties'
+        ? `${error.message} ('${error.params.additionalProperty}')`
+        : error.keyword === 'enum'
+          ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+          : error.message,
+    }))
+    .filter((entry) => {
+      const key = `${entry.path}|${entry.code}|${entry.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const listForms = (description) => {
+  const forms = arrayify(description.forms).map((form, index) => ({ form, path: pointer('forms', index) }));
+  AFFORDANCE_KINDS.forEach((kind) => {
+    Object.entries(description[kind] || {}).forEach(([name, affordance]) => {
+      arrayify(affordance?.forms).forEach((form, index) => {
+        forms.push({ form, path: pointer(kind, name, 'forms', index) });
+      });
+    });
+  });
+  return forms;
+};
+
+const isAbsoluteUri = (value) => /^[a-z][a-z0-9+.-]*:/i.test(value);
+
+// Relative hrefs are only usable when the TD carries an absolute `base` (or the legacy `baseUrl`) to resolve them against.
+const checkFormHrefs = (description, report) => {
+  const base = description.base || description.baseUrl;
+  const hasAbsoluteBase = typeof base === 'string' && isAbsoluteUri(base);
+  if (base !== undefined && !hasAbsoluteBase) {
+    report.errors.push({ path: '/base', code: 'href.base', message: `base '${base}' is not an absolute URI.` });
+  }
+
+  listForms(description).forEach(({ form, path }) => {
+    const href = form?.href;
+    if (typeof href !== 'string' || href.length === 0) {
+      // The TD schema already reports missing hrefs.
+      if (!validateAgainstTdSchema) {
+        report.errors.push({ path, code: 'href.missing', message: 'form has no href.' });
+      }
+      return;
+    }
+    if (isAbsoluteUri(href)) {
+      try {
+        new URL(href);
+      } catch {
+        report.errors.push({ path: `${path}/href`, code: 'href.invalid', message: `href '${href}' is not a valid URI.` });
+      }
+      return;
+    }
+    if (!hasAbsoluteBase) {
+      report.errors.push({
+        path: `${path}/href`,
+        code: 'href.unresolvable',
+        message: `relative href '${href}' cannot be resolved because the TD has no absolute base.`,
+      });
+      return;
+    }
+    try {
+      new URL(href, base);
+    } catch {
+      report.errors.push({ path: `${path}/href`, code: 'href.invalid', message: `href '${href}' does not resolve against base '${base}'.` });
+    }
+  });
+};
+
+// Every referenced security scheme must be defined; definitions nobody references are dead weight worth flagging.
+const checkSecurityReferences = (description, report) => {
+  const definitions = description.securityDefinitions && typeof description.securityDefinitions === 'object'
+    ? description.securityDefinitions
+    : {};
+  const referenced = new Set();
+
+  const checkReferences = (value, path) => {
+    arrayify(value).forEach((name, index) => {
+      if (typeof name !== 'string') return;
+      referenced.add(name);
+      if (!definitions[name]) {
+        report.errors.push({
+          path: Array.isArray(value) ? `${path}/${index}` : path,
+          code: 'security.undefined',
+          message: `security scheme '${name}' is not declared in securityDefinitions.`,
+        });
+      }
+    });
+  };
+
+  checkReferences(description.security, '/security');
+  listForms(description).forEach(({ form, path }) => checkReferences(form?.security, `${path}/security`));
+
+  // Combo schemes reference other definitions by name.
+  Object.entries(definitions).forEach(([name, definition]) => {
+    if (definition?.scheme === 'combo') {
+      checkReferences(definition.oneOf || definition.allOf, pointer('securityDefinitions', name, definition.oneOf ? 'oneOf' : 'allOf'));
+    }
+  });
+
+  Object.keys(definitions)
+    .filter((name) => !referenced.has(name))
+    .forEach((name) => {
+      report.warnings.push({
+        path: pointer('securityDefinitions', name),
+        code: 'security.unused',
+        message: `security scheme '${name}' is defined but never referenced.`,
+      });
+    });
+};
+
+// Data schemas are handed to Ajv later (input validation, UI generation), so they must compile as JSON Schema.
+const checkDataSchema = (schema, path, report) => {
+  if (schema === undefined || schema === null) {
+    return;
+  }
+  if (typeof schema !== 'object' || Array.isArray(schema)) {
+    report.errors.push({ path, code: 'dataSchema.invalid', message: 'data schema must be an object.' });
+    return;
+  }
+  try {
+    ajv.compile(schema);
+  } catch (error) {
+    report.errors.push({ path, code: 'dataSchema.invalid', message: error.message });
+  }
+};
+
+const checkDataSchemas = (description, report) => {
+  Object.entries(description.properties || {}).forEach(([name, property]) => {
+    if (property && typeof property === 'object') {
+      const { forms, observable, uriVariables, ...schema } = property;
+      checkDataSchema(schema, pointer('properties', name), report);
+    }
+  });
+  Object.entries(description.actions || {}).forEach(([name, action]) => {
+    checkDataSchema(action?.input, pointer('actions', name, 'input'), report);
+    checkDataSchema(action?.output, pointer('actions', name, 'output'), report);
+  });
+  Object.entries(description.events || {}).forEach(([name, event]) => {
+    ['subscription', 'data', 'dataResponse', 'cancellation'].forEach((key) => {
+      checkDataSchema(event?.[key], pointer('events', name, key), report);
+    });
+  });
+  AFFORDANCE_KINDS.forEach((kind) => {
+    Object.entries(description[kind] || {}).forEach(([name, affordance]) => {
+      Object.entries(affordance?.uriVariables || {}).forEach(([variable, schema]) => {
+        checkDataSchema(schema, pointer(kind, name, 'uriVariables', variable), report);
+      });
+    });
+  });
+};
+
+// Things described by OpenAPI/AsyncAPI skip the TD schema; they only need the parts their providers read.
+const checkApiDocument = (kind, description, report) => {
+  const document = kind === 'openapi' ? resolveOpenApiDocument(description) : resolveAsyncApiDocument(description);
+  const prefix = document === description ? '' : `/${kind}`;
+  if (kind === 'openapi') {
+    if (!/^3\./.test(String(document.openapi ?? '3.'))) {
+      report.errors.push({ path: `${prefix}/openapi`, code: 'openapi.version', message: `Only OpenAPI 3.x is supported (found '${document.openapi}').` });
+    }
+    if (!document.paths || typeof document.paths !== 'object') {
+      report.errors.push({ path: `${prefix}/paths`, code: 'openapi.paths', message: 'OpenAPI documents need a `paths` object.' });
+    }
+  } else {
+    if (!/^[23]\./.test(String(document.asyncapi ?? '3.'))) {
+      report.errors.push({ path: `${prefix}/asyncapi`, code: 'asyncapi.version', message: `Only AsyncAPI 2.x and 3.x are supported (found '${document.asyncapi}').` });
+    }
+    if (!document.channels || typeof document.channels !== 'object') {
+      report.errors.push({ path: `${prefix}/channels`, code: 'asyncapi.channels', message: 'AsyncAPI documents need a `channels` object.' });
+    }
+  }
+  if (!description.title && !document.info?.title) {
+    report.warnings.push({ path: `${prefix}/info/title`, code: `${kind}.title`, message: 'No title; the Thing id is shown instead.' });
+  }
+};
+
+// MCP Things are generated by the core from `tools/list`; only the tool entries need checking.
+const checkMcpDescription = (mcp, report) => {
+  mcp.tools.forEach((tool, index) => {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      report.errors.push({ path: `/mcp/tools/${index}/name`, code: 'mcp.tool.name', message: 'MCP tools need a `name`.' });
+    } else if (tool.inputSchema !== undefined && (typeof tool.inputSchema !== 'object' || tool.inputSchema === null)) {
+      report.errors.push({ path: `/mcp/tools/${index}/inputSchema`, code: 'mcp.tool.inputSchema', message: `Tool '${tool.name}' has an invalid \`inputSchema\`.` });
+    }
+  });
+};
+
+export const validateThingDescription = (description) => {
+  const report = { valid: true, errors: [], warnings: [] };
+
+  if (!description || typeof description !== 'object' || Array.isArray(description)) {
+    report.valid = false;
+    report.errors.push({ path: '/', code: 'td.type', message: 'Thing Description must be a JSON object.' });
+    return report;
+  }
+
+  const apiKind = detectApiDocumentKind(description);
+  if (apiKind) {
+    report.documentKind = apiKind;
+    checkApiDocument(apiKind, description, report);
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+
+  const mcp = resolveMcpDescription(description);
+  if (mcp) {
+    report.documentKind = 'mcp';
+    checkMcpDescription(mcp, report);
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+
+  report.errors.push(...collectSchemaErrors(description));
+  checkFormHrefs(description, report);
+  checkSecurityReferences(description, report);
+  checkDataSchemas(description, report);
+
+  report.valid = report.errors.length === 0;
+  return report;
+};
+
+export const isStrictValidation = (strict) => (strict === undefined ? TD_VALIDATION_MODE === 'strict' : Boolean(strict));
+
+// Returns the report (or null when validation is off); in strict mode an invalid TD throws with the report attached.
+export const assertThingDescriptionValid = (description, { strict } = {}) => {
+  const enforce = isStrictValidation(strict);
+  if (TD_VALIDATION_MODE === 'off' && !enforce) {
+    return null;
+  }
+
+  const report = validateThingDescription(description);
+  if (!report.valid && enforce) {
+    const error = new Error(`Thing Description is invalid (${report.errors.length} error${report.errors.length === 1 ? '' : 's'}).`);
+    error.validation = report;
+    throw error;
+  }
+  return report;
+};
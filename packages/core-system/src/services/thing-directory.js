@@ -0,0 +1,222 @@
+import { randomUUID } from 'crypto';
+import {
+  thingRegistry,
+  registerThing,
+  updateThingDescription,
+  unregisterThing,
+} from './registry.js';
+import { evaluateJsonPath } from './jsonpath.js';
+import { CORE_PUBLIC_URL } from '../config.js';
+import { nowIsoString } from '../utils.js';
+
+// W3C WoT Discovery: Thing Description Directory surface on top of `thingRegistry`. Directory clients address Things
+// by their TD `id` (usually a URN); Things registered through /register/thing keep their internal id as an alias.
+
+export const DISCOVERY_CONTEXT = 'https://www.w3.org/2022/wot/discovery';
+
+export const findThingRecordByTdId = (tdId) => {
+  if (!tdId) {
+    return null;
+  }
+  for (const record of thingRegistry.values()) {
+    if (record.description?.id === tdId) {
+      return record;
+    }
+  }
+  return thingRegistry.get(tdId) || null;
+};
+
+const resolveTdId = (record) => record.description?.id || record.id;
+
+// Enriched TD: the stored document plus `registrationInfo`; anonymous TDs get their system-generated id back.
+const toEnrichedDescription = (record) => {
+  const description = { ...record.description };
+  if (!description.id) {
+    description.id = record.id;
+  }
+  const context = Array.isArray(description['@context'])
+    ? description['@context']
+    : description['@context'] ? [description['@context']] : [];
+  if (!context.includes(DISCOVERY_CONTEXT)) {
+    description['@context'] = [...context, DISCOVERY_CONTEXT];
+  }
+  description.registrationInfo = {
+    created: record.registeredAt,
+    ...(record.updatedAt ? { modified: record.updatedAt } : {}),
+    retrieved: nowIsoString(),
+  };
+  return description;
+};
+
+// Structural checks only; the registry runs full TD validation when the Thing is stored.
+const assertThingDescription = (description) => {
+  if (!description || typeof description !== 'object' || Array.isArray(description)) {
+    throw new Error('Request body must be a Thing Description JSON object.');
+  }
+  if (typeof description.title !== 'string' || description.title.trim().length === 0) {
+    throw new Error('Thing Description requires a `title`.');
+  }
+};
+
+export const listDirectoryThings = ({ offset = 0, limit, sortBy = 'id', sortOrder = 'asc' } = {}) => {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const sortKey = (record) => {
+    if (sortBy === 'title') return record.description?.title || '';
+    if (sortBy === 'created') return record.registeredAt || '';
+    if (sortBy === 'modified') return record.updatedAt || record.registeredAt || '';
+    return resolveTdId(record);
+  };
+
+  const records = Array.from(thingRegistry.values())
+    .sort((a, b) => (sortKey(a) > sortKey(b) ? 1 : sortKey(a) < sortKey(b) ? -1 : 0) * direction);
+
+  const end = Number.isFinite(limit) ? offset + limit : undefined;
+  return {
+    total: records.length,
+    items: records.slice(offset, end).map(toEnrichedDescription),
+    hasMore: end !== undefined && end < records.length,
+  };
+};
+
+export const retrieveDirectoryThing = (tdId) => {
+  const record = findThingRecordByTdId(tdId);
+  return record ? toEnrichedDescription(record) : null;
+};
+
+// PUT semantics: create when unknown (201), replace when known (204).
+export const upsertDirectoryThing = (tdId, description, { strict } = {}) => {
+  assertThingDescription(description);
+  if (description.id && description.id !== tdId) {
+    throw new Error(`TD id '${description.id}' does not match the request path id '${tdId}'.`);
+  }
+
+  const stored = { ...description, id: tdId };
+  const existing = findThingRecordByTdId(tdId);
+  if (existing) {
+    const { diff } = updateThingDescription({ id: existing.id, description: stored, strict });
+    return { created: false, record: thingRegistry.get(existing.id), diff };
+  }
+
+  const record = registerThing({ id: tdId, description: stored, metadata: { registeredVia: 'thing-directory' }, strict });
+  return { created: true, record };
+};
+
+// POST is reserved for anonymous TDs; the directory assigns a URN and reports it via Location.
+export const createAnonymousDirectoryThing = (description, { strict } = {}) => {
+  assertThingDescription(description);
+  if (description.id) {
+    throw new Error('TDs with an `id` must be created with PUT /things/{id}.');
+  }
+
+  const systemId = `urn:uuid:${randomUUID()}`;
+  const record = registerThing({ id: systemId, description, metadata: { registeredVia: 'thing-directory', anonymous: true }, strict });
+  return { record, id: systemId };
+};
+
+// RFC 7396 JSON Merge Patch.
+const applyMergePatch = (target, patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+export const patchDirectoryThing = (tdId, patch, { strict } = {}) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('PATCH body must be a JSON Merge Patch object.');
+  }
+  const existing = findThingRecordByTdId(tdId);
+  if (!existing) {
+    return null;
+  }
+  if (patch.id !== undefined && patch.id !== resolveTdId(existing)) {
+    throw new Error('The TD `id` cannot be changed with PATCH.');
+  }
+
+  const merged = applyMergePatch(existing.description, patch);
+  assertThingDescription(merged);
+  const { diff } = updateThingDescription({ id: existing.id, description: merged, strict });
+  return { record: thingRegistry.get(existing.id), diff };
+};
+
+export const deleteDirectoryThing = (tdId) => {
+  const existing = findThingRecordByTdId(tdId);
+  return existing ? unregisterThing(existing.id) : null;
+};
+
+// JSONPath runs against the array of enriched TDs, so `$[?(@.title=='Lamp')]` selects whole TDs.
+export const searchDirectoryJsonPath = (query) => {
+  if (!query) {
+    throw new Error('Missing `query` parameter.');
+  }
+  const documents = Array.from(thingRegistry.values()).map(toEnrichedDescription);
+  return evaluateJsonPath(query, documents);
+};
+
+// The directory describes itself as a Thing so WoT clients can discover it via /.well-known/wot.
+export const buildDirectoryDescription = () => ({
+  '@context': ['https://www.w3.org/2022/wot/td/v1.1', DISCOVERY_CONTEXT],
+  '@type': 'ThingDirectory',
+  id: 'urn:ui-gen-poc:core-system:thing-directory',
+  title: 'Core System Thing Description Directory',
+  base: `${CORE_PUBLIC_URL}/tdd`,
+  securityDefinitions: { nosec_sc: { scheme: 'nosec' } },
+  security: ['nosec_sc'],
+  properties: {
+    things: {
+      description: 'Paginated list of registered Thing Descriptions.',
+      readOnly: true,
+      type: 'array',
+      uriVariables: {
+        offset: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 1 },
+        sort_by: { type: 'string', enum: ['id', 'title', 'created', 'modified'] },
+        sort_order: { type: 'string', enum: ['asc', 'desc'] },
+      },
+      forms: [{ href: 'things{?offset,limit,sort_by,sort_order}', op: 'readproperty', contentType: 'application/ld+json' }],
+    },
+  },
+  actions: {
+    createThing: {
+      description: 'Register an anonymous Thing Description.',
+      input: { type: 'object' },
+      forms: [{ href: 'things', op: 'invokeaction', 'htv:methodName': 'POST', contentType: 'application/td+json' }],
+    },
+    retrieveThing: {
+      uriVariables: { id: { type: 'string', format: 'iri-reference' } },
+      safe: true,
+      idempotent: true,
+      forms: [{ href: 'things/{id}', op: 'invokeaction', 'htv:methodName': 'GET', contentType: 'application/td+json' }],
+    },
+    updateThing: {
+      uriVariables: { id: { type: 'string', format: 'iri-reference' } },
+      input: { type: 'object' },
+      idempotent: true,
+      forms: [{ href: 'things/{id}', op: 'invokeaction', 'htv:methodName': 'PUT', contentType: 'application/td+json' }],
+    },
+    partiallyUpdateThing: {
+      uriVariables: { id: { type: 'string', format: 'iri-reference' } },
+      input: { type: 'object' },
+      forms: [{ href: 'things/{id}', op: 'invokeaction', 'htv:methodName': 'PATCH', contentType: 'application/merge-patch+json' }],
+    },
+    deleteThing: {
+      uriVariables: { id: { type: 'string', format: 'iri-reference' } },
+      idempotent: true,
+      forms: [{ href: 'things/{id}', op: 'invokeaction', 'htv:methodName': 'DELETE' }],
+    },
+    searchJSONPath: {
+      uriVariables: { query: { type: 'string' } },
+      safe: true,
+      idempotent: true,
+      forms: [{ href: 'search/jsonpath?query={query}', op: 'invokeaction', 'htv:methodName': 'GET', contentType: 'application/json' }],
+    },
+  },
+});
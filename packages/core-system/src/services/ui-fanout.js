@@ -0,0 +1,214 @@
+import { deviceRegistry } from './registry.js';
+import { dispatchUiToClients } from '../transport/websocket.js';
+
+// After the knowledge base picked a device, the generated layout is also shown on the alternates it named. Instead of
+// another LLM call per form factor, the UI is rewritten deterministically for each secondary device's
+// `uiSchema.components`: supported components pass through, unsupported ones degrade along DEGRADATIONS (ending in a
+// plain text summary) and unsupported containers are flattened into their parent.
+
+// Larger slider ranges read better as a text summary than as a long dropdown.
+const MAX_DERIVED_OPTIONS = 12;
+
+const DEGRADATIONS = {
+  toggle: ['dropdown', 'text'],
+  slider: ['dropdown', 'text'],
+  dropdown: ['text'],
+  statusCard: ['container', 'text'],
+  button: ['text'],
+  input: ['text'],
+};
+
+const CHILD_KEYS = ['children', 'components'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const readType = (node) => node.component || node.type || null;
+const readProps = (node) => (isObject(node.props) ? node.props : node);
+
+// Keep the source element's shape (`{ type, props }` or flat) so renderers treat the copy like the original.
+const buildNode = (original, type, props) => {
+  const typeKey = original.component ? 'component' : 'type';
+  const id = original.id !== undefined ? { id: original.id } : {};
+  return isObject(original.props)
+    ? { ...id, [typeKey]: type, props }
+    : { ...id, [typeKey]: type, ...props };
+};
+
+const describeValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 'On' : 'Off';
+  }
+  return value === undefined || value === null || value === '' ? null : String(value);
+};
+
+const labelled = (label, value) => [label, value].filter(Boolean).join(': ') || null;
+
+const summarizeNode = (type, props) => {
+  switch (type) {
+    case 'toggle':
+      return labelled(props.label, describeValue(typeof props.checked === 'boolean' ? props.checked : false));
+    case 'slider':
+      return labelled(props.label, [describeValue(props.value), props.unit].filter(Boolean).join(' ') || null);
+    case 'dropdown': {
+      const selected = Array.isArray(props.options)
+        ? props.options.find((option) => (isObject(option) ? option.value : option) === props.value)
+        : null;
+      return labelled(props.label, describeValue(isObject(selected) ? selected.label : selected ?? props.value));
+    }
+    case 'statusCard': {
+      const items = Array.isArray(props.items)
+        ? props.items.map((item) => (isObject(item) ? labelled(item.label, describeValue(item.value)) : describeValue(item)))
+          .filter(Boolean)
+        : [];
+      return [labelled(props.title, describeValue(props.value)), ...items].filter(Boolean).join(' · ') || null;
+    }
+    default:
+      return props.label || props.title || props.content || props.text || props.placeholder || null;
+  }
+};
+
+const sliderOptions = (props) => {
+  const min = Number(props.min ?? 0);
+  const max = Number(props.max ?? 100);
+  const step = Number(props.step ?? 1);
+  if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min || (max - min) / step + 1 > MAX_DERIVED_OPTIONS) {
+    return null;
+  }
+  const options = [];
+  for (let value = min; value <= max; value += step) {
+    options.push({ label: [value, props.unit].filter((part) => part !== undefined && part !== '').join(' '), value: String(value) });
+  }
+  return options;
+};
+
+// Each converter returns the replacement props, or null when it cannot represent the source component.
+const CONVERTERS = {
+  dropdown: (type, props) => {
+    if (type === 'toggle' && props.onAction && props.offAction) {
+      // An on/off pair keeps one action per option; renderers prefer an option's own action over `action`.
+      return {
+        label: props.label,
+        options: [
+          { label: 'On', value: 'true', action: props.onAction },
+          { label: 'Off', value: 'false', action: props.offAction },
+        ],
+        value: String(typeof props.checked === 'boolean' ? props.checked : false),
+      };
+    }
+    if (!props.action) {
+      return null;
+    }
+    if (type === 'toggle') {
+      // Action inputs are coerced, so the string values still reach boolean parameters as booleans.
+      return {
+        label: props.label,
+        options: [{ label: 'On', value: 'true' }, { label: 'Off', value: 'false' }],
+        value: String(typeof props.checked === 'boolean' ? props.checked : false),
+        action: props.action,
+      };
+    }
+    const options = type === 'slider' ? sliderOptions(props) : null;
+    return options
+      ? { label: props.label, options, value: props.value === undefined ? undefined : String(props.value), action: props.action }
+      : null;
+  },
+  container: (type, props, supported) => {
+    if (!supported.has('text')) {
+      return null;
+    }
+    const lines = [labelled(props.title, describeValue(props.value)),
+      ...(Array.isArray(props.items) ? props.items.map((item) => (isObject(item) ? labelled(item.label, describeValue(item.value)) : describeValue(item))) : [])]
+      .filter(Boolean);
+    return lines.length > 0 ? { children: lines.map((text) => ({ type: 'text', text })) } : null;
+  },
+  text: (type, props) => {
+    const text = summarizeNode(type, props);
+    return text ? { text } : null;
+  },
+};
+
+const adaptChildren = (children, supported, changes, path) => children
+  .flatMap((child, index) => adaptNode(child, supported, changes, `${path}/${index}`));
+
+const adaptChildLists = (node, supported, changes, path) => {
+  const copy = { ...node };
+  if (isObject(node.props)) {
+    copy.props = adaptChildLists(node.props, supported, changes, `${path}/props`);
+  }
+  CHILD_KEYS.forEach((key) => {
+    if (Array.isArray(node[key])) {
+      copy[key] = adaptChildren(node[key], supported, changes, `${path}/${key}`);
+    }
+  });
+  return copy;
+};
+
+// Returns the nodes that replace `node` in its parent: one, several (a flattened container) or none (dropped).
+const adaptNode = (node, supported, changes, path) => {
+  if (!isObject(node)) {
+    return [node];
+  }
+  const type = readType(node);
+  if (!type || supported.has(type)) {
+    return [adaptChildLists(node, supported, changes, path)];
+  }
+
+  const props = readProps(node);
+  const childKey = CHILD_KEYS.find((key) => Array.isArray(props[key]) || Array.isArray(node[key]));
+  if (childKey && !DEGRADATIONS[type]) {
+    changes.push({ path, from: type, to: 'flattened' });
+    return adaptChildren(props[childKey] || node[childKey], supported, changes, path);
+  }
+
+  const fallback = (DEGRADATIONS[type] || ['text'])
+    .filter((candidate) => supported.has(candidate))
+    .map((candidate) => [candidate, CONVERTERS[candidate]?.(type, props, supported)])
+    .find(([, converted]) => converted);
+  if (!fallback) {
+    changes.push({ path, from: type, to: null });
+    return [];
+  }
+  changes.push({ path, from: type, to: fallback[0] });
+  return [buildNode(node, fallback[0], fallback[1])];
+};
+
+const childLists = (node) => CHILD_KEYS.flatMap((key) => [node?.[key], node?.props?.[key]]).filter(Array.isArray);
+
+// A device without declared components gets the UI unchanged. A root with children is a document rather than a
+// component, so it keeps its shape (and theme) even where its type is unsupported; only its children are adapted.
+// Returns `ui: null` when nothing of it can be shown on the device.
+export const adaptUiToDevice = (ui, deviceRecord) => {
+  const supported = new Set(Object.keys(deviceRecord?.uiSchema?.components || {}));
+  if (supported.size === 0 || !isObject(ui)) {
+    return { ui, changes: [] };
+  }
+  const changes = [];
+  if (childLists(ui).length > 0) {
+    const adapted = adaptChildLists(ui, supported, changes, '');
+    return { ui: childLists(adapted).some((children) => children.length > 0) ? adapted : null, changes };
+  }
+  const [adapted = null] = adaptNode(ui, supported, changes, '');
+  return { ui: adapted, changes };
+};
+
+export const fanOutUiToAlternateDevices = ({ ui, sourceDeviceId, alternateDeviceIds = [] }) => {
+  const targets = Array.from(new Set(alternateDeviceIds)).filter((deviceId) => deviceId && deviceId !== sourceDeviceId);
+  return targets.map((deviceId) => {
+    const deviceRecord = deviceRegistry.get(deviceId);
+    if (!deviceRecord) {
+      return { deviceId, dispatched: false, reason: 'unknown-device' };
+    }
+    const { ui: adaptedUi, changes } = adaptUiToDevice(ui, deviceRecord);
+    if (!adaptedUi) {
+      console.warn(`[Core] Skipped fan-out of '${sourceDeviceId}' layout to '${deviceId}': none of its components are supported there.`);
+      return { deviceId, dispatched: false, reason: 'no-supported-components', changes };
+    }
+    const dispatched = dispatchUiToClients(deviceId, adaptedUi);
+    if (dispatched) {
+      const degraded = changes.length > 0
+        ? ` (${changes.map(({ from, to }) => `${from} -> ${to || 'dropped'}`).join(', ')})`
+        : '';
+      console.log(`[Core] Fanned out layout of '${sourceDeviceId}' to '${deviceId}'${degraded}.`);
+    }
+    return { deviceId, dispatched, changes };
+  });
+};
@@ -0,0 +1,235 @@
+import fetch from 'node-fetch';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+
+// Minimal Model Context Protocol client: JSON-RPC 2.0 over stdio (newline-delimited messages on a child process) or
+// streamable HTTP (one POST per message, answered with JSON or a short SSE stream). Only what the core needs to list
+// and call tools is implemented.
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+export const MCP_TRANSPORTS = ['stdio', 'http'];
+
+const CLIENT_INFO = { name: 'core-system', version: '1.0.0' };
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+// SSE events are separated by blank lines; every `data:` line of an event belongs to one JSON-RPC message.
+const parseEventStream = (text) => text
+  .split(/\r?\n\r?\n/)
+  .map((event) => event.split(/\r?\n/)
+    .filter((line) => line.startsWith('data:'))
+    .map((line) => line.slice(5).trimStart())
+    .join('\n'))
+  .filter(Boolean)
+  .map(parseJson)
+  .filter(Boolean);
+
+const createStdioTransport = ({ name, command, args = [], env = {}, cwd }, { onMessage, onClose }) => {
+  const child = spawn(command, args, {
+    cwd: cwd || undefined,
+    env: { ...process.env, ...env },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  let closed = false;
+  const close = (reason) => {
+    if (closed) return;
+    closed = true;
+    onClose(reason);
+  };
+
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    const message = line.trim() ? parseJson(line) : null;
+    if (message) {
+      onMessage(message);
+    }
+  });
+  createInterface({ input: child.stderr }).on('line', (line) => {
+    console.log(`[Core] MCP server '${name}': ${line}`);
+  });
+  child.on('error', (error) => close(`failed to start: ${error.message}`));
+  child.on('exit', (code, signal) => close(`process exited (${signal || `code ${code}`})`));
+  child.stdin.on('error', () => {});
+
+  return {
+    send: async (message) => {
+      if (closed) {
+        throw new Error(`MCP server '${name}' is not running.`);
+      }
+      child.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+    close: async () => {
+      if (!closed) {
+        child.stdin.end();
+        child.kill();
+      }
+    },
+  };
+};
+
+const createHttpTransport = ({ name, url, headers = {}, timeoutMs }, { onMessage }) => {
+  let sessionId = null;
+  let protocolVersion = null;
+
+  const buildHeaders = () => ({
+    ...headers,
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...(protocolVersion ? { 'MCP-Protocol-Version': protocolVersion } : {}),
+  });
+
+  return {
+    send: async (message) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: buildHeaders(),
+          body: JSON.stringify(message),
+          signal: controller.signal,
+        });
+        sessionId = response.headers.get('mcp-session-id') || sessionId;
+        if (!response.ok) {
+          throw new Error(`MCP server '${name}' responded with status ${response.status}.`);
+        }
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+        const messages = contentType.includes('text/event-stream')
+          ? parseEventStream(text)
+          : [text ? parseJson(text) : null].flat().filter(Boolean);
+        messages.forEach(onMessage);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    setProtocolVersion: (version) => {
+      protocolVersion = version;
+    },
+    close: async () => {
+      if (!sessionId) return;
+      // Servers may refuse to end sessions explicitly (405); the session then simply times out on their side.
+      await fetch(url, { method: 'DELETE', headers: buildHeaders() }).catch(() => {});
+      sessionId = null;
+    },
+  };
+};
+
+// Connects and runs the initialize handshake; resolves with the client once the server is ready for requests.
+export const connectMcpClient = async (config, { timeoutMs, onNotification = () => {}, onClose = () => {} }) => {
+  const pendingRequests = new Map(); // id -> { resolve, reject, timer, method }
+  let nextRequestId = 1;
+  let transport;
+
+  const rejectPending = (reason) => {
+    pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(`MCP server '${config.name}' closed the connection (${reason}).`));
+    });
+    pendingRequests.clear();
+  };
+
+  const handleMessage = (message) => {
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const pending = pendingRequests.get(message.id);
+      if (!pending) return;
+      pendingRequests.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        const error = new Error(`MCP ${pending.method} failed: ${message.error.message || 'unknown error'} (code ${message.error.code}).`);
+        error.rpcError = message.error;
+        pending.reject(error);
+      } else {
+        pending.resolve(message.result ?? {});
+      }
+      return;
+    }
+    if (message.method && message.id !== undefined) {
+      // Server-initiated requests: answer pings, decline the rest (sampling, elicitation, roots).
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method '${message.method}' is not supported by this client.` } };
+      transport.send(reply).catch(() => {});
+      return;
+    }
+    if (message.method) {
+      onNotification(message);
+    }
+  };
+
+  const handlers = {
+    onMessage: handleMessage,
+    onClose: (reason) => {
+      rejectPending(reason);
+      onClose(reason);
+    },
+  };
+  transport = config.transport === 'stdio'
+    ? createStdioTransport(config, handlers)
+    : createHttpTransport({ ...config, timeoutMs }, handlers);
+
+  const request = (method, params = {}) => new Promise((resolve, reject) => {
+    const id = nextRequestId;
+    nextRequestId += 1;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`MCP ${method} to '${config.name}' timed out after ${timeoutMs}ms.`));
+    }, timeoutMs);
+    pendingRequests.set(id, { resolve, reject, timer, method });
+    transport.send({ jsonrpc: '2.0', id, method, params }).catch((error) => {
+      if (pendingRequests.delete(id)) {
+        clearTimeout(timer);
+        reject(error);
+      }
+    });
+  });
+
+  const notify = (method, params) => transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+
+  const close = async () => {
+    rejectPending('client closed');
+    await transport.close();
+  };
+
+  try {
+    const initialized = await request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    transport.setProtocolVersion?.(initialized.protocolVersion || MCP_PROTOCOL_VERSION);
+    await notify('notifications/initialized');
+
+    // `tools/list` is paginated; follow `nextCursor` until the server has nothing more.
+    const listTools = async () => {
+      const tools = [];
+      let cursor;
+      do {
+        const page = await request('tools/list', cursor ? { cursor } : {});
+        tools.push(...(Array.isArray(page.tools) ? page.tools : []));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return tools;
+    };
+
+    return {
+      protocolVersion: initialized.protocolVersion || MCP_PROTOCOL_VERSION,
+      serverInfo: initialized.serverInfo || null,
+      capabilities: initialized.capabilities || {},
+      instructions: initialized.instructions || null,
+      request,
+      listTools,
+      callTool: (toolName, args = {}) => request('tools/call', { name: toolName, arguments: args }),
+      close,
+    };
+  } catch (error) {
+    await close().catch(() => {});
+    throw error;
+  }
+};
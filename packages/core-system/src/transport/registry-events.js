@@ -0,0 +1,140 @@
+import {
+  onServiceRegistered,
+  onThingRegistered,
+  onDeviceRegistered,
+  onThingUpdated,
+  onServiceUnregistered,
+  onThingUnregistered,
+  onDeviceUnregistered,
+} from '../services/registry.js';
+import { onCapabilityHealthChanged } from '../services/capability-health.js';
+import { onCapabilityDataPublished } from '../services/capability-data.js';
+import { getActionsForThing } from '../../action-registry.js';
+import { REGISTRY_EVENT_BUFFER_SIZE, REGISTRY_EVENT_KEEPALIVE_MS } from '../config.js';
+import { nowIsoString } from '../utils.js';
+
+const eventBuffer = []; // ring buffer of the most recent events for Last-Event-ID replay
+const subscribers = new Set(); // open SSE responses
+let lastEventId = 0;
+
+// Keep payloads small: dashboards only need identities and state, not full TDs or UI schemas.
+const summarizeService = (record) => ({
+  name: record.name,
+  type: record.type,
+  url: record.url,
+  capabilities: record.capabilities,
+  provides: record.provides,
+  registeredAt: record.registeredAt,
+  lastHeartbeat: record.lastHeartbeat,
+});
+
+const summarizeThing = (record) => ({
+  id: record.id,
+  title: record.description?.title || record.description?.info?.title || null,
+  metadata: record.metadata,
+  registeredAt: record.registeredAt,
+  lastHeartbeat: record.lastHeartbeat,
+  actionIds: getActionsForThing(record.id).map((action) => action.id),
+});
+
+const summarizeDevice = (record) => ({
+  id: record.id,
+  name: record.name,
+  url: record.url,
+  thingId: record.thingId || null,
+  capabilities: record.capabilities,
+  deviceType: record.metadata?.deviceType || null,
+  registeredAt: record.registeredAt,
+  lastHeartbeat: record.lastHeartbeat,
+});
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+export const publishRegistryEvent = (type, data = {}) => {
+  lastEventId += 1;
+  const event = { id: lastEventId, type, data: { ...data, emittedAt: nowIsoString() } };
+
+  eventBuffer.push(event);
+  if (eventBuffer.length > REGISTRY_EVENT_BUFFER_SIZE) {
+    eventBuffer.shift();
+  }
+
+  const frame = formatEvent(event);
+  subscribers.forEach((res) => res.write(frame));
+  return event;
+};
+
+// Heartbeat expiry is surfaced as its own event type so consumers can tell a crash from a clean shutdown.
+const unregisteredEventType = (kind, reason) => (
+  reason === 'heartbeat-expired' ? `${kind}.expired` : `${kind}.unregistered`
+);
+
+export const initializeRegistryEventFeed = () => {
+  onServiceRegistered((record) => publishRegistryEvent('service.registered', { service: summarizeService(record) }));
+  onThingRegistered((record) => publishRegistryEvent('thing.registered', { thing: summarizeThing(record) }));
+  onDeviceRegistered((record) => publishRegistryEvent('device.registered', { device: summarizeDevice(record) }));
+  onThingUpdated((record, diff) => publishRegistryEvent('thing.updated', { thing: summarizeThing(record), version: record.version, diff }));
+  onCapabilityHealthChanged((name, health, previousStatus) => {
+    publishRegistryEvent('capability.health', { capability: name, previousStatus, health });
+  });
+  onCapabilityDataPublished((_record, entry, { changed }) => {
+    if (changed) {
+      publishRegistryEvent('capability.data', entry);
+    }
+  });
+
+  onServiceUnregistered((record, { reason }) => {
+    publishRegistryEvent(unregisteredEventType('service', reason), { service: summarizeService(record), reason });
+  });
+  onThingUnregistered((record, { reason }) => {
+    publishRegistryEvent(unregisteredEventType('thing', reason), { thing: { id: record.id, metadata: record.metadata }, reason });
+  });
+  onDeviceUnregistered((record, { reason }) => {
+    publishRegistryEvent(unregisteredEventType('device', reason), { device: summarizeDevice(record), reason });
+  });
+};
+
+// Replay what the client missed; if the id is unknown (core restarted or buffer rolled over) ask it to resync from /registry.
+const replayMissedEvents = (res, lastSeenId) => {
+  if (!Number.isFinite(lastSeenId)) {
+    return;
+  }
+
+  const oldestBufferedId = eventBuffer.length > 0 ? eventBuffer[0].id : lastEventId + 1;
+  if (lastSeenId > lastEventId || lastSeenId < oldestBufferedId - 1) {
+    res.write(formatEvent({
+      id: lastEventId,
+      type: 'registry.reset',
+      data: { reason: 'replay-unavailable', lastEventId: lastSeenId, snapshot: '/registry' },
+    }));
+    return;
+  }
+
+  eventBuffer
+    .filter((event) => event.id > lastSeenId)
+    .forEach((event) => res.write(formatEvent(event)));
+};
+
+export const streamRegistryEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (rawLastEventId !== undefined) {
+    replayMissedEvents(res, Number.parseInt(rawLastEventId, 10));
+  }
+
+  subscribers.add(res);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), REGISTRY_EVENT_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    subscribers.delete(res);
+  });
+};
@@ -1,9 +1,38 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { deviceRegistry } from '../services/registry.js';
 import { nowIsoString } from '../utils.js';
+import { createJsonPatch } from '../../../shared/json-patch.js';
 
 export const deviceSockets = new Map(); // deviceId -> Set<WebSocket>
 export const latestUiByDevice = new Map(); // deviceId -> last generated UI definition
+const latestGenerationByDevice = new Map(); // deviceId -> last allocated generation number
+const dispatchedGenerationByDevice = new Map(); // deviceId -> generation number of the UI in latestUiByDevice
+const listeners = { uiDispatched: [], deviceSocketConnected: [] };
+
+export const onUiDispatched = (fn) => listeners.uiDispatched.push(fn);
+export const onDeviceSocketConnected = (fn) => listeners.deviceSocketConnected.push(fn);
+
+// Generation numbers order the UIs pushed to a device. They start from the clock so they keep increasing across core
+// restarts; renderers drop any payload older than the last one they applied.
+export const allocateUiGeneration = (deviceId) => {
+  const generation = Math.max((latestGenerationByDevice.get(deviceId) || 0) + 1, Date.now());
+  latestGenerationByDevice.set(deviceId, generation);
+  return generation;
+};
+
+// A full UI tree, sent on connect, on resync requests and whenever a socket cannot take a patch.
+const buildSnapshotPayload = (deviceId, uiDefinition, generation) => ({
+  deviceId: deviceId || null,
+  generatedAt: nowIsoString(),
+  ...(generation !== null && generation !== undefined ? { generation } : {}),
+  ui: uiDefinition,
+});
+
+const sendSnapshot = (socket, deviceId) => {
+  const generation = dispatchedGenerationByDevice.get(deviceId) ?? null;
+  socket.uiRevision = generation;
+  socket.send(JSON.stringify(buildSnapshotPayload(deviceId, latestUiByDevice.get(deviceId), generation)));
+};
 
 export const ensureSocketSet = (deviceId) => {
   if (!deviceId) return null;
@@ -27,6 +56,8 @@ export const initializeWebSocketServer = (server) => {
       const queryString = requestUrl.includes('?') ? requestUrl.split('?')[1] : '';
       const params = new URLSearchParams(queryString);
       deviceId = params.get('deviceId') || undefined;
+      // Renderers that can apply RFC 6902 patches opt in with `patches=1`; everyone else keeps getting full trees.
+      ws.acceptsPatches = params.get('patches') === '1';
     } catch (error) {
       console.error('Failed to parse websocket query params:', error);
     }
@@ -41,22 +72,36 @@ export const initializeWebSocketServer = (server) => {
     }
 
     const initialUi = deviceId ? latestUiByDevice.get(deviceId) : null;
-    const payload = {
-      deviceId: deviceId || null,
-      generatedAt: nowIsoString(),
-      ui: initialUi || {
+
+    if (deviceId && initialUi) {
+      console.log(`[Core] Delivered cached UI to device '${deviceId}' on socket connect.`);
+      sendSnapshot(ws, deviceId);
+    } else {
+      ws.uiRevision = null;
+      ws.send(JSON.stringify(buildSnapshotPayload(deviceId, {
         type: 'container',
         children: [
           { type: 'text', content: 'Awaiting UI definition from core system…' },
         ],
-      },
-    };
-
-    if (deviceId && initialUi) {
-      console.log(`[Core] Delivered cached UI to device '${deviceId}' on socket connect.`);
+      }, null)));
+    }
+    if (deviceId) {
+      listeners.deviceSocketConnected.forEach((fn) => fn(deviceId));
     }
 
-    ws.send(JSON.stringify(payload));
+    // A renderer whose UI no longer matches a patch's base revision asks for the full tree again.
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+      if (message?.type === 'ui.resync' && ws.deviceId && latestUiByDevice.has(ws.deviceId)) {
+        console.log(`[Core] Device '${ws.deviceId}' reported UI revision ${message.revision ?? 'none'}; resending the full UI.`);
+        sendSnapshot(ws, ws.deviceId);
+      }
+    });
 
     ws.on('close', () => {
       if (ws.deviceId) {
@@ -78,29 +123,57 @@ export const initializeWebSocketServer = (server) => {
 };
 
 // Cache the latest UI per device and fan out over websockets; late joiners receive the cached definition immediately.
-export const dispatchUiToClients = (deviceId, uiDefinition) => {
+// A UI whose generation is older than the one already dispatched lost a race and is dropped. Sockets that opted into
+// patches and hold the previous revision receive a `ui.patch` instead of the whole tree, unless the patch is no smaller.
+export const dispatchUiToClients = (deviceId, uiDefinition, { generation } = {}) => {
+  const resolvedGeneration = generation ?? (deviceId ? allocateUiGeneration(deviceId) : null);
+  const previousUi = deviceId ? latestUiByDevice.get(deviceId) : undefined;
+  const previousGeneration = deviceId ? dispatchedGenerationByDevice.get(deviceId) : undefined;
   if (deviceId) {
+    if (resolvedGeneration < (previousGeneration || 0)) {
+      console.warn(`[Core] Dropped stale UI generation ${resolvedGeneration} for device '${deviceId}'.`);
+      return false;
+    }
     latestUiByDevice.set(deviceId, uiDefinition);
+    dispatchedGenerationByDevice.set(deviceId, resolvedGeneration);
   }
 
-  const payload = JSON.stringify({
-    deviceId: deviceId || null,
-    generatedAt: nowIsoString(),
-    ui: uiDefinition,
-  });
+  const payload = JSON.stringify(buildSnapshotPayload(deviceId, uiDefinition, resolvedGeneration));
 
   if (deviceId) {
     const sockets = deviceSockets.get(deviceId);
     if (sockets && sockets.size > 0) {
+      let patchPayload;
       sockets.forEach((socket) => {
-        if (socket.readyState === WebSocket.OPEN) {
-          socket.send(payload);
+        if (socket.readyState !== WebSocket.OPEN) {
+          return;
         }
+        if (socket.acceptsPatches && previousUi !== undefined && socket.uiRevision === previousGeneration) {
+          if (patchPayload === undefined) {
+            const patch = JSON.stringify({
+              type: 'ui.patch',
+              deviceId,
+              generatedAt: nowIsoString(),
+              baseRevision: previousGeneration,
+              revision: resolvedGeneration,
+              patch: createJsonPatch(previousUi, uiDefinition),
+            });
+            patchPayload = patch.length < payload.length ? patch : null;
+          }
+          if (patchPayload) {
+            socket.uiRevision = resolvedGeneration;
+            socket.send(patchPayload);
+            return;
+          }
+        }
+        socket.uiRevision = resolvedGeneration;
+        socket.send(payload);
       });
     } else {
       console.log(`[Core] Cached UI for device '${deviceId}' until a socket connects.`);
     }
-    return;
+    listeners.uiDispatched.forEach((fn) => fn(deviceId, uiDefinition));
+    return true;
   }
 
   // Broadcast payload to any connected socket when no specific device target is provided.
@@ -111,4 +184,47 @@ export const dispatchUiToClients = (deviceId, uiDefinition) => {
       }
     });
   }
+  return true;
+};
+
+// Close every socket bound to a device and forget its cached UI once the device leaves the registry.
+export const disconnectDevice = (deviceId, reason = 'device-unregistered') => {
+  if (!deviceId) {
+    return 0;
+  }
+
+  latestUiByDevice.delete(deviceId);
+  dispatchedGenerationByDevice.delete(deviceId);
+
+  const sockets = deviceSockets.get(deviceId);
+  if (!sockets) {
+    return 0;
+  }
+
+  const closed = sockets.size;
+  sockets.forEach((socket) => {
+    if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+      socket.close(4000, reason);
+    }
+  });
+  deviceSockets.delete(deviceId);
+  return closed;
+};
+
+// Typed, non-UI messages (e.g. `action.status`) for one device; renderers tell them apart from UI pushes by `type`.
+export const sendMessageToDevice = (deviceId, type, data = {}) => {
+  const sockets = deviceId ? deviceSockets.get(deviceId) : null;
+  if (!sockets || sockets.size === 0) {
+    return 0;
+  }
+
+  const payload = JSON.stringify({ type, deviceId, emittedAt: nowIsoString(), ...data });
+  let delivered = 0;
+  sockets.forEach((socket) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(payload);
+      delivered += 1;
+    }
+  });
+  return delivered;
 };
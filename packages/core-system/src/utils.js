@@ -9,3 +9,18 @@ export const composeUrl = (base, path = '/') => {
   if (!path || path === '/') return base;
   return `${base}${path.startsWith('/') ? path : `/${path}`}`;
 };
+
+// JSON.stringify with sorted object keys so structurally equal values always serialize identically.
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((entry) => stableStringify(entry === undefined ? null : entry)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
@@ -1,17 +1,21 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import './App.css';
+import { applyJsonPatch } from '../../shared/json-patch.js';
+import { formatDisplayValue } from '../../shared/display-value.js';
 
 const deviceId = 'device-smartphone-001';
 
-const appendDeviceId = (baseUrl) => {
-  const suffix = `deviceId=${encodeURIComponent(deviceId)}`;
+// `patches=1` asks the core for `ui.patch` messages instead of the whole tree on every update.
+const socketQuery = `deviceId=${encodeURIComponent(deviceId)}&patches=1`;
+
+const appendSocketQuery = (baseUrl) => {
   if (!baseUrl.includes('?')) {
-    return `${baseUrl}?${suffix}`;
+    return `${baseUrl}?${socketQuery}`;
   }
 
   const hasTrailingQuestion = baseUrl.endsWith('?');
   const separator = hasTrailingQuestion || baseUrl.endsWith('&') ? '' : '&';
-  return `${baseUrl}${separator}${suffix}`;
+  return `${baseUrl}${separator}${socketQuery}`;
 };
 
 const resolveWebsocketUrl = () => {
@@ -36,24 +40,25 @@ const resolveWebsocketUrl = () => {
         }
 
         parsed.searchParams.set('deviceId', deviceId);
+        parsed.searchParams.set('patches', '1');
         return parsed.toString();
       } catch (error) {
         console.warn('Failed to parse VITE_CORE_WS_URL, falling back to heuristics.', error);
-        return appendDeviceId(envUrl.endsWith('/') ? envUrl.slice(0, -1) : envUrl);
+        return appendSocketQuery(envUrl.endsWith('/') ? envUrl.slice(0, -1) : envUrl);
       }
     }
 
-    return appendDeviceId(envUrl.endsWith('/') ? envUrl.slice(0, -1) : envUrl);
+    return appendSocketQuery(envUrl.endsWith('/') ? envUrl.slice(0, -1) : envUrl);
   }
 
   if (typeof window !== 'undefined') {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.hostname || 'localhost';
     const defaultCorePort = import.meta.env.VITE_CORE_WS_FALLBACK_PORT || '3001';
-    return `${protocol}//${host}:${defaultCorePort}?deviceId=${encodeURIComponent(deviceId)}`;
+    return `${protocol}//${host}:${defaultCorePort}?${socketQuery}`;
   }
 
-  return `ws://localhost:3001?deviceId=${encodeURIComponent(deviceId)}`;
+  return `ws://localhost:3001?${socketQuery}`;
 };
 
 const websocketUrl = resolveWebsocketUrl();
@@ -82,6 +87,41 @@ const actionStatusStyles = {
   error: { background: '#FEECEC', color: '#C62828' },
 };
 
+// `action.status` pushes from the core for actions that keep running after the invocation returned.
+const describeActionInstanceStatus = (instance = {}) => {
+  const label = typeof instance.actionId === 'string' ? instance.actionId.split('::').pop() : 'Action';
+  switch (instance.status) {
+    case 'running':
+      return { status: 'pending', message: `${label} running…`, instanceId: instance.id };
+    case 'completed':
+      return { status: 'success', message: `${label} completed.`, instanceId: instance.id };
+    case 'cancelled':
+      return { status: 'error', message: `${label} cancelled.`, instanceId: instance.id };
+    case 'failed':
+      return { status: 'error', message: `${label} failed: ${instance.error || 'unknown error'}`, instanceId: instance.id };
+    default:
+      return null;
+  }
+};
+
+// `property.value` and `thing.event` pushes for components bound with `propertyId`/`eventId`; until the first push
+// arrives a component keeps the value it was generated with.
+const describeLiveProperty = (reading) => {
+  if (!reading) {
+    return null;
+  }
+  return reading.ok ? formatDisplayValue(reading.value) : 'Unavailable';
+};
+
+const describeLatestEvent = (occurrence) => {
+  if (!occurrence) {
+    return null;
+  }
+  const details = formatDisplayValue(occurrence.data);
+  const time = new Date(occurrence.receivedAt).toLocaleTimeString();
+  return `${occurrence.name} at ${time}${details ? ` (${details})` : ''}`;
+};
+
 const DEFAULT_PRIMARY_COLOR = '#1f6feb';
 
 const normalizeHexColor = (value) => {
@@ -366,6 +406,11 @@ function App() {
   const [lastUpdate, setLastUpdate] = useState(null);
   const [actionState, setActionState] = useState({ status: null, message: null });
   const [controlValues, setControlValues] = useState({});
+  const [pendingConfirmation, setPendingConfirmation] = useState(null);
+  const [liveProperties, setLiveProperties] = useState({});
+  const [liveEvents, setLiveEvents] = useState({});
+  const lastGenerationRef = useRef(null);
+  const uiRef = useRef(null);
 
   useEffect(() => {
     const ws = new WebSocket(websocketUrl);
@@ -378,7 +423,56 @@ function App() {
       console.log('Received UI definition:', event.data);
       try {
         const payload = JSON.parse(event.data);
+        if (payload?.type === 'action.status') {
+          const nextState = describeActionInstanceStatus(payload.instance);
+          if (nextState) {
+            setActionState(nextState);
+          }
+          return;
+        }
+        if (payload?.type === 'property.value') {
+          setLiveProperties((previous) => ({ ...previous, [payload.propertyId]: payload }));
+          return;
+        }
+        if (payload?.type === 'thing.event') {
+          setLiveEvents((previous) => ({ ...previous, [payload.eventId]: payload }));
+          return;
+        }
+        if (payload?.type === 'ui.patch') {
+          // Patches build on the exact revision shown; anything else (missed message, failed apply) needs the full tree.
+          if (lastGenerationRef.current !== null && payload.revision <= lastGenerationRef.current) {
+            return;
+          }
+          let patchedUi;
+          let applied = false;
+          if (payload.baseRevision === lastGenerationRef.current) {
+            try {
+              patchedUi = applyJsonPatch(uiRef.current, payload.patch);
+              applied = true;
+            } catch (error) {
+              console.warn('Failed to apply UI patch:', error);
+            }
+          }
+          if (!applied) {
+            ws.send(JSON.stringify({ type: 'ui.resync', deviceId, revision: lastGenerationRef.current }));
+            return;
+          }
+          lastGenerationRef.current = payload.revision;
+          uiRef.current = patchedUi;
+          setUi(patchedUi);
+          setLastUpdate(payload.generatedAt || new Date().toISOString());
+          return;
+        }
+        // Generations can finish out of order; never replace a newer UI with an older one.
+        if (typeof payload?.generation === 'number') {
+          if (lastGenerationRef.current !== null && payload.generation < lastGenerationRef.current) {
+            console.warn(`Dropped out-of-order UI generation ${payload.generation} (showing ${lastGenerationRef.current}).`);
+            return;
+          }
+          lastGenerationRef.current = payload.generation;
+        }
         const messageUi = payload && payload.ui ? payload.ui : payload;
+        uiRef.current = messageUi;
         setUi(messageUi);
         setLastUpdate(payload.generatedAt || new Date().toISOString());
       } catch (error) {
@@ -445,6 +539,7 @@ function App() {
             label: metadata.label,
             value: metadata.value,
             thingId: inferredThingId,
+            confirmationToken: metadata.confirmationToken,
             timestamp: new Date().toISOString(),
           },
         }),
@@ -452,10 +547,28 @@ function App() {
 
       const data = await response.json();
 
+      // Hazardous action: ask the user, then resend the same payload with the token the core (or device) issued.
+      if (response.status === 428 && data?.token) {
+        setPendingConfirmation({ token: data.token, prompt: data.prompt, actionPayload, metadata });
+        setActionState({ status: 'pending', message: 'Waiting for confirmation…' });
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(data?.error || 'Device rejected the action request.');
       }
 
+      const invocation = data?.result?.invocation;
+      if (invocation?.status === 'running') {
+        // Keep the pill pending until the core pushes the final status (unless that push already arrived).
+        setActionState((current) => (
+          current.instanceId === invocation.instanceId && current.status !== 'pending'
+            ? current
+            : { status: 'pending', message: data?.message || 'Action running…', instanceId: invocation.instanceId }
+        ));
+        return;
+      }
+
       setActionState({
         status: 'success',
         message: data?.message || 'Action executed successfully.',
@@ -465,6 +578,46 @@ function App() {
     }
   }, []);
 
+  const resolvePendingConfirmation = useCallback(async (confirmed) => {
+    const confirmation = pendingConfirmation;
+    setPendingConfirmation(null);
+    if (!confirmation) {
+      return;
+    }
+    if (confirmed) {
+      executeAction(confirmation.actionPayload, { ...confirmation.metadata, confirmationToken: confirmation.token });
+      return;
+    }
+    setActionState({ status: 'error', message: 'Action cancelled.' });
+    try {
+      await fetch(`${deviceApiBase}/api/confirmations/${encodeURIComponent(confirmation.token)}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Failed to report declined confirmation:', error);
+    }
+  }, [pendingConfirmation, executeAction]);
+
+  const cancelRunningAction = useCallback(async () => {
+    const { instanceId } = actionState;
+    if (!instanceId) {
+      return;
+    }
+    try {
+      const response = await fetch(`${deviceApiBase}/api/action-instances/${encodeURIComponent(instanceId)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        // 409: the action ended before the cancel arrived; show how it ended instead of an error.
+        const endedState = response.status === 409 ? describeActionInstanceStatus(data?.instance) : null;
+        if (endedState) {
+          setActionState(endedState);
+          return;
+        }
+        throw new Error(data?.error || 'Failed to cancel the action.');
+      }
+    } catch (error) {
+      setActionState({ status: 'error', message: error.message || 'Failed to cancel the action.' });
+    }
+  }, [actionState]);
+
   const resolveControlKey = useCallback((componentType, props = {}) => {
     return (
       props.id
@@ -578,6 +731,7 @@ function App() {
         {
           const sizeToken = resolveComponentSize(props.size, ergonomicsProfile);
           const textSizing = getSizingForComponent('text', sizeToken);
+          const liveText = describeLiveProperty(liveProperties[props.propertyId]) ?? describeLatestEvent(liveEvents[props.eventId]);
           return (
             <p
               style={{
@@ -588,7 +742,7 @@ function App() {
                 fontWeight: props.variant === 'subtitle' ? 600 : 400,
               }}
             >
-              {props.content || props.text}
+              {liveText ?? (props.content || props.text)}
             </p>
           );
         }
@@ -676,8 +830,11 @@ function App() {
         const controlSize = toNumericPixels(toggleSizing.controlSize, 20);
         const trackWidth = `${controlSize * 2}px`;
         const knobSize = `${controlSize - 4}px`;
-        const isChecked = typeof props.checked === 'boolean' ? props.checked : false;
         const inputId = resolveControlKey('toggle', props);
+        const initialChecked = typeof props.checked === 'boolean' ? props.checked : false;
+        // The switched position is kept locally until a UI arrives with a different `checked`.
+        const localState = controlValues[inputId];
+        const isChecked = localState && localState.from === initialChecked ? localState.value : initialChecked;
 
         return (
           <label
@@ -730,13 +887,16 @@ function App() {
               type="checkbox"
               checked={isChecked}
               onChange={(event) => {
-                if (!props.action) return;
                 const nextValue = event.target.checked;
-                executeAction(props.action, {
+                // On/off pairs bind one action per direction; a single `action` receives the new value instead.
+                const boundAction = (nextValue ? props.onAction : props.offAction) || props.action;
+                if (!boundAction) return;
+                updateControlValue(inputId, { from: initialChecked, value: nextValue });
+                executeAction(boundAction, {
                   component: 'toggle',
                   label: props.label,
                   value: nextValue,
-                  thingId: props.action?.thingId,
+                  thingId: boundAction?.thingId,
                 });
               }}
               style={{ position: 'absolute', opacity: 0, pointerEvents: 'none' }}
@@ -851,12 +1011,14 @@ function App() {
               onChange={(event) => {
                 const nextValue = event.target.value;
                 updateControlValue(key, nextValue);
-                if (props.action) {
-                  executeAction(props.action, {
+                // An option's own action (an on/off pair fanned out from a toggle) wins over `action`.
+                const boundAction = options.find((option) => String(option.value) === nextValue)?.action || props.action;
+                if (boundAction) {
+                  executeAction(boundAction, {
                     component: 'dropdown',
                     label: props.label,
                     value: nextValue,
-                    thingId: props.action?.thingId,
+                    thingId: boundAction?.thingId,
                   });
                 }
               }}
@@ -898,7 +1060,12 @@ function App() {
           danger: { background: 'linear-gradient(145deg, #fee2e2, #ffffff)', text: '#b91c1c' },
         };
         const resolved = palette[tone] || palette.info;
-        const items = Array.isArray(props.items) ? props.items : [];
+        const value = describeLiveProperty(liveProperties[props.propertyId]) ?? props.value;
+        const latestEvent = describeLatestEvent(liveEvents[props.eventId]);
+        const items = [
+          ...(Array.isArray(props.items) ? props.items : []),
+          ...(latestEvent ? [{ label: 'Last event', value: latestEvent }] : []),
+        ];
 
         return (
           <div
@@ -931,8 +1098,8 @@ function App() {
               {props.icon && <span style={{ fontSize: '20px' }}>{props.icon}</span>}
               <span style={{ fontWeight: 700, color: '#111827' }}>{props.title}</span>
             </div>
-            {props.value && (
-              <div style={{ fontSize: '32px', fontWeight: 800, color: resolved.text }}>{props.value}</div>
+            {value && (
+              <div style={{ fontSize: '32px', fontWeight: 800, color: resolved.text }}>{value}</div>
             )}
             {items.length > 0 && (
               <div style={{ marginTop: '16px', display: 'grid', gap: '8px' }}>
@@ -988,6 +1155,11 @@ function App() {
                 }}
               >
                 {actionState.message}
+                {actionState.status === 'pending' && actionState.instanceId && (
+                  <button type="button" className="status-pill__cancel" onClick={cancelRunningAction}>
+                    Cancel
+                  </button>
+                )}
               </div>
             )}
           </header>
@@ -996,6 +1168,20 @@ function App() {
           </section>
         </div>
       </div>
+      {pendingConfirmation && (
+        <div className="confirm-dialog__backdrop" role="presentation">
+          <div className="confirm-dialog" role="alertdialog" aria-modal="true" aria-labelledby="confirm-dialog-title">
+            <h2 id="confirm-dialog-title">{pendingConfirmation.actionPayload?.confirmation?.title || 'Confirm action'}</h2>
+            <p>{pendingConfirmation.actionPayload?.confirmation?.message || pendingConfirmation.prompt}</p>
+            <div className="confirm-dialog__actions">
+              <button type="button" onClick={() => resolvePendingConfirmation(false)}>Cancel</button>
+              <button type="button" className="confirm-dialog__confirm" onClick={() => resolvePendingConfirmation(true)}>
+                {pendingConfirmation.actionPayload?.confirmation?.confirmLabel || 'Confirm'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -3,6 +3,8 @@ import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { prepareActionInput } from '../../shared/action-input.js';
+import { createConfirmationLedger, assertActionConfirmed, confirmationStatusCode } from '../../shared/action-safety.js';
 
 const app = express();
 const port = Number.parseInt(process.env.DEVICE_API_PORT || '3002', 10);
@@ -12,6 +14,7 @@ const coreSystemUrl = process.env.CORE_SYSTEM_URL || 'http://core-system:3001';
 const devicePublicUrl = process.env.DEVICE_API_PUBLIC_URL || `http://device-api:${port}`;
 const defaultThingBaseUrl = process.env.THING_BASE_URL || null;
 const ACTION_CACHE_TTL_MS = Number.parseInt(process.env.ACTION_CACHE_TTL_MS || '60000', 10);
+const HEARTBEAT_INTERVAL_MS = Number.parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
 
 app.use(express.json());
 
@@ -38,6 +41,13 @@ app.use((req, res, next) => {
 const deviceId = 'device-smartphone-001';
 const actionCacheByThing = new Map();
 const actionCacheById = new Map();
+// Hazardous actions dispatched locally (core unknown or unreachable) go through the same confirmation rules as the core.
+const localConfirmationLedger = createConfirmationLedger({
+  source: deviceId,
+  onDecision: (entry) => {
+    console.log(`[Device] Safety decision for ${entry.actionId}: ${entry.decision}${entry.reason ? ` — ${entry.reason}` : ''}`);
+  },
+});
 const arrayify = (value) => {
   if (Array.isArray(value)) {
     return value;
@@ -601,6 +611,10 @@ const registerWithCoreSystem = async () => {
     name: 'Smartphone Controller',
     url: devicePublicUrl,
     capabilities: [],
+    // Reflow the touch layout on confident activity changes only.
+    capabilitySubscriptions: {
+      userActivity: { minConfidence: 0.6 },
+    },
     metadata: {
       deviceType: 'smartphone',
       supportedUiComponents: supportedComponents,
@@ -624,6 +638,27 @@ const registerWithCoreSystem = async () => {
   }
 };
 
+// Keep both registrations alive; a 404 means the core forgot this device (restart or eviction), so register again.
+const sendHeartbeats = async () => {
+  try {
+    const response = await fetch(`${serviceRegistryUrl}/heartbeat/device/smartphone-device`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithServiceRegistry();
+    }
+  } catch (error) {
+    console.error('[Device] Service registry heartbeat failed:', error.message);
+  }
+
+  try {
+    const response = await fetch(`${coreSystemUrl}/heartbeat/device/${encodeURIComponent(deviceId)}`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithCoreSystem();
+    }
+  } catch (error) {
+    console.error('[Device] Core heartbeat failed:', error.message);
+  }
+};
+
 // Device-level tools are just intent aliases; resolve them to concrete actions and fan out per matching Thing.
 const invokeDeviceTool = async (toolName, parameters = {}, context = {}) => {
   const { intent, matches } = await resolveIntentActions(toolName, context);
@@ -639,7 +674,8 @@ const invokeDeviceTool = async (toolName, parameters = {}, context = {}) => {
   const responses = [];
   for (const match of matches) {
     const targetContext = { ...context, thingId: match.thingId };
-    const result = await dispatchHttpAction(match.action, targetContext);
+    const result = await invokeActionThroughCore(match.action, targetContext)
+      || await dispatchHttpActionLocally(match.action, targetContext);
     responses.push({
       thingId: match.thingId,
       actionId: match.action.id,
@@ -718,7 +754,11 @@ const dispatchHttpAction = async (action, context = {}) => {
   const headers = { ...(enrichedAction?.headers || {}) };
   let body = enrichedAction?.body || enrichedAction?.payload || enrichedAction?.data || null;
 
-  if (body && typeof body === 'object' && !(body instanceof Buffer)) {
+  // Actions with an `input` schema only ever receive a validated payload; the rules are shared with the core.
+  if (enrichedAction?.input && method !== 'GET' && method !== 'HEAD') {
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    body = JSON.stringify(prepareActionInput(enrichedAction, body ?? undefined));
+  } else if (body && typeof body === 'object' && !(body instanceof Buffer)) {
     headers['Content-Type'] = headers['Content-Type'] || 'application/json';
     body = JSON.stringify(body);
   } else if (!body && method !== 'GET' && method !== 'HEAD') {
@@ -748,6 +788,64 @@ const dispatchHttpAction = async (action, context = {}) => {
   };
 };
 
+const dispatchHttpActionLocally = async (action, context = {}) => {
+  assertActionConfirmed(localConfirmationLedger, action, {
+    deviceId,
+    input: action.body ?? action.payload ?? action.data,
+    confirmationToken: context.confirmationToken,
+  });
+  return dispatchHttpAction(action, context);
+};
+
+// Prefer the core's invocation proxy for registered actions so security, retries and logging live in one place.
+// Returns null when the core does not know the action or is unreachable; callers then dispatch locally.
+const invokeActionThroughCore = async (action, context = {}) => {
+  if (!action?.id) {
+    return null;
+  }
+
+  const input = action.body ?? action.payload ?? action.data;
+  let response;
+  try {
+    response = await fetch(`${coreSystemUrl}/actions/${encodeURIComponent(action.id)}/invoke`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input,
+        uriVariables: action.uriVariables,
+        deviceId,
+        context,
+        confirmationToken: context.confirmationToken,
+      }),
+    });
+  } catch (error) {
+    console.warn(`[Device] Core invocation proxy unavailable for '${action.id}':`, error.message);
+    return null;
+  }
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  const payload = await response.json().catch(() => ({}));
+  if (response.status === 428 || response.status === 403) {
+    const error = new Error(payload.error || `Core requires confirmation for action '${action.id}'.`);
+    error.confirmation = payload;
+    throw error;
+  }
+  if (response.status === 400) {
+    const error = new Error(payload.error || `Core rejected action '${action.id}'.`);
+    if (payload.code) {
+      error.validation = payload;
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(payload.error || `Core invocation of '${action.id}' failed with status ${response.status}`);
+  }
+  return payload;
+};
+
 const performExecutableAction = async (actionPayload, context = {}) => {
   if (actionPayload === undefined || actionPayload === null) {
     throw new Error('Missing action payload.');
@@ -806,7 +904,11 @@ const performExecutableAction = async (actionPayload, context = {}) => {
     || hasExecutableHints(resolvedAction);
 
   if (hasHttpDescriptor) {
-    const result = await dispatchHttpAction(resolvedAction, resolvedContext);
+    const invocation = await invokeActionThroughCore(resolvedAction, resolvedContext);
+    if (invocation) {
+      return { kind: 'core', invocation };
+    }
+    const result = await dispatchHttpActionLocally(resolvedAction, resolvedContext);
     return { kind: 'http', response: result };
   }
 
@@ -828,6 +930,15 @@ const describeActionResult = (result) => {
       return `Tool '${result.tool}' invoked successfully.`;
     case 'http':
       return `Forwarded request to remote endpoint (${result.response.status}).`;
+    case 'core':
+      if (Array.isArray(result.invocation.steps)) {
+        const succeeded = result.invocation.steps.filter((step) => step.ok).length;
+        return `Scene '${result.invocation.sceneId}' ${result.invocation.status} (${succeeded}/${result.invocation.steps.length} steps succeeded).`;
+      }
+      if (result.invocation.status === 'running') {
+        return `Action '${result.invocation.actionId}' started; waiting for it to finish.`;
+      }
+      return `Action '${result.invocation.actionId}' invoked via core (${result.invocation.httpStatus}).`;
     case 'command':
       return `Command '${result.command}' acknowledged.`;
     case 'noop':
@@ -845,8 +956,41 @@ app.post('/api/call-tool', async (req, res) => {
     );
     res.json(result);
   } catch (error) {
+    if (error.confirmation) {
+      return res.status(confirmationStatusCode(error.confirmation)).json(error.confirmation);
+    }
     console.error('Tool invocation failed:', error.message);
-    res.status(400).json({ error: error.message });
+    res.status(400).json(error.validation || { error: error.message });
+  }
+});
+
+// Long-running actions are tracked by the core; the UI queries or cancels them through this device API.
+const forwardActionInstanceRequest = (method) => async (req, res) => {
+  try {
+    const response = await fetch(`${coreSystemUrl}/action-instances/${encodeURIComponent(req.params.instanceId)}`, { method });
+    const payload = await response.json().catch(() => ({}));
+    res.status(response.status).json(payload);
+  } catch (error) {
+    console.error(`[Device] Failed to reach core for action instance '${req.params.instanceId}':`, error.message);
+    res.status(502).json({ error: 'Core system is unreachable.' });
+  }
+};
+
+app.get('/api/action-instances/:instanceId', forwardActionInstanceRequest('GET'));
+app.delete('/api/action-instances/:instanceId', forwardActionInstanceRequest('DELETE'));
+
+// The user declined a confirmation prompt; record it wherever the token was issued (locally or on the core).
+app.delete('/api/confirmations/:token', async (req, res) => {
+  const localEntry = localConfirmationLedger.decline(req.params.token);
+  if (localEntry) {
+    return res.json({ status: 'declined', audit: localEntry });
+  }
+  try {
+    const response = await fetch(`${coreSystemUrl}/safety/confirmations/${encodeURIComponent(req.params.token)}`, { method: 'DELETE' });
+    res.status(response.status).json(await response.json().catch(() => ({})));
+  } catch (error) {
+    console.error('[Device] Failed to report declined confirmation to core:', error.message);
+    res.status(502).json({ error: 'Core system is unreachable.' });
   }
 });
 
@@ -861,7 +1005,13 @@ app.post('/api/execute-action', async (req, res) => {
     const result = await performExecutableAction(action, context || {});
     res.json({ status: 'executed', message: describeActionResult(result), result });
   } catch (error) {
+    if (error.confirmation) {
+      return res.status(confirmationStatusCode(error.confirmation)).json(error.confirmation);
+    }
     console.error('Failed to execute action:', error.message);
+    if (error.validation) {
+      return res.status(400).json(error.validation);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -870,4 +1020,5 @@ app.listen(port, listenAddress, () => {
   console.log(`Smartphone device service listening at ${listenAddress}:${port} (public URL: ${devicePublicUrl})`);
   registerWithServiceRegistry();
   registerWithCoreSystem();
+  setInterval(sendHeartbeats, HEARTBEAT_INTERVAL_MS);
 });
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The renderer applies UI patches with the dependency-free helpers in packages/shared.
+  server: {
+    fs: {
+      allow: ['.', '../shared'],
+    },
+  },
 })
@@ -4,7 +4,7 @@ import cors from 'cors';
 import { PORT, LISTEN_ADDRESS, PUBLIC_URL } from './src/config.js';
 import { seedKnowledgeBase, loadDocuments } from './src/store.js';
 import router from './src/routes.js';
-import { registerWithServiceRegistry } from './src/service.js';
+import { registerWithServiceRegistry, startHeartbeat } from './src/service.js';
 
 const app = express();
 app.use(express.json());
@@ -17,4 +17,5 @@ app.listen(PORT, LISTEN_ADDRESS, () => {
   loadDocuments();
   seedKnowledgeBase();
   registerWithServiceRegistry();
+  startHeartbeat();
 });
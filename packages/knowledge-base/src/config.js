@@ -8,6 +8,7 @@ export const PORT = Number.parseInt(process.env.KNOWLEDGE_BASE_PORT || '3005', 1
 export const LISTEN_ADDRESS = process.env.BIND_ADDRESS || '0.0.0.0';
 export const SERVICE_REGISTRY_URL = process.env.SERVICE_REGISTRY_URL || 'http://core-system:3000';
 export const PUBLIC_URL = process.env.KNOWLEDGE_BASE_PUBLIC_URL || `http://knowledge-base:${PORT}`;
+export const HEARTBEAT_INTERVAL_MS = Number.parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
 
 // LLM Configuration
 export const LLM_ENDPOINT = process.env.LLM_ENDPOINT || 'http://host.docker.internal:1234/v1/chat/completions';
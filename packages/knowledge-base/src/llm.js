@@ -484,7 +484,7 @@ try {
 
 // ---- Agent Execution ----
 
-export async function runAgent({ prompt, thingDescription, capabilities = [], uiSchema = {}, capabilityData, missingCapabilities, device, deviceId, selection, thingActions = [], availableThings = [] }) {
+export async function runAgent({ prompt, thingDescription, capabilities = [], uiSchema = {}, capabilityData, missingCapabilities, device, deviceId, selection, thingActions = [], thingProperties = [], thingEvents = [], availableThings = [] }) {
   const availableComponents = uiSchema.components || {};
   const availableComponentNames = Object.keys(availableComponents);
   const availableTools = uiSchema.tools || {};
@@ -508,6 +508,8 @@ export async function runAgent({ prompt, thingDescription, capabilities = [], ui
     device,
     uiContext: uiSchema.context,
     thingActions,
+    thingProperties,
+    thingEvents,
     availableThings,
   });
 
@@ -657,7 +659,16 @@ export async function runAgent({ prompt, thingDescription, capabilities = [], ui
       const intentAliases = Array.isArray(action.metadata?.intentAliases) && action.metadata.intentAliases.length > 0
         ? `Intent aliases: ${action.metadata.intentAliases.join(', ')}. `
         : '';
-      return `- ${action.title || action.name || action.id} (id: ${action.id}) — ${action.description || 'No description provided.'} ${capability}${intentAliases}Invoke via ${method} ${url}.`;
+      const safety = action.safety?.requiresConfirmation ? 'HAZARDOUS — requires user confirmation. ' : '';
+      const uriVariables = action.metadata?.uriVariables && typeof action.metadata.uriVariables === 'object'
+        ? `URI variables (set \`action.uriVariables\`): ${Object.entries(action.metadata.uriVariables)
+          .map(([name, schema]) => `${name} (${Array.isArray(schema?.enum) ? `one of ${schema.enum.join('/')}` : schema?.type || 'string'})`)
+          .join(', ')}. `
+        : '';
+      const scene = action.type === 'scene' && Array.isArray(action.metadata?.scene?.steps)
+        ? `Scene (${action.metadata.scene.mode}) running ${action.metadata.scene.steps.map((step) => step.actionId).join(', ')} in one press. `
+        : '';
+      return `- ${action.title || action.name || action.id} (id: ${action.id}) — ${action.description || 'No description provided.'} ${capability}${intentAliases}${uriVariables}${scene}${safety}Invoke via ${method} ${url}.`;
     }).join('\n');
 
     messages.push({
@@ -667,6 +678,20 @@ ${actionSummaries}
 Reference the action id in generated components so downstream services can invoke them without hard-coding transport details. If you introduce a higher-level control, you must map it to either an existing action id or one of the documented intent aliases—do NOT invent new command names or payload shapes.`,
     });
 
+    if (thingActions.some((action) => action.safety?.requiresConfirmation)) {
+      messages.push({
+        role: 'system',
+        content: 'Actions marked HAZARDOUS must use the confirmation pattern: bind them with an action object `{ "id": <action id>, "confirmation": { "title": ..., "message": ..., "confirmLabel": ... } }` whose message tells the user what will physically happen. Never place hazardous actions on toggles, sliders or auto-triggered controls; use a clearly labelled button.',
+      });
+    }
+
+    if (thingActions.some((action) => action.type === 'scene')) {
+      messages.push({
+        role: 'system',
+        content: 'Scenes combine actions across Things (for example "all off"). When the user asks for something a scene covers, bind one button to the scene id instead of adding a separate control per step; scenes take no payload.',
+      });
+    }
+
   } else if (Array.isArray(availableThings) && availableThings.length > 0) {
     messages.push({
       role: 'system',
@@ -674,6 +699,38 @@ Reference the action id in generated components so downstream services can invok
     });
   }
 
+  if (Array.isArray(thingProperties) && thingProperties.length > 0) {
+    const propertySummaries = thingProperties.map((property) => {
+      const transport = property.transport || {};
+      const url = transport.url || 'unknown endpoint';
+      const access = property.readOnly ? 'read-only' : property.writeOnly ? 'write-only' : 'read/write';
+      const valueType = property.schema?.type ? `Type: ${property.schema.type}${Array.isArray(property.schema.enum) ? ` (${property.schema.enum.join(' | ')})` : ''}. ` : '';
+      const unit = property.schema?.unit ? `Unit: ${property.schema.unit}. ` : '';
+      return `- ${property.title || property.name} (id: ${property.id}, thingId: ${property.thingId}) — ${property.description || 'No description provided.'} ${access}${property.observable ? ', observable' : ''}. ${valueType}${unit}Read via ${transport.method || 'GET'} ${url}.`;
+    }).join('\n');
+
+    messages.push({
+      role: 'system',
+      content: `The Things expose these WoT properties (live state):
+${propertySummaries}
+Bind statusCard and text components to real data by setting \`propertyId\` (and \`thingId\`) on the component to one of these property ids; the device replaces the card's \`value\` or the text with the property's current value and keeps it up to date. Still set \`value\`/\`text\` to the current reading as a placeholder. Never invent property ids.`,
+    });
+  }
+
+  if (Array.isArray(thingEvents) && thingEvents.length > 0) {
+    const eventSummaries = thingEvents.map((event) => {
+      const payload = event.data?.type ? `Payload type: ${event.data.type}. ` : '';
+      return `- ${event.title || event.name} (id: ${event.id}, thingId: ${event.thingId}) — ${event.description || 'No description provided.'} ${payload}`;
+    }).join('\n');
+
+    messages.push({
+      role: 'system',
+      content: `The Things emit these WoT events:
+${eventSummaries}
+Set \`eventId\` on a statusCard or text component that should show the latest occurrence of one of these events; the device updates it whenever the event fires. Never invent event ids.`,
+    });
+  }
+
   if (Array.isArray(availableThings) && availableThings.length > 0) {
     const availableThingSummary = availableThings.map((thing) => {
       const label = thing.title || thing.metadata?.deviceType || thing.id;
@@ -714,6 +771,8 @@ Reference the action id in generated components so downstream services can invok
     missingCapabilities,
     selection,
     thingActions,
+    thingProperties,
+    thingEvents,
     availableThings,
   };
 
@@ -35,7 +35,7 @@ export const cosineSimilarity = (vectorA, vectorB) => {
 };
 
 // Quick-n-dirty TF/IDF scorer that pulls requirement snippets relevant to the current prompt/context bundle.
-export const retrieveRelevantDocuments = (documents, { prompt, thingDescription, capabilityData, capabilities, missingCapabilities, device, uiContext, thingActions, availableThings }) => {
+export const retrieveRelevantDocuments = (documents, { prompt, thingDescription, capabilityData, capabilities, missingCapabilities, device, uiContext, thingActions, thingProperties, thingEvents, availableThings }) => {
   if (!Array.isArray(documents) || documents.length === 0) return [];
 
   const querySegments = [];
@@ -64,6 +64,12 @@ export const retrieveRelevantDocuments = (documents, { prompt, thingDescription,
   if (Array.isArray(thingActions) && thingActions.length > 0) {
     querySegments.push(JSON.stringify({ thingActions }));
   }
+  if (Array.isArray(thingProperties) && thingProperties.length > 0) {
+    querySegments.push(JSON.stringify({ thingProperties }));
+  }
+  if (Array.isArray(thingEvents) && thingEvents.length > 0) {
+    querySegments.push(JSON.stringify({ thingEvents }));
+  }
   if (Array.isArray(availableThings) && availableThings.length > 0) {
     querySegments.push(JSON.stringify({ availableThings }));
   }
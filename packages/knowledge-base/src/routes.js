@@ -1,6 +1,6 @@
 import express from 'express';
 import { Buffer } from 'buffer';
-import { addDocument, getDocuments } from './store.js';
+import { addDocument, getDocuments, getDocumentsRevision } from './store.js';
 import { resolveLlmConfiguration, runDeviceSelection, runAgent } from './llm.js';
 import { ensureActionBindings } from './ui-binding.js';
 
@@ -15,11 +15,11 @@ const encodeHeaderPayload = (payload) => {
 };
 
 router.get('/health', (_req, res) => {
-  res.json({ status: 'ok', documents: getDocuments().length });
+  res.json({ status: 'ok', documents: getDocuments().length, revision: getDocumentsRevision() });
 });
 
 router.get('/documents', (req, res) => {
-  res.json({ count: getDocuments().length, documents: getDocuments() });
+  res.json({ count: getDocuments().length, revision: getDocumentsRevision(), documents: getDocuments() });
 });
 
 router.post('/documents', (req, res) => {
@@ -90,7 +90,7 @@ router.get('/debug/last-device-selection', (req, res) => {
 
 // Main UI-generation entrypoint: core submits schema/actions, KB returns the LLM-crafted UI JSON.
 router.post('/query', async (req, res) => {
-  const { prompt, thingDescription, capabilities, schema, capabilityData, missingCapabilities, device, deviceId, selection, thingActions, availableThings } = req.body;
+  const { prompt, thingDescription, capabilities, schema, capabilityData, missingCapabilities, device, deviceId, selection, thingActions, thingProperties, thingEvents, availableThings } = req.body;
   console.log('[KB] /query invoked', {
     promptPreview: typeof prompt === 'string' ? `${prompt.slice(0, 60)}${prompt.length > 60 ? '…' : ''}` : null,
     capabilities,
@@ -109,6 +109,8 @@ router.post('/query', async (req, res) => {
       deviceId,
       selection,
       thingActions,
+      thingProperties,
+      thingEvents,
       availableThings,
     });
 
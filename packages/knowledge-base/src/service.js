@@ -1,5 +1,5 @@
 import fetch from 'node-fetch';
-import { SERVICE_REGISTRY_URL, PUBLIC_URL } from './config.js';
+import { SERVICE_REGISTRY_URL, PUBLIC_URL, HEARTBEAT_INTERVAL_MS } from './config.js';
 
 export const registerWithServiceRegistry = async () => {
   try {
@@ -21,3 +21,17 @@ export const registerWithServiceRegistry = async () => {
     console.error('[Registry] Failed to register with service registry:', error.message);
   }
 };
+
+// A 404 means the registry forgot us (restart or eviction), so register again.
+export const sendHeartbeat = async () => {
+  try {
+    const response = await fetch(`${SERVICE_REGISTRY_URL}/heartbeat/service/knowledge-base`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithServiceRegistry();
+    }
+  } catch (error) {
+    console.error('[Registry] Heartbeat failed:', error.message);
+  }
+};
+
+export const startHeartbeat = () => setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
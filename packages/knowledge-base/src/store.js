@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
 import { DATA_FILE } from './config.js';
 import { tokenize, buildTermFrequency } from './rag.js';
 
@@ -78,6 +79,12 @@ export const addDocument = ({ id, content, metadata = {}, tags = [] }) => {
 
 export const getDocuments = () => documents;
 
+// Changes whenever a document is added or updated; the core uses it to tell whether a cached UI saw the same documents.
+export const getDocumentsRevision = () => createHash('sha256')
+  .update(documents.map((doc) => `${doc.id}@${doc.updatedAt}`).sort().join('\n'))
+  .digest('hex')
+  .slice(0, 16);
+
 const seedDocuments = [
   {
     id: 'modality-guideline-hands-occupied',
@@ -17,7 +17,8 @@ const cloneActionDescriptor = (action = {}) => {
   const descriptor = {
     type: action.type || 'thingAction',
     id: action.id,
-    thingId: action.thingId || deriveThingIdFromActionId(action.id),
+    // Scenes span several Things, so they carry no thingId of their own.
+    thingId: action.type === 'scene' ? null : action.thingId || deriveThingIdFromActionId(action.id),
   };
 
   if (action.name) descriptor.name = action.name;
@@ -27,10 +28,31 @@ const cloneActionDescriptor = (action = {}) => {
   if (action.transport) descriptor.transport = JSON.parse(JSON.stringify(action.transport));
   if (action.forms) descriptor.forms = JSON.parse(JSON.stringify(action.forms));
   if (action.headers) descriptor.headers = JSON.parse(JSON.stringify(action.headers));
+  if (action.safety) descriptor.safety = { ...action.safety };
 
   return descriptor;
 };
 
+// Confirmation pattern for hazardous actions: the bound action carries the copy the device shows before it sends the
+// confirm token back. Text the LLM already wrote is kept; the core enforces the token either way.
+const applyConfirmationPattern = (boundAction, knownAction) => {
+  const safety = knownAction?.safety || boundAction?.safety;
+  if (!boundAction || typeof boundAction !== 'object' || !safety?.requiresConfirmation) {
+    return;
+  }
+
+  const label = knownAction?.title || knownAction?.name || boundAction.title || boundAction.id;
+  const existing = boundAction.confirmation && typeof boundAction.confirmation === 'object' ? boundAction.confirmation : {};
+  boundAction.safety = { ...safety };
+  boundAction.confirmation = {
+    required: true,
+    level: safety.level,
+    title: existing.title || `Confirm ${label}`,
+    message: existing.message || `${label} is a hazardous action. Make sure the area is clear before continuing.`,
+    confirmLabel: existing.confirmLabel || 'Run anyway',
+  };
+};
+
 const traverseComponents = (node, visitor) => {
   const seen = new Set();
   const visit = (element) => {
@@ -132,7 +154,11 @@ export const ensureActionBindings = (uiDefinition, { thingActions = [], fallback
   }
 
   const actionsByThingId = new Map();
+  const sceneActions = actions.filter((action) => action.type === 'scene');
   actions.forEach((action) => {
+    if (action.type === 'scene') {
+      return;
+    }
     const thingId = action.thingId || deriveThingIdFromActionId(action.id) || fallbackThingId;
     if (!thingId) {
       return;
@@ -152,6 +178,7 @@ export const ensureActionBindings = (uiDefinition, { thingActions = [], fallback
         if (!props.action.thingId && fallbackThingId) {
             props.action.thingId = fallbackThingId;
         }
+        applyConfirmationPattern(props.action, actions.find((action) => action.id === props.action.id));
         if (!component.action) {
             component.action = props.action;
         }
@@ -166,7 +193,7 @@ export const ensureActionBindings = (uiDefinition, { thingActions = [], fallback
       || null;
 
     const candidateActions = resolvedThingId && actionsByThingId.has(resolvedThingId)
-      ? actionsByThingId.get(resolvedThingId)
+      ? [...actionsByThingId.get(resolvedThingId), ...sceneActions]
       : actions;
 
     const inferred = resolveActionForComponent({
@@ -178,6 +205,7 @@ export const ensureActionBindings = (uiDefinition, { thingActions = [], fallback
 
     if (inferred) {
       const descriptor = cloneActionDescriptor(inferred) || inferred;
+      applyConfirmationPattern(descriptor, inferred);
       props.action = descriptor;
       if (!component.action) {
         component.action = descriptor;
@@ -0,0 +1,266 @@
+// Shared rule set for WoT action input: validates an invocation payload against the action's `input` DataSchema,
+// coercing loosely typed values and filling in defaults. The core and every device API import this module so a
+// payload is accepted, coerced or rejected identically wherever an action is invoked.
+
+export const ACTION_INPUT_ERROR_CODE = 'ACTION_INPUT_INVALID';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const deepEqual = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+// Coercion follows Ajv's `coerceTypes: 'array'` rules: numeric strings, "true"/"false", scalars to strings and
+// scalars to single-item arrays. UI controls often submit strings, so "3" must become 3 before it reaches the Thing.
+const coerceToType = (value, type) => {
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      let numeric = null;
+      if (typeof value === 'string' && value.trim() !== '') numeric = Number(value);
+      if (typeof value === 'boolean') numeric = value ? 1 : 0;
+      if (numeric === null || !Number.isFinite(numeric) || (type === 'integer' && !Number.isInteger(numeric))) {
+        return { ok: false };
+      }
+      return { ok: true, value: numeric };
+    }
+    case 'boolean':
+      if (value === 'true' || value === 1) return { ok: true, value: true };
+      if (value === 'false' || value === 0) return { ok: true, value: false };
+      return { ok: false };
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+      return { ok: false };
+    case 'null':
+      if (value === '' || value === 'null') return { ok: true, value: null };
+      return { ok: false };
+    case 'array':
+      if (value !== undefined && !Array.isArray(value) && !isPlainObject(value)) return { ok: true, value: [value] };
+      return { ok: false };
+    default:
+      return { ok: false };
+  }
+};
+
+const pushError = (errors, path, keyword, message, params = {}) => {
+  errors.push({ path: path || '/', keyword, message, params });
+};
+
+const joinPath = (path, segment) => `${path}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+const validateNode = (schema, input, path, errors, options) => {
+  if (!isPlainObject(schema)) {
+    return input;
+  }
+
+  let value = input;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      const coerced = options.coerce
+        ? types.map((type) => coerceToType(value, type)).find((attempt) => attempt.ok)
+        : null;
+      if (!coerced) {
+        pushError(errors, path, 'type', `must be ${types.join(' or ')} (received ${describeType(value)})`, { type: types });
+        return value;
+      }
+      value = coerced.value;
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    pushError(errors, path, 'const', `must be equal to ${JSON.stringify(schema.const)}`, { allowedValue: schema.const });
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((candidate) => deepEqual(candidate, value))) {
+    pushError(errors, path, 'enum', `must be one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}`, { allowedValues: schema.enum });
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      pushError(errors, path, 'minimum', `must be >= ${schema.minimum}`, { limit: schema.minimum });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      pushError(errors, path, 'maximum', `must be <= ${schema.maximum}`, { limit: schema.maximum });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      pushError(errors, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      pushError(errors, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`, { limit: schema.exclusiveMaximum });
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        pushError(errors, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf });
+      }
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      pushError(errors, path, 'minLength', `must have at least ${schema.minLength} characters`, { limit: schema.minLength });
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      pushError(errors, path, 'maxLength', `must have at most ${schema.maxLength} characters`, { limit: schema.maxLength });
+    }
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          pushError(errors, path, 'pattern', `must match pattern "${schema.pattern}"`, { pattern: schema.pattern });
+        }
+      } catch {
+        // An invalid pattern is a schema problem, not an input problem; TD validation reports it at registration.
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      pushError(errors, path, 'minItems', `must have at least ${schema.minItems} items`, { limit: schema.minItems });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      pushError(errors, path, 'maxItems', `must have at most ${schema.maxItems} items`, { limit: schema.maxItems });
+    }
+    if (Array.isArray(schema.items)) {
+      value = value.map((item, index) => validateNode(schema.items[index], item, joinPath(path, index), errors, options));
+    } else if (isPlainObject(schema.items)) {
+      value = value.map((item, index) => validateNode(schema.items, item, joinPath(path, index), errors, options));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    const next = { ...value };
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (next[key] === undefined && options.useDefaults && propertySchema?.default !== undefined) {
+        next[key] = clone(propertySchema.default);
+      }
+      if (next[key] !== undefined) {
+        next[key] = validateNode(propertySchema, next[key], joinPath(path, key), errors, options);
+      }
+    });
+
+    (Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+      if (next[key] === undefined) {
+        pushError(errors, joinPath(path, key), 'required', 'is required', { missingProperty: key });
+      }
+    });
+
+    Object.keys(next)
+      .filter((key) => !(key in properties))
+      .forEach((key) => {
+        if (schema.additionalProperties === false) {
+          pushError(errors, joinPath(path, key), 'additionalProperties', 'is not an allowed property', { additionalProperty: key });
+        } else if (isPlainObject(schema.additionalProperties)) {
+          next[key] = validateNode(schema.additionalProperties, next[key], joinPath(path, key), errors, options);
+        }
+      });
+
+    value = next;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((branch) => {
+      value = validateNode(branch, value, path, errors, options);
+    });
+  }
+
+  // Combinators keep the value produced by the first matching branch so its coercions and defaults apply.
+  const branchResults = (branches) => branches.map((branch) => {
+    const branchErrors = [];
+    const branchValue = validateNode(branch, clone(value), path, branchErrors, options);
+    return { valid: branchErrors.length === 0, value: branchValue };
+  });
+
+  if (Array.isArray(schema.anyOf)) {
+    const match = branchResults(schema.anyOf).find((result) => result.valid);
+    if (match) {
+      value = match.value;
+    } else {
+      pushError(errors, path, 'anyOf', 'must match at least one of the allowed schemas');
+    }
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = branchResults(schema.oneOf).filter((result) => result.valid);
+    if (matches.length === 1) {
+      value = matches[0].value;
+    } else {
+      pushError(errors, path, 'oneOf', `must match exactly one of the allowed schemas (matched ${matches.length})`, { passingSchemas: matches.length });
+    }
+  }
+
+  return value;
+};
+
+// Returns `{ valid, value, errors }`; `value` is the coerced, defaulted payload to send to the Thing.
+export const validateActionInput = (schema, payload, { coerce = true, useDefaults = true } = {}) => {
+  if (!isPlainObject(schema) || Object.keys(schema).length === 0) {
+    return { valid: true, value: payload, errors: [] };
+  }
+
+  const options = { coerce, useDefaults };
+  const errors = [];
+  let value = payload;
+
+  if (value === undefined || value === null) {
+    if (useDefaults && schema.default !== undefined) {
+      value = clone(schema.default);
+    } else if (schema.type === 'object') {
+      // A missing body for an object input is an empty object, so property defaults and `required` still apply.
+      value = {};
+    } else if (value === undefined) {
+      pushError(errors, '/', 'required', 'input is required');
+      return { valid: false, value, errors };
+    }
+  }
+
+  value = validateNode(schema, value, '', errors, options);
+  return { valid: errors.length === 0, value, errors };
+};
+
+// Uniform failure body returned by the core and the device APIs (HTTP 400).
+export const describeActionInputFailure = (actionId, errors = []) => ({
+  error: `Invalid input for action '${actionId || 'unknown'}': ${errors.map((entry) => `${entry.path} ${entry.message}`).join('; ')}`,
+  code: ACTION_INPUT_ERROR_CODE,
+  actionId: actionId || null,
+  errors,
+});
+
+// Validate `payload` against `action.input`, returning the payload to send or throwing an Error with `validation` attached.
+export const prepareActionInput = (action = {}, payload, options = {}) => {
+  const result = validateActionInput(action?.input, payload, options);
+  if (!result.valid) {
+    const failure = describeActionInputFailure(action?.id, result.errors);
+    const error = new Error(failure.error);
+    error.validation = failure;
+    throw error;
+  }
+  return result.value;
+};
@@ -0,0 +1,183 @@
+import { randomUUID } from 'crypto';
+
+// Shared safety rules for WoT actions: how a descriptor's safety level is resolved and the two-step confirmation
+// that hazardous actions need before dispatch. The core and the device APIs use the same ledger so a token is issued,
+// redeemed and audited identically wherever the action is dispatched.
+
+export const SAFETY_LEVELS = ['safe', 'normal', 'hazardous'];
+export const CONFIRMATION_REQUIRED_CODE = 'CONFIRMATION_REQUIRED';
+export const CONFIRMATION_INVALID_CODE = 'CONFIRMATION_INVALID';
+
+const normalizeLevel = (value) => {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  return SAFETY_LEVELS.includes(normalized) ? normalized : null;
+};
+
+// Registry overrides win over what the TD declares (`metadata.safetyLevel`); TD `safe: true` actions default to `safe`.
+export const resolveActionSafety = (descriptor = {}, override = null) => {
+  const overridden = normalizeLevel(override);
+  // Cached descriptors remember what the TD declared so an override can be lifted again.
+  const declaredByDescriptor = descriptor.safety && 'declaredLevel' in descriptor.safety
+    ? descriptor.safety.declaredLevel
+    : descriptor.safety?.level;
+  const declared = normalizeLevel(declaredByDescriptor)
+    || normalizeLevel(descriptor.metadata?.safetyLevel)
+    || normalizeLevel(descriptor.safetyLevel);
+  const level = overridden || declared || (descriptor.annotations?.safe ? 'safe' : 'normal');
+  return {
+    level,
+    declaredLevel: declared,
+    source: overridden ? 'override' : declared ? 'thing-description' : 'default',
+    requiresConfirmation: level === 'hazardous',
+  };
+};
+
+export const requiresConfirmation = (action) => Boolean(action?.safety?.requiresConfirmation);
+
+export const describeConfirmationPrompt = (action = {}) => {
+  const label = action.title || action.name || action.id || 'this action';
+  const thing = action.metadata?.thingTitle ? ` on ${action.metadata.thingTitle}` : '';
+  return `'${label}'${thing} is marked hazardous. Confirm to run it.`;
+};
+
+// JSON with sorted keys, so the same input always binds to the same token regardless of key order.
+const fingerprint = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(fingerprint).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${fingerprint(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Tokens are single-use and bound to the action, the requesting device and the exact input that was confirmed.
+export const createConfirmationLedger = ({ ttlMs = 60000, auditSize = 500, source = 'core', onDecision } = {}) => {
+  const pendingConfirmations = new Map(); // token -> { actionId, deviceId, inputFingerprint, expiresAt }
+  const auditLog = [];
+
+  const audit = ({ action, deviceId, decision, reason = null, token = null }) => {
+    const entry = {
+      id: randomUUID(),
+      at: new Date().toISOString(),
+      source,
+      actionId: action?.id || null,
+      thingId: action?.thingId || null,
+      deviceId: deviceId || null,
+      level: action?.safety?.level || null,
+      decision,
+      reason,
+      token,
+    };
+    auditLog.push(entry);
+    if (auditLog.length > auditSize) {
+      auditLog.shift();
+    }
+    if (typeof onDecision === 'function') {
+      onDecision(entry);
+    }
+    return entry;
+  };
+
+  const pruneExpired = () => {
+    const now = Date.now();
+    pendingConfirmations.forEach((entry, token) => {
+      if (entry.expiresAt <= now) {
+        pendingConfirmations.delete(token);
+      }
+    });
+  };
+
+  const issue = ({ action, deviceId, input }) => {
+    pruneExpired();
+    const token = randomUUID();
+    const expiresAt = Date.now() + ttlMs;
+    pendingConfirmations.set(token, {
+      actionId: action.id,
+      deviceId: deviceId || null,
+      inputFingerprint: fingerprint(input),
+      expiresAt,
+    });
+    audit({ action, deviceId, decision: 'confirmation-requested', token });
+    return {
+      error: `Action '${action.id}' requires confirmation before it runs.`,
+      code: CONFIRMATION_REQUIRED_CODE,
+      actionId: action.id,
+      level: action.safety?.level || 'hazardous',
+      token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      prompt: action.confirmation?.message || describeConfirmationPrompt(action),
+    };
+  };
+
+  const redeem = (token, { action, deviceId, input }) => {
+    const entry = pendingConfirmations.get(token);
+    pendingConfirmations.delete(token);
+
+    let reason = null;
+    if (!entry) {
+      reason = 'Unknown or already used confirmation token.';
+    } else if (entry.expiresAt <= Date.now()) {
+      reason = 'Confirmation token expired.';
+    } else if (entry.actionId !== action.id) {
+      reason = 'Confirmation token was issued for a different action.';
+    } else if (entry.deviceId !== (deviceId || null)) {
+      reason = 'Confirmation token was issued to a different device.';
+    } else if (entry.inputFingerprint !== fingerprint(input)) {
+      reason = 'Action input changed after confirmation was requested.';
+    }
+
+    audit({ action, deviceId, decision: reason ? 'rejected' : 'confirmed', reason, token });
+    return reason ? { ok: false, reason } : { ok: true };
+  };
+
+  const decline = (token, { reason = 'Declined by user.' } = {}) => {
+    const entry = pendingConfirmations.get(token);
+    if (!entry) {
+      return null;
+    }
+    pendingConfirmations.delete(token);
+    return audit({ action: { id: entry.actionId }, deviceId: entry.deviceId, decision: 'declined', reason, token });
+  };
+
+  const listAudit = ({ actionId, deviceId, decision, limit } = {}) => {
+    const matches = auditLog
+      .filter((entry) => !actionId || entry.actionId === actionId)
+      .filter((entry) => !deviceId || entry.deviceId === deviceId)
+      .filter((entry) => !decision || entry.decision === decision);
+    return Number.isFinite(limit) ? matches.slice(-limit) : matches;
+  };
+
+  return { issue, redeem, decline, listAudit };
+};
+
+// Gate a dispatch: returns when the action may run, otherwise throws an Error with `confirmation` attached
+// (a fresh token when none was supplied, the rejection reason when the supplied one is not valid).
+export const assertActionConfirmed = (ledger, action, { deviceId, input, confirmationToken } = {}) => {
+  if (!requiresConfirmation(action)) {
+    return;
+  }
+
+  if (!confirmationToken) {
+    const confirmation = ledger.issue({ action, deviceId, input });
+    const error = new Error(confirmation.error);
+    error.confirmation = confirmation;
+    throw error;
+  }
+
+  const outcome = ledger.redeem(confirmationToken, { action, deviceId, input });
+  if (!outcome.ok) {
+    const error = new Error(`Confirmation for action '${action.id}' was rejected: ${outcome.reason}`);
+    error.confirmation = {
+      error: error.message,
+      code: CONFIRMATION_INVALID_CODE,
+      actionId: action.id,
+      reason: outcome.reason,
+    };
+    throw error;
+  }
+};
+
+// HTTP status for a confirmation failure: 428 asks the caller to retry with the token, 403 rejects the attempt.
+export const confirmationStatusCode = (confirmation) => (confirmation?.code === CONFIRMATION_REQUIRED_CODE ? 428 : 403);
@@ -0,0 +1,27 @@
+// Turns Thing property values and event payloads into short display strings. The core's fallback UI and the renderers'
+// live-bound components use it, so a value reads the same whether it was baked into a UI or pushed afterwards.
+
+export const DEFAULT_VOLATILE_FIELDS = ['timestamp', 'updatedAt', 'receivedAt', 'generatedAt'];
+
+// Long samples (LiDAR sweeps) are cut so a card stays readable.
+const MAX_LISTED_VALUES = 6;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const formatDisplayValue = (value, { volatileFields = DEFAULT_VOLATILE_FIELDS } = {}) => {
+  const format = (entry) => formatDisplayValue(entry, { volatileFields });
+  if (typeof value === 'boolean') {
+    return value ? 'On' : 'Off';
+  }
+  if (Array.isArray(value)) {
+    const listed = value.slice(0, MAX_LISTED_VALUES).map(format).join(', ');
+    return value.length > MAX_LISTED_VALUES ? `${listed}, …` : listed;
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value)
+      .filter(([key]) => !volatileFields.includes(key))
+      .map(([key, entry]) => `${key}: ${format(entry)}`)
+      .join(', ');
+  }
+  return value === undefined || value === null ? '' : String(value);
+};
@@ -0,0 +1,162 @@
+// RFC 6902 JSON Patch for plain JSON trees. The core diffs consecutive UI definitions of a device and the renderers
+// apply the result. `createJsonPatch` emits `add`, `remove` and `replace`; `applyJsonPatch` also understands `test`
+// and never mutates its input: untouched subtrees keep their identity, so renderers only re-render what changed.
+
+const escapePointerToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointerToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+export const jsonEqual = (left, right) => {
+  if (left === right) {
+    return true;
+  }
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((entry, index) => jsonEqual(entry, right[index]));
+  }
+  if (isPlainObject(left) && isPlainObject(right)) {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length
+      && keys.every((key) => hasOwn(right, key) && jsonEqual(left[key], right[key]));
+  }
+  return false;
+};
+
+// Arrays are compared index by index: an insertion near the front yields many replaces, which is why the core falls
+// back to a full snapshot when the patch is not smaller than the tree itself.
+const diffInto = (operations, path, previous, next) => {
+  if (jsonEqual(previous, next)) {
+    return;
+  }
+  if (Array.isArray(previous) && Array.isArray(next)) {
+    const shared = Math.min(previous.length, next.length);
+    for (let index = 0; index < shared; index += 1) {
+      diffInto(operations, `${path}/${index}`, previous[index], next[index]);
+    }
+    for (let index = previous.length - 1; index >= next.length; index -= 1) {
+      operations.push({ op: 'remove', path: `${path}/${index}` });
+    }
+    for (let index = previous.length; index < next.length; index += 1) {
+      operations.push({ op: 'add', path: `${path}/${index}`, value: next[index] });
+    }
+    return;
+  }
+  if (isPlainObject(previous) && isPlainObject(next)) {
+    Object.keys(previous).forEach((key) => {
+      if (!hasOwn(next, key)) {
+        operations.push({ op: 'remove', path: `${path}/${escapePointerToken(key)}` });
+      }
+    });
+    Object.keys(next).forEach((key) => {
+      const childPath = `${path}/${escapePointerToken(key)}`;
+      if (hasOwn(previous, key)) {
+        diffInto(operations, childPath, previous[key], next[key]);
+      } else {
+        operations.push({ op: 'add', path: childPath, value: next[key] });
+      }
+    });
+    return;
+  }
+  operations.push({ op: 'replace', path, value: next });
+};
+
+export const createJsonPatch = (previous, next) => {
+  const operations = [];
+  diffInto(operations, '', previous, next);
+  return operations;
+};
+
+const parsePointer = (pointer) => {
+  if (pointer === '') {
+    return [];
+  }
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer '${pointer}'.`);
+  }
+  return pointer.slice(1).split('/').map(unescapePointerToken);
+};
+
+const resolveArrayIndex = (array, token, operation, allowEnd) => {
+  const index = token === '-' && allowEnd ? array.length : Number(token);
+  const limit = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9][0-9]*|-)$/.test(token) || !Number.isInteger(index) || index > limit) {
+    throw new Error(`Array index '${token}' is out of range for '${operation.op}' at '${operation.path}'.`);
+  }
+  return index;
+};
+
+const applyOperation = (node, tokens, operation) => {
+  if (tokens.length === 0) {
+    if (operation.op === 'remove') {
+      return undefined;
+    }
+    if (operation.op === 'test') {
+      if (!jsonEqual(node, operation.value)) {
+        throw new Error(`Test failed at '${operation.path}'.`);
+      }
+      return node;
+    }
+    return operation.value;
+  }
+
+  const [token, ...rest] = tokens;
+  const isLast = rest.length === 0;
+
+  if (Array.isArray(node)) {
+    const index = resolveArrayIndex(node, token, operation, isLast && operation.op === 'add');
+    const copy = node.slice();
+    if (!isLast) {
+      copy[index] = applyOperation(node[index], rest, operation);
+    } else if (operation.op === 'add') {
+      copy.splice(index, 0, operation.value);
+    } else if (operation.op === 'remove') {
+      copy.splice(index, 1);
+    } else if (operation.op === 'test') {
+      applyOperation(node[index], rest, operation);
+      return node;
+    } else {
+      copy[index] = operation.value;
+    }
+    return copy;
+  }
+
+  if (isPlainObject(node)) {
+    if (!hasOwn(node, token) && !(isLast && operation.op === 'add')) {
+      throw new Error(`Path '${operation.path}' does not exist for '${operation.op}'.`);
+    }
+    if (!isLast) {
+      return { ...node, [token]: applyOperation(node[token], rest, operation) };
+    }
+    if (operation.op === 'remove') {
+      const copy = { ...node };
+      delete copy[token];
+      return copy;
+    }
+    if (operation.op === 'test') {
+      applyOperation(node[token], rest, operation);
+      return node;
+    }
+    return { ...node, [token]: operation.value };
+  }
+
+  throw new Error(`Path '${operation.path}' does not exist for '${operation.op}'.`);
+};
+
+const SUPPORTED_OPERATIONS = ['add', 'remove', 'replace', 'test'];
+
+// Throws on the first operation that does not apply; the document passed in is left untouched either way.
+export const applyJsonPatch = (document, patch) => {
+  if (!Array.isArray(patch)) {
+    throw new Error('A JSON Patch must be an array of operations.');
+  }
+  return patch.reduce((current, operation) => {
+    if (!operation || !SUPPORTED_OPERATIONS.includes(operation.op)) {
+      throw new Error(`Unsupported JSON Patch operation '${operation?.op}'.`);
+    }
+    if (operation.op !== 'remove' && !hasOwn(operation, 'value')) {
+      throw new Error(`'${operation.op}' at '${operation.path}' requires a value.`);
+    }
+    return applyOperation(current, parsePointer(operation.path), operation);
+  }, document);
+};
@@ -1,5 +1,7 @@
+import { randomUUID } from 'crypto';
 import express from 'express';
 import fetch from 'node-fetch';
+import { createGreenhouseMcpServer, createMcpHttpHandler } from './mcp-server.js';
 
 const app = express();
 const port = Number.parseInt(process.env.THINGS_PORT || '3006', 10);
@@ -7,6 +9,7 @@ const listenAddress = process.env.BIND_ADDRESS || '0.0.0.0';
 const serviceRegistryUrl = process.env.SERVICE_REGISTRY_URL || 'http://core-system:3000';
 const coreSystemUrl = process.env.CORE_SYSTEM_URL || 'http://core-system:3001';
 const thingsPublicUrl = process.env.THINGS_PUBLIC_URL || `http://things:${port}`;
+const heartbeatIntervalMs = Number.parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
 
 app.use(express.json());
 
@@ -21,6 +24,9 @@ const tractorThingUrn = 'urn:tractorbot_spock';
 
 const tractorBasePath = '/tractorbot';
 const tractorBaseUrl = `${thingsPublicUrl}${tractorBasePath}`;
+const sprinklerThingId = 'thing-garden-sprinkler';
+const sprinklerBasePath = '/sprinkler';
+const sprinklerBaseUrl = `${thingsPublicUrl}${sprinklerBasePath}`;
 
 const things = [
   {
@@ -238,14 +244,61 @@ const things = [
           ],
         },
       },
+      events: {
+        highTemperature: {
+          title: 'High Temperature',
+          description: 'Emitted when the motor temperature rises above the high temperature threshold.',
+          data: {
+            type: 'object',
+            properties: {
+              temperature: { type: 'number', unit: '°C' },
+              threshold: { type: 'number', unit: '°C' },
+            },
+          },
+          forms: [
+            {
+              href: '/events/hightemperature/subscribe',
+              op: ['subscribeevent'],
+              subprotocol: 'sse',
+              contentType: 'text/event-stream',
+              method: 'GET',
+            },
+          ],
+        },
+        lowBattery: {
+          title: 'Low Battery',
+          description: 'Emitted when the battery charge drops below the low battery threshold.',
+          data: {
+            type: 'object',
+            properties: {
+              percentage: { type: 'number', unit: '%' },
+              threshold: { type: 'number', unit: '%' },
+            },
+          },
+          forms: [
+            {
+              href: '/events/lowbattery/subscribe',
+              op: ['subscribeevent'],
+              subprotocol: 'sse',
+              contentType: 'text/event-stream',
+              method: 'GET',
+            },
+          ],
+        },
+      },
       actions: {
         setWheelControl: {
           description: 'Drive mecanum wheels with axis/speed/duration payload.',
           metadata: {
             capability: 'mobility.drive',
             scope: 'device',
+            safetyLevel: 'hazardous',
             intentAliases: ['tractor.drive', 'tractor.move', 'mobility.drive'],
           },
+          synchronous: false,
+          uriVariables: {
+            instanceId: { type: 'string', description: 'Id returned by the invocation for status queries and cancellation.' },
+          },
           forms: [
             {
               href: '/actions/wheelControl',
@@ -253,6 +306,18 @@ const things = [
               method: 'POST',
               contentType: 'application/json',
             },
+            {
+              href: '/actions/wheelControl/{instanceId}',
+              op: ['queryaction'],
+              method: 'GET',
+              contentType: 'application/json',
+            },
+            {
+              href: '/actions/wheelControl/{instanceId}',
+              op: ['cancelaction'],
+              method: 'DELETE',
+              contentType: 'application/json',
+            },
           ],
           input: {
             type: 'object',
@@ -261,6 +326,7 @@ const things = [
               axis: { type: 'integer', minimum: 0, maximum: 2 },
               speed: { type: 'integer', minimum: -7, maximum: 7 },
             },
+            required: ['duration', 'axis', 'speed'],
           },
         },
       },
@@ -274,6 +340,88 @@ const things = [
       firmwareVersion: '0.9.1',
     },
   },
+  {
+    id: sprinklerThingId,
+    // Described by an OpenAPI document instead of a TD; the core turns its operations into actions.
+    description: {
+      openapi: '3.0.3',
+      info: {
+        title: 'Garden Sprinkler',
+        version: '1.0.0',
+        description: 'Irrigation controller with two watering zones.',
+      },
+      servers: [{ url: sprinklerBaseUrl }],
+      paths: {
+        '/status': {
+          get: {
+            operationId: 'getStatus',
+            summary: 'Read zone status',
+            responses: {
+              200: { description: 'Current zone status', content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } } },
+            },
+          },
+        },
+        '/zones/{zoneId}/start': {
+          parameters: [{ name: 'zoneId', in: 'path', required: true, schema: { type: 'integer', enum: [1, 2] } }],
+          post: {
+            operationId: 'startZone',
+            summary: 'Start watering a zone',
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { durationMinutes: { type: 'integer', minimum: 1, maximum: 60, default: 10 } },
+                  },
+                },
+              },
+            },
+            responses: {
+              200: { description: 'Zone started', content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } } },
+              404: { description: 'Unknown zone' },
+            },
+          },
+        },
+        '/stop': {
+          post: {
+            operationId: 'stopAll',
+            summary: 'Stop all zones',
+            responses: {
+              200: { description: 'All zones stopped', content: { 'application/json': { schema: { $ref: '#/components/schemas/Status' } } } },
+            },
+          },
+        },
+      },
+      components: {
+        schemas: {
+          Status: {
+            type: 'object',
+            properties: {
+              zones: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer' },
+                    watering: { type: 'boolean' },
+                    until: { type: 'string', format: 'date-time', nullable: true },
+                  },
+                },
+              },
+              timestamp: { type: 'string', format: 'date-time' },
+            },
+          },
+        },
+      },
+    },
+    metadata: {
+      deviceType: 'sprinkler',
+      location: 'garden',
+      manufacturer: 'RainWorks',
+      model: 'Duo',
+    },
+  },
 ];
 
 const registerWithServiceRegistry = async () => {
@@ -296,18 +444,22 @@ const registerWithServiceRegistry = async () => {
   }
 };
 
+const registerThingWithCore = async (thing) => {
+  await fetch(`${coreSystemUrl}/register/thing`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      id: thing.id,
+      description: thing.description,
+      metadata: thing.metadata,
+    }),
+  });
+};
+
 const registerThingsWithCore = async () => {
   for (const thing of things) {
     try {
-      await fetch(`${coreSystemUrl}/register/thing`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          id: thing.id,
-          description: thing.description,
-          metadata: thing.metadata,
-        }),
-      });
+      await registerThingWithCore(thing);
       console.log(`[Things] Registered thing '${thing.id}' with core system`);
     } catch (error) {
       console.error(`[Things] Failed to register thing '${thing.id}':`, error.message);
@@ -315,6 +467,64 @@ const registerThingsWithCore = async () => {
   }
 };
 
+// The greenhouse controller is an MCP server rather than a TD Thing: the core connects to it and publishes the Thing.
+const greenhouseMcpServerName = 'greenhouse';
+const greenhouseMcpPath = '/mcp';
+
+const registerMcpServerWithCore = async () => {
+  try {
+    const response = await fetch(`${coreSystemUrl}/mcp/servers/${greenhouseMcpServerName}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        transport: 'http',
+        url: `${thingsPublicUrl}${greenhouseMcpPath}`,
+        title: 'Greenhouse Climate Controller',
+        provides: ['greenhouseClimate'],
+        metadata: { deviceType: 'greenhouse', manufacturer: 'Verdant', model: 'Climate MCP' },
+      }),
+    });
+    const { server } = await response.json();
+    console.log(`[Things] Registered MCP server '${greenhouseMcpServerName}' with core system (${server?.status || response.status})`);
+  } catch (error) {
+    console.error(`[Things] Failed to register MCP server '${greenhouseMcpServerName}':`, error.message);
+  }
+};
+
+// Keep our registrations alive; a 404 means the core forgot us (restart or eviction), so register again.
+const sendHeartbeats = async () => {
+  try {
+    const response = await fetch(`${serviceRegistryUrl}/heartbeat/service/thing-descriptions`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithServiceRegistry();
+    }
+  } catch (error) {
+    console.error('[Things] Service registry heartbeat failed:', error.message);
+  }
+
+  for (const thing of things) {
+    try {
+      const response = await fetch(`${coreSystemUrl}/heartbeat/thing/${encodeURIComponent(thing.id)}`, { method: 'POST' });
+      if (response.status === 404) {
+        await registerThingWithCore(thing);
+        console.log(`[Things] Re-registered thing '${thing.id}' after missed heartbeat`);
+      }
+    } catch (error) {
+      console.error(`[Things] Heartbeat for thing '${thing.id}' failed:`, error.message);
+    }
+  }
+
+  // The core keeps the MCP Thing alive itself; we only make sure it still knows the server.
+  try {
+    const response = await fetch(`${coreSystemUrl}/mcp/servers/${greenhouseMcpServerName}`);
+    if (response.status === 404) {
+      await registerMcpServerWithCore();
+    }
+  } catch (error) {
+    console.error(`[Things] MCP server check for '${greenhouseMcpServerName}' failed:`, error.message);
+  }
+};
+
 const LIGHT_SWITCH_STATES = ['on', 'off'];
 let lightSwitchState = 'off';
 
@@ -323,6 +533,13 @@ let tractorLidarSample = [4.2, 3.9, 2.8, 6.1, 3.7];
 let tractorSoilMoisture = [28, 31, 27];
 let tractorHighTempThreshold = 85;
 let tractorLowBatteryThreshold = 25;
+let tractorMotorTemperature = 70;
+let tractorBatteryPercentage = 60;
+
+const tractorEventSubscribers = {
+  hightemperature: new Set(),
+  lowbattery: new Set(),
+};
 
 const isValidLightSwitchState = (value) => LIGHT_SWITCH_STATES.includes(value);
 
@@ -448,6 +665,65 @@ app.post(`${tractorBasePath}/events/lowbattery`, (req, res) => {
   res.json({ status: 'updated', percentage, ...resolveBaseTractorResponse() });
 });
 
+// Event subscriptions are plain SSE streams, matching the `subprotocol: 'sse'` forms in the TD.
+const subscribeToTractorEvent = (eventKey) => (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  tractorEventSubscribers[eventKey].add(res);
+  req.on('close', () => tractorEventSubscribers[eventKey].delete(res));
+};
+
+const emitTractorEvent = (eventKey, data) => {
+  const frame = `event: ${eventKey}\ndata: ${JSON.stringify({ ...data, ...resolveBaseTractorResponse() })}\n\n`;
+  tractorEventSubscribers[eventKey].forEach((res) => res.write(frame));
+  console.log(`[Things] Tractor event '${eventKey}' emitted to ${tractorEventSubscribers[eventKey].size} subscriber(s).`);
+};
+
+app.get(`${tractorBasePath}/events/hightemperature/subscribe`, subscribeToTractorEvent('hightemperature'));
+app.get(`${tractorBasePath}/events/lowbattery/subscribe`, subscribeToTractorEvent('lowbattery'));
+
+// Drift the simulated telemetry and fire events when a reading crosses its threshold.
+const TELEMETRY_INTERVAL_MS = 5000;
+const simulateTractorTelemetry = () => {
+  const wasOverheated = tractorMotorTemperature > tractorHighTempThreshold;
+  const wasLowBattery = tractorBatteryPercentage < tractorLowBatteryThreshold;
+
+  tractorMotorTemperature = Math.min(110, Math.max(40, tractorMotorTemperature + (Math.random() * 6 - 3)));
+  tractorBatteryPercentage = tractorBatteryPercentage <= 5 ? 100 : tractorBatteryPercentage - Math.random();
+
+  if (!wasOverheated && tractorMotorTemperature > tractorHighTempThreshold) {
+    emitTractorEvent('hightemperature', { temperature: Number(tractorMotorTemperature.toFixed(1)), threshold: tractorHighTempThreshold });
+  }
+  if (!wasLowBattery && tractorBatteryPercentage < tractorLowBatteryThreshold) {
+    emitTractorEvent('lowbattery', { percentage: Number(tractorBatteryPercentage.toFixed(1)), threshold: tractorLowBatteryThreshold });
+  }
+};
+
+// Wheel motion is asynchronous: the invocation returns a running instance that can be queried or cancelled until it ends.
+const WHEEL_INSTANCE_RETENTION_MS = 10 * 60 * 1000;
+const wheelControlInstances = new Map(); // instanceId -> { status, axis, speed, duration, direction, timeRequested, completedAt, ... }
+
+const describeWheelInstance = (instanceId) => {
+  const { timer, ...instance } = wheelControlInstances.get(instanceId);
+  return {
+    instanceId,
+    href: `${tractorBasePath}/actions/wheelControl/${instanceId}`,
+    ...instance,
+    ...resolveBaseTractorResponse(),
+  };
+};
+
+const finishWheelInstance = (instanceId, patch) => {
+  const instance = wheelControlInstances.get(instanceId);
+  clearTimeout(instance.timer);
+  Object.assign(instance, { ...patch, timer: null, timeEnded: new Date().toISOString() });
+  setTimeout(() => wheelControlInstances.delete(instanceId), WHEEL_INSTANCE_RETENTION_MS);
+};
+
 app.post(`${tractorBasePath}/actions/wheelControl`, (req, res) => {
   const { duration = 0, axis = 0, speed = 0 } = req.body || {};
   if (typeof duration !== 'number' || duration < 0 || duration > 20000) {
@@ -461,21 +737,98 @@ app.post(`${tractorBasePath}/actions/wheelControl`, (req, res) => {
   }
 
   const direction = axis === 0 ? 'lateral' : axis === 1 ? 'forward' : 'rotation';
-  console.log(`[Things] Wheel control invoked: axis=${axis} (${direction}), speed=${speed}, duration=${duration}ms`);
+  const instanceId = randomUUID();
+  console.log(`[Things] Wheel control invoked: axis=${axis} (${direction}), speed=${speed}, duration=${duration}ms (instance ${instanceId})`);
+
+  // A flat battery stops the wheels mid-motion, which surfaces as a failed instance.
+  const timer = setTimeout(() => {
+    if (tractorBatteryPercentage < 5) {
+      finishWheelInstance(instanceId, { status: 'failed', error: 'Battery depleted before the motion completed.' });
+    } else {
+      finishWheelInstance(instanceId, { status: 'completed' });
+    }
+    console.log(`[Things] Wheel control instance ${instanceId} ${wheelControlInstances.get(instanceId).status}.`);
+  }, duration);
 
-  res.json({
-    status: 'accepted',
+  wheelControlInstances.set(instanceId, {
+    status: 'running',
     axis,
     speed,
     duration,
     direction,
+    timeRequested: new Date().toISOString(),
     completedAt: new Date(Date.now() + duration).toISOString(),
-    ...resolveBaseTractorResponse(),
+    timer,
   });
+
+  const body = describeWheelInstance(instanceId);
+  res.status(201).location(body.href).json(body);
+});
+
+app.get(`${tractorBasePath}/actions/wheelControl/:instanceId`, (req, res) => {
+  if (!wheelControlInstances.has(req.params.instanceId)) {
+    return res.status(404).json({ error: `Action instance '${req.params.instanceId}' not found.` });
+  }
+  res.json(describeWheelInstance(req.params.instanceId));
 });
 
+app.delete(`${tractorBasePath}/actions/wheelControl/:instanceId`, (req, res) => {
+  const { instanceId } = req.params;
+  const instance = wheelControlInstances.get(instanceId);
+  if (!instance) {
+    return res.status(404).json({ error: `Action instance '${instanceId}' not found.` });
+  }
+  if (instance.status !== 'running') {
+    return res.status(409).json({ error: `Action instance '${instanceId}' already ${instance.status}.`, ...describeWheelInstance(instanceId) });
+  }
+
+  finishWheelInstance(instanceId, { status: 'cancelled' });
+  console.log(`[Things] Wheel control instance ${instanceId} cancelled.`);
+  res.json(describeWheelInstance(instanceId));
+});
+
+const sprinklerZones = new Map([[1, null], [2, null]]); // zoneId -> watering end time (ms) or null
+
+const buildSprinklerStatus = () => ({
+  zones: Array.from(sprinklerZones.entries()).map(([id, until]) => ({
+    id,
+    watering: Boolean(until && until > Date.now()),
+    until: until && until > Date.now() ? new Date(until).toISOString() : null,
+  })),
+  timestamp: new Date().toISOString(),
+});
+
+app.get(`${sprinklerBasePath}/status`, (_req, res) => {
+  res.json(buildSprinklerStatus());
+});
+
+app.post(`${sprinklerBasePath}/zones/:zoneId/start`, (req, res) => {
+  const zoneId = Number.parseInt(req.params.zoneId, 10);
+  if (!sprinklerZones.has(zoneId)) {
+    return res.status(404).json({ error: `Zone '${req.params.zoneId}' does not exist.` });
+  }
+  const { durationMinutes = 10 } = req.body || {};
+  if (typeof durationMinutes !== 'number' || durationMinutes < 1 || durationMinutes > 60) {
+    return res.status(400).json({ error: 'durationMinutes must be between 1 and 60.' });
+  }
+  sprinklerZones.set(zoneId, Date.now() + durationMinutes * 60 * 1000);
+  console.log(`[Things] Sprinkler zone ${zoneId} watering for ${durationMinutes} minute(s)`);
+  res.json(buildSprinklerStatus());
+});
+
+app.post(`${sprinklerBasePath}/stop`, (_req, res) => {
+  sprinklerZones.forEach((_until, zoneId) => sprinklerZones.set(zoneId, null));
+  console.log('[Things] Sprinkler stopped');
+  res.json(buildSprinklerStatus());
+});
+
+app.post(greenhouseMcpPath, createMcpHttpHandler(createGreenhouseMcpServer({ log: console.log })));
+
 app.listen(port, listenAddress, () => {
   console.log(`[Things] Service listening at ${listenAddress}:${port} (public URL: ${thingsPublicUrl})`);
   registerWithServiceRegistry();
   registerThingsWithCore();
+  registerMcpServerWithCore();
+  setInterval(sendHeartbeats, heartbeatIntervalMs);
+  setInterval(simulateTractorTelemetry, TELEMETRY_INTERVAL_MS);
 });
@@ -0,0 +1,192 @@
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+
+// Simulated greenhouse climate controller speaking the Model Context Protocol, so the core's MCP support can be tried
+// without real hardware. The Things service mounts it over streamable HTTP at `/mcp`; running this file directly serves
+// it over stdio (`node src/mcp-server.js`).
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'greenhouse-climate', title: 'Greenhouse Climate Controller', version: '1.0.0' };
+
+const climateSchema = {
+  type: 'object',
+  properties: {
+    temperatureC: { type: 'number' },
+    humidityPercent: { type: 'number' },
+    ventOpenPercent: { type: 'integer', minimum: 0, maximum: 100 },
+    heater: { type: 'string', enum: ['on', 'off'] },
+    waterTankLiters: { type: 'number' },
+    updatedAt: { type: 'string', format: 'date-time' },
+  },
+  required: ['temperatureC', 'humidityPercent', 'ventOpenPercent', 'heater', 'waterTankLiters', 'updatedAt'],
+};
+
+const tools = [
+  {
+    name: 'get_climate',
+    title: 'Read climate',
+    description: 'Current greenhouse temperature, humidity, vent opening, heater state and water tank level.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: climateSchema,
+    annotations: { readOnlyHint: true, openWorldHint: false },
+  },
+  {
+    name: 'set_vent',
+    title: 'Set vent opening',
+    description: 'Open the roof vent to the given percentage (0 closes it).',
+    inputSchema: {
+      type: 'object',
+      properties: { openPercent: { type: 'integer', minimum: 0, maximum: 100, description: 'Vent opening in percent.' } },
+      required: ['openPercent'],
+      additionalProperties: false,
+    },
+    outputSchema: climateSchema,
+    annotations: { readOnlyHint: false, idempotentHint: true, destructiveHint: false, openWorldHint: false },
+  },
+  {
+    name: 'set_heater',
+    title: 'Switch heater',
+    description: 'Switch the greenhouse heater on or off.',
+    inputSchema: {
+      type: 'object',
+      properties: { state: { type: 'string', enum: ['on', 'off'] } },
+      required: ['state'],
+      additionalProperties: false,
+    },
+    outputSchema: climateSchema,
+    annotations: { readOnlyHint: false, idempotentHint: true, destructiveHint: false, openWorldHint: false },
+  },
+  {
+    name: 'drain_water_tank',
+    title: 'Drain water tank',
+    description: 'Empty the irrigation water tank completely. The collected rain water is lost.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: climateSchema,
+    annotations: { readOnlyHint: false, idempotentHint: true, destructiveHint: true, openWorldHint: false },
+  },
+];
+
+export const createGreenhouseMcpServer = ({ log = console.error } = {}) => {
+  const state = {
+    temperatureC: 21.5,
+    humidityPercent: 64,
+    ventOpenPercent: 10,
+    heater: 'off',
+    waterTankLiters: 180,
+  };
+
+  // Heater and vent pull the temperature slowly towards a target so repeated reads show a trend.
+  const readClimate = () => {
+    const target = 18 + (state.heater === 'on' ? 8 : 0) - state.ventOpenPercent / 20;
+    state.temperatureC = Math.round((state.temperatureC + (target - state.temperatureC) * 0.2 + (Math.random() - 0.5) * 0.2) * 10) / 10;
+    state.humidityPercent = Math.max(30, Math.min(95, Math.round(state.humidityPercent - state.ventOpenPercent / 50 + Math.random() * 1.5)));
+    return { ...state, updatedAt: new Date().toISOString() };
+  };
+
+  const toolResult = (structuredContent) => ({
+    content: [{ type: 'text', text: JSON.stringify(structuredContent) }],
+    structuredContent,
+  });
+
+  const toolError = (message) => ({ content: [{ type: 'text', text: message }], isError: true });
+
+  const callTool = (name, args = {}) => {
+    switch (name) {
+      case 'get_climate':
+        return toolResult(readClimate());
+      case 'set_vent': {
+        const openPercent = Number(args.openPercent);
+        if (!Number.isInteger(openPercent) || openPercent < 0 || openPercent > 100) {
+          return toolError('openPercent must be an integer between 0 and 100.');
+        }
+        state.ventOpenPercent = openPercent;
+        log(`[Things] Greenhouse vent set to ${openPercent}%`);
+        return toolResult(readClimate());
+      }
+      case 'set_heater':
+        if (!['on', 'off'].includes(args.state)) {
+          return toolError("state must be 'on' or 'off'.");
+        }
+        state.heater = args.state;
+        log(`[Things] Greenhouse heater switched ${args.state}`);
+        return toolResult(readClimate());
+      case 'drain_water_tank':
+        state.waterTankLiters = 0;
+        log('[Things] Greenhouse water tank drained');
+        return toolResult(readClimate());
+      default:
+        return null;
+    }
+  };
+
+  const respond = (id, result) => ({ jsonrpc: '2.0', id, result });
+  const fail = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+  // Returns the JSON-RPC response, or null for notifications.
+  const handleMessage = (message) => {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return fail(message?.id ?? null, -32600, 'Invalid request.');
+    }
+    if (message.id === undefined || message.id === null) {
+      return null;
+    }
+    const { id, params = {} } = message;
+    switch (message.method) {
+      case 'initialize':
+        return respond(id, {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: 'Simulated greenhouse: read the climate before changing vent or heater settings.',
+        });
+      case 'ping':
+        return respond(id, {});
+      case 'tools/list':
+        return respond(id, { tools });
+      case 'tools/call': {
+        const result = callTool(params.name, params.arguments || {});
+        return result ? respond(id, result) : fail(id, -32602, `Unknown tool '${params.name}'.`);
+      }
+      default:
+        return fail(id, -32601, `Method '${message.method}' not found.`);
+    }
+  };
+
+  return { handleMessage };
+};
+
+// Streamable HTTP without sessions: every POST carries one message (or a batch) and is answered with plain JSON.
+export const createMcpHttpHandler = (server) => (req, res) => {
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  const responses = messages.map((message) => server.handleMessage(message)).filter(Boolean);
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+  res.json(Array.isArray(req.body) ? responses : responses[0]);
+};
+
+const serveStdio = () => {
+  const server = createGreenhouseMcpServer();
+  const lines = createInterface({ input: process.stdin });
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error.' } })}\n`);
+      return;
+    }
+    const response = server.handleMessage(message);
+    if (response) {
+      process.stdout.write(`${JSON.stringify(response)}\n`);
+    }
+  });
+  // The client closing stdin ends the session.
+  lines.on('close', () => process.exit(0));
+  console.error('[Things] Greenhouse MCP server ready on stdio');
+};
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  serveStdio();
+}
@@ -11,6 +11,7 @@ const coreSystemUrl = process.env.CORE_SYSTEM_URL || 'http://core-system:3001';
 const devicePublicUrl = process.env.VOICE_DEVICE_PUBLIC_URL || `http://voice-device:${port}`;
 const thingsBaseUrl = process.env.LIGHT_SWITCH_BASE_URL || 'http://things:3006/light-switch';
 const recognitionLanguage = process.env.VOICE_DEVICE_LANG || 'en-US';
+const heartbeatIntervalMs = Number.parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
 
 const deriveCoreWebsocketUrl = () => {
   if (process.env.CORE_SYSTEM_WS_URL) {
@@ -148,6 +149,10 @@ const registerWithCoreSystem = async () => {
     url: devicePublicUrl,
     thingId: 'thing-light-switch-001',
     capabilities: [],
+    // The voice UI only changes when the user's hands are (or stop being) busy.
+    capabilitySubscriptions: {
+      userActivity: { states: ['hands-occupied', 'running'] },
+    },
     metadata: {
       deviceType: 'voice-headset',
       supportedUiComponents: ['text', 'button', 'transcript', 'prompts'],
@@ -172,6 +177,27 @@ const registerWithCoreSystem = async () => {
   }
 };
 
+// Keep both registrations alive; a 404 means the core forgot this device (restart or eviction), so register again.
+const sendHeartbeats = async () => {
+  try {
+    const response = await fetch(`${serviceRegistryUrl}/heartbeat/device/voice-device`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithServiceRegistry();
+    }
+  } catch (error) {
+    console.error('[Voice Device] Service registry heartbeat failed:', error.message);
+  }
+
+  try {
+    const response = await fetch(`${coreSystemUrl}/heartbeat/device/${encodeURIComponent(deviceId)}`, { method: 'POST' });
+    if (response.status === 404) {
+      await registerWithCoreSystem();
+    }
+  } catch (error) {
+    console.error('[Voice Device] Core heartbeat failed:', error.message);
+  }
+};
+
 app.get('/api/config', (_req, res) => {
   res.json({
     deviceId,
@@ -231,4 +257,5 @@ app.listen(port, listenAddress, () => {
   console.log(`[Voice Device] Listening at ${listenAddress}:${port} (public URL: ${devicePublicUrl})`);
   registerWithServiceRegistry();
   registerWithCoreSystem();
+  setInterval(sendHeartbeats, heartbeatIntervalMs);
 });
@@ -19,6 +19,7 @@ let config;
 let websocket;
 let reconnectTimer;
 let lastUiEventId;
+let lastUiGeneration = null;
 let lastAutoListenAttempt = 0;
 let userGrantedMic = false;
 let unloadHandlerRegistered = false;
@@ -305,6 +306,14 @@ const handleUiUpdate = (payload) => {
     return;
   }
 
+  // Generations can finish out of order; an older one must not replace the suggestions of a newer one.
+  if (typeof payload.generation === 'number') {
+    if (lastUiGeneration !== null && payload.generation < lastUiGeneration) {
+      return;
+    }
+    lastUiGeneration = payload.generation;
+  }
+
   const eventId = payload.generatedAt || (payload.ui ? JSON.stringify(payload.ui) : null);
   if (eventId && eventId === lastUiEventId) {
     return;